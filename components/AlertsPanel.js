@@ -0,0 +1,229 @@
+import { useState } from 'react';
+import { ALERT_CONDITIONS, DEFAULT_LADDER, SNOOZE_DURATIONS, validateRule, describeRule } from '../utils/alerts';
+
+// History entries shown before the list is collapsed
+const HISTORY_SHOWN = 10;
+
+const toLadderDraft = (ladder) => ladder.map((s) => ({ multiple: String(s.multiple), percent: String(s.percent) }));
+
+/**
+ * Alerts raised by the user's rules, with snooze and dismiss actions, and
+ * the management of the rules themselves and of the alert history, shown
+ * on demand.
+ *
+ * @param {{ alerts: Array, rules: Array, history: Array, onSnooze: Function, onDismiss: Function, onAddRule: Function, onDeleteRule: Function, onToggleRule: Function, onClearHistory: Function }} props
+ */
+export default function AlertsPanel({
+  alerts = [],
+  rules = [],
+  history = [],
+  onSnooze,
+  onDismiss,
+  onAddRule,
+  onDeleteRule,
+  onToggleRule,
+  onClearHistory,
+}) {
+  const [open, setOpen] = useState(false);
+  const [showAllHistory, setShowAllHistory] = useState(false);
+  const [asset, setAsset] = useState('');
+  const [condition, setCondition] = useState('PRICE_ABOVE');
+  const [value, setValue] = useState('');
+  const [ladder, setLadder] = useState(() => toLadderDraft(DEFAULT_LADDER));
+  const [errors, setErrors] = useState([]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const rule = { asset: asset.trim().toUpperCase(), condition, enabled: true };
+    if (condition === 'TAKE_PROFIT') {
+      rule.ladder = ladder.map((s) => ({ multiple: parseFloat(s.multiple), percent: parseFloat(s.percent) }));
+    } else {
+      rule.value = parseFloat(value);
+    }
+    const problems = validateRule(rule);
+    setErrors(problems);
+    if (problems.length > 0) return;
+    onAddRule(rule);
+    setValue('');
+  };
+
+  const updateStep = (idx, field, v) => setLadder((prev) => prev.map((s, i) => (i === idx ? { ...s, [field]: v } : s)));
+
+  const describeHistoryRule = (ruleId) => {
+    const rule = rules.find((r) => r.id === ruleId);
+    return rule ? describeRule(rule) : 'Règle supprimée';
+  };
+  const shownHistory = showAllHistory ? history : history.slice(0, HISTORY_SHOWN);
+
+  return (
+    <div className="space-y-2">
+      {alerts.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 p-4 rounded space-y-3">
+          {alerts.map((alert) => (
+            <div key={alert.key} className="flex flex-wrap items-start justify-between gap-2">
+              <p className="whitespace-pre-line">{alert.message}</p>
+              <div className="flex gap-3 text-sm">
+                {Object.keys(SNOOZE_DURATIONS).map((hours) => (
+                  <button
+                    key={hours}
+                    onClick={() => onSnooze(alert.key, Number(hours))}
+                    className="text-yellow-900 hover:underline"
+                  >
+                    Reporter {SNOOZE_DURATIONS[hours]}
+                  </button>
+                ))}
+                <button onClick={() => onDismiss(alert.key)} className="text-yellow-900 hover:underline">
+                  Ignorer
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <button onClick={() => setOpen((v) => !v)} className="text-primary hover:text-primary-dark text-sm">
+        {open ? "Masquer les règles d'alerte" : `Règles d'alerte (${rules.length})`}
+      </button>
+
+      {open && (
+        <div className="bg-white p-4 rounded-lg shadow space-y-4">
+          <form onSubmit={handleSubmit} className="space-y-2">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Actif (vide : portefeuille)</label>
+                <input
+                  type="text"
+                  className="mt-1 block w-full p-2 border border-gray-300 rounded-md uppercase"
+                  value={asset}
+                  onChange={(e) => setAsset(e.target.value.toUpperCase())}
+                  placeholder="BTC"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Condition</label>
+                <select
+                  className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+                  value={condition}
+                  onChange={(e) => setCondition(e.target.value)}
+                >
+                  {Object.keys(ALERT_CONDITIONS).map((c) => (
+                    <option key={c} value={c}>
+                      {ALERT_CONDITIONS[c]}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {condition !== 'TAKE_PROFIT' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Seuil</label>
+                  <input
+                    type="number"
+                    step="any"
+                    className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+                    value={value}
+                    onChange={(e) => setValue(e.target.value)}
+                  />
+                </div>
+              )}
+              <button type="submit" className="bg-primary text-white px-4 py-2 rounded-md hover:bg-primary-dark">
+                Ajouter la règle
+              </button>
+            </div>
+            {condition === 'TAKE_PROFIT' && (
+              <div className="space-y-1 text-sm">
+                {ladder.map((step, idx) => (
+                  <div key={idx} className="flex flex-wrap items-center gap-2">
+                    <span>Vendre</span>
+                    <input
+                      type="number"
+                      step="any"
+                      className="p-1 border border-gray-300 rounded-md w-20"
+                      value={step.percent}
+                      onChange={(e) => updateStep(idx, 'percent', e.target.value)}
+                    />
+                    <span>% de la position à x</span>
+                    <input
+                      type="number"
+                      step="any"
+                      className="p-1 border border-gray-300 rounded-md w-20"
+                      value={step.multiple}
+                      onChange={(e) => updateStep(idx, 'multiple', e.target.value)}
+                    />
+                    <span>le coût moyen</span>
+                    <button
+                      type="button"
+                      onClick={() => setLadder((prev) => prev.filter((_, i) => i !== idx))}
+                      className="text-red-600 hover:text-red-800"
+                    >
+                      Retirer
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => setLadder((prev) => [...prev, { multiple: '', percent: '' }])}
+                  className="text-primary hover:text-primary-dark"
+                >
+                  + Ajouter un palier
+                </button>
+              </div>
+            )}
+            {errors.length > 0 && <div className="text-sm text-red-700">{errors.join(' · ')}</div>}
+          </form>
+
+          {rules.length === 0 ? (
+            <div className="text-gray-500">Aucune règle pour le moment.</div>
+          ) : (
+            <ul className="text-sm space-y-1">
+              {rules.map((rule) => (
+                <li key={rule.id} className="flex flex-wrap items-center gap-3">
+                  <label className="flex items-center space-x-2">
+                    <input type="checkbox" checked={rule.enabled} onChange={() => onToggleRule(rule.id)} />
+                    <span className={rule.enabled ? '' : 'text-gray-400'}>{describeRule(rule)}</span>
+                  </label>
+                  <button onClick={() => onDeleteRule(rule.id)} className="text-red-600 hover:text-red-800">
+                    Supprimer
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="space-y-1">
+            <div className="flex items-center justify-between">
+              <h3 className="font-medium text-gray-800">Historique des alertes</h3>
+              {history.length > 0 && (
+                <button onClick={onClearHistory} className="text-sm text-gray-500 hover:text-gray-700">
+                  Effacer
+                </button>
+              )}
+            </div>
+            {history.length === 0 ? (
+              <div className="text-sm text-gray-500">Aucune alerte déclenchée.</div>
+            ) : (
+              <ul className="text-sm space-y-1">
+                {shownHistory.map((h, idx) => (
+                  <li key={`${h.key}-${h.date}-${idx}`}>
+                    <span className="text-gray-500">{new Date(h.date).toLocaleString('fr-FR')}</span> ·{' '}
+                    {h.message.split('\n')[0]}{' '}
+                    <span className="text-gray-400">({describeHistoryRule(h.ruleId)})</span>
+                  </li>
+                ))}
+                {history.length > HISTORY_SHOWN && (
+                  <li>
+                    <button
+                      onClick={() => setShowAllHistory((v) => !v)}
+                      className="text-primary hover:text-primary-dark"
+                    >
+                      {showAllHistory ? 'Réduire' : `Voir les ${history.length} alertes`}
+                    </button>
+                  </li>
+                )}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
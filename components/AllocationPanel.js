@@ -0,0 +1,203 @@
+import { useEffect, useState } from 'react';
+import {
+  DRIFT_TOLERANCE,
+  validateTargets,
+  computeAllocation,
+  rebalanceTrades,
+  splitContribution,
+} from '../utils/allocation';
+import { CURRENCIES } from '../utils/currency';
+
+const formatAmount = (value) =>
+  value.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const formatPercent = (value) =>
+  value.toLocaleString('fr-FR', { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+
+const toDraft = (targets) =>
+  Object.entries(targets).map(([asset, percent]) => ({ asset, percent: String(percent) }));
+
+/**
+ * Target allocation: lets the user define a target weight per asset, shows
+ * current vs target weights with their drift and proposes how to get back
+ * on target, either by splitting the next contribution (no sale) or with
+ * full sells and buys. Saved targets are passed to `onChange(targets)`.
+ * Amounts are in `currency`, EUR by default.
+ *
+ * @param {{ summary: Record<string, object>, targets: Record<string, number>, onChange: Function, currency?: string }} props
+ */
+export default function AllocationPanel({ summary = {}, targets = {}, onChange, currency = 'EUR' }) {
+  const symbol = CURRENCIES[currency];
+  const [draft, setDraft] = useState(() => toDraft(targets));
+  const [errors, setErrors] = useState([]);
+  const [contribution, setContribution] = useState('');
+  const [showTrades, setShowTrades] = useState(false);
+
+  useEffect(() => {
+    setDraft(toDraft(targets));
+  }, [targets]);
+
+  const allocation = computeAllocation(summary, targets);
+  const hasTargets = Object.keys(targets).length > 0;
+  const amount = parseFloat(contribution);
+  const split = hasTargets && amount > 0 ? splitContribution(allocation, amount) : [];
+  const trades = hasTargets ? rebalanceTrades(allocation) : [];
+  const draftSum = draft.reduce((sum, d) => sum + (parseFloat(d.percent) || 0), 0);
+
+  const updateDraft = (idx, field, value) =>
+    setDraft((prev) => prev.map((d, i) => (i === idx ? { ...d, [field]: value } : d)));
+
+  const handleSave = () => {
+    const next = {};
+    for (const d of draft) {
+      const asset = d.asset.trim().toUpperCase();
+      if (!asset) continue;
+      next[asset] = (next[asset] ?? 0) + parseFloat(d.percent);
+    }
+    const problems = validateTargets(next);
+    setErrors(problems);
+    if (problems.length === 0) onChange(next);
+  };
+
+  // Start from the assets held when no target is defined yet
+  const handleAddRow = () => {
+    const held = allocation.rows.map((r) => r.asset).filter((a) => !draft.some((d) => d.asset === a));
+    setDraft((prev) => [...prev, { asset: held[0] ?? '', percent: '' }]);
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow space-y-4">
+      {/* Targets editor */}
+      <div className="space-y-2">
+        {draft.map((d, idx) => (
+          <div key={idx} className="flex flex-wrap items-center gap-2">
+            <input
+              type="text"
+              className="p-2 border border-gray-300 rounded-md uppercase w-28"
+              value={d.asset}
+              onChange={(e) => updateDraft(idx, 'asset', e.target.value.toUpperCase())}
+              placeholder="BTC"
+            />
+            <input
+              type="number"
+              step="0.1"
+              className="p-2 border border-gray-300 rounded-md w-24"
+              value={d.percent}
+              onChange={(e) => updateDraft(idx, 'percent', e.target.value)}
+              placeholder="%"
+            />
+            <span className="text-sm text-gray-600">%</span>
+            <button
+              onClick={() => setDraft((prev) => prev.filter((_, i) => i !== idx))}
+              className="text-red-600 hover:text-red-800 text-sm"
+            >
+              Retirer
+            </button>
+          </div>
+        ))}
+        <div className="flex flex-wrap items-center gap-4">
+          <button onClick={handleAddRow} className="text-primary hover:text-primary-dark text-sm">
+            + Ajouter un actif
+          </button>
+          <span className={`text-sm ${Math.abs(draftSum - 100) > 0.01 ? 'text-red-700' : 'text-gray-600'}`}>
+            Total : {formatPercent(draftSum)} %
+          </span>
+          <button onClick={handleSave} className="bg-primary text-white px-4 py-2 rounded-md hover:bg-primary-dark">
+            Enregistrer les cibles
+          </button>
+        </div>
+        {errors.length > 0 && <div className="text-sm text-red-700">{errors.join(' · ')}</div>}
+      </div>
+
+      {/* Current vs target */}
+      {!hasTargets ? (
+        <div className="text-gray-500">Aucune allocation cible définie.</div>
+      ) : (
+        <>
+          <div className="overflow-auto border rounded-lg">
+            <table className="min-w-full">
+              <thead>
+                <tr>
+                  <th>Actif</th>
+                  <th>Valeur ({symbol})</th>
+                  <th>Poids actuel (%)</th>
+                  <th>Cible (%)</th>
+                  <th>Écart (pts)</th>
+                  <th>Écart ({symbol})</th>
+                </tr>
+              </thead>
+              <tbody>
+                {allocation.rows.map((r) => (
+                  <tr key={r.asset} className="border-b last:border-b-0">
+                    <td>{r.asset}</td>
+                    <td>{formatAmount(r.value)}</td>
+                    <td>{formatPercent(r.weight)}</td>
+                    <td>{formatPercent(r.target)}</td>
+                    <td className={Math.abs(r.drift) >= DRIFT_TOLERANCE ? 'text-red-700 font-semibold' : ''}>
+                      {r.drift > 0 ? '+' : ''}
+                      {formatPercent(r.drift)}
+                    </td>
+                    <td>
+                      {r.driftValue > 0 ? '+' : ''}
+                      {formatAmount(r.driftValue)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {allocation.unpriced.length > 0 && (
+            <div className="text-sm text-gray-500">
+              Sans prix, non comptés dans les poids : {allocation.unpriced.join(', ')}
+            </div>
+          )}
+
+          {/* Next contribution split */}
+          <div className="space-y-2">
+            <label className="flex flex-wrap items-center gap-2 text-sm font-medium text-gray-700">
+              <span>Prochain apport ({symbol})</span>
+              <input
+                type="number"
+                step="0.01"
+                className="p-2 border border-gray-300 rounded-md w-32"
+                value={contribution}
+                onChange={(e) => setContribution(e.target.value)}
+                placeholder="500"
+              />
+            </label>
+            {split.length > 0 && (
+              <ul className="text-sm space-y-1">
+                {split
+                  .filter((s) => s.amount >= 0.01)
+                  .map((s) => (
+                    <li key={s.asset}>
+                      {formatAmount(s.amount)} {symbol} en {s.asset}{' '}
+                      <span className="text-gray-500">→ {formatPercent(s.weightAfter)} % du portefeuille</span>
+                    </li>
+                  ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Full rebalancing */}
+          <div className="space-y-2">
+            <button onClick={() => setShowTrades((v) => !v)} className="text-primary hover:text-primary-dark text-sm">
+              {showTrades ? 'Masquer' : 'Afficher'} le rééquilibrage complet (ventes et achats)
+            </button>
+            {showTrades &&
+              (trades.length === 0 ? (
+                <div className="text-sm text-gray-500">Le portefeuille est déjà sur ses cibles.</div>
+              ) : (
+                <ul className="text-sm space-y-1">
+                  {trades.map((t) => (
+                    <li key={t.asset} className={t.side === 'SELL' ? 'text-red-700' : 'text-green-700'}>
+                      {t.side === 'SELL' ? 'Vendre' : 'Acheter'} {formatAmount(t.amount)} {symbol} de {t.asset}
+                    </li>
+                  ))}
+                </ul>
+              ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
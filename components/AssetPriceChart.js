@@ -0,0 +1,66 @@
+import {
+  ComposedChart,
+  Line,
+  Scatter,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer,
+} from 'recharts';
+import { CURRENCIES, formatMoney } from '../utils/currency';
+
+/**
+ * Price chart of one asset: its daily closes as a line, its acquisitions
+ * and disposals as markers at their unit price, and the average cost of
+ * the units held as a dashed line. Prices are in `currency`, EUR by
+ * default.
+ *
+ * @param {{ points: Array<{date: string, price: number}>, trades?: Array<{date: string, side: 'BUY'|'SELL', price: number}>, costAvg?: number, currency?: string }} props
+ */
+export default function AssetPriceChart({ points = [], trades = [], costAvg = 0, currency = 'EUR' }) {
+  const symbol = CURRENCIES[currency];
+  if (points.length === 0 && trades.length === 0) {
+    return <div className="text-gray-500">Aucun historique de prix.</div>;
+  }
+  // One row per date, with the close and the trades of the day
+  const byDate = {};
+  for (const p of points) byDate[p.date] = { date: p.date, price: p.price };
+  for (const t of trades) {
+    const row = byDate[t.date] || (byDate[t.date] = { date: t.date });
+    row[t.side === 'BUY' ? 'buy' : 'sell'] = t.price;
+  }
+  const data = Object.keys(byDate)
+    .sort()
+    .map((date) => byDate[date]);
+  const format = (value) => value.toLocaleString('fr-FR', { maximumSignificantDigits: 6 });
+
+  return (
+    <ResponsiveContainer width="100%" height={320}>
+      <ComposedChart data={data} margin={{ top: 10, right: 20, bottom: 10, left: 0 }}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="date" />
+        <YAxis tickFormatter={format} domain={['auto', 'auto']} />
+        <Tooltip
+          formatter={(value) =>
+            value === null || value === undefined ? '—' : formatMoney(value, currency, { maximumSignificantDigits: 6 })
+          }
+        />
+        <Legend />
+        <Line type="monotone" dataKey="price" name={`Prix (${symbol})`} stroke="#6366f1" dot={false} connectNulls />
+        <Scatter dataKey="buy" name="Acquisition" fill="#16a34a" />
+        <Scatter dataKey="sell" name="Cession" fill="#dc2626" />
+        {costAvg > 0 && (
+          <ReferenceLine
+            y={costAvg}
+            stroke="#f59e0b"
+            strokeDasharray="6 3"
+            label={{ value: `Prix moyen ${format(costAvg)} ${symbol}`, position: 'insideTopLeft', fill: '#b45309' }}
+          />
+        )}
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+}
@@ -0,0 +1,47 @@
+/**
+ * Warns about assets that can't be priced automatically. Symbols shared by
+ * several coins get a selector so the user can pick the right one; the
+ * choice is remembered by the parent. Symbols matching no coin, or that no
+ * provider could price, are listed instead of being silently valued at 0.
+ *
+ * @param {{ ambiguous: Record<string, Array<{id: string, name: string, rank: number | null}>>, unpriced: string[], onChoose: Function }} props
+ */
+export default function AssetResolver({ ambiguous = {}, unpriced = [], onChoose }) {
+  const symbols = Object.keys(ambiguous).sort();
+  const missing = unpriced.filter((asset) => !ambiguous[asset]);
+  if (symbols.length === 0 && missing.length === 0) return null;
+  return (
+    <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 p-4 rounded space-y-3">
+      {symbols.map((symbol) => (
+        <div key={symbol} className="flex flex-wrap items-center gap-2">
+          <span>
+            Plusieurs coins utilisent le symbole <strong>{symbol}</strong>. Lequel suivez‑vous ?
+          </span>
+          <select
+            className="p-2 border border-gray-300 rounded-md bg-white text-gray-800"
+            defaultValue=""
+            onChange={(e) => {
+              const coin = ambiguous[symbol].find((c) => c.id === e.target.value);
+              if (coin) onChoose(symbol, { id: coin.id, name: coin.name });
+            }}
+          >
+            <option value="" disabled>
+              Choisir…
+            </option>
+            {ambiguous[symbol].map((coin) => (
+              <option key={coin.id} value={coin.id}>
+                {coin.name} ({coin.id}){coin.rank ? ` – rang #${coin.rank}` : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+      ))}
+      {missing.length > 0 && (
+        <p>
+          Aucun prix trouvé pour : <strong>{missing.join(', ')}</strong>. Ces actifs sont valorisés à 0 dans
+          les totaux.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import { useEffect, useState } from 'react';
+import SummaryTable from './SummaryTable';
+import { fetchPrices, applyManualPrices } from '../utils/prices';
+import { normalizeManualPrices, latestManualPrices } from '../utils/manualPrices';
+import { computePnL, listAssets, mergeSummaries } from '../utils/finance';
+import { loadPortfolioData } from '../utils/portfolios';
+import { fetchFxRates, createFxLookup, convertTransactions, convertPrices } from '../utils/currency';
+
+/**
+ * Positions of several portfolios added together. Each selected portfolio
+ * is valued with its own manual prices and cost-basis method, in the
+ * reporting currency, then the positions are merged per asset. The open
+ * portfolio is taken from `active` so unsaved changes show at once; the
+ * others are read from storage.
+ *
+ * @param {{ portfolios: Array, activeId: string, active: { transactions: Array, manualPrices: object, settings: object }, coins: object, currency?: string }} props
+ */
+export default function ConsolidatedView({ portfolios = [], activeId, active, coins = {}, currency = 'EUR' }) {
+  // Portfolios left out, so new ones are included by default
+  const [excluded, setExcluded] = useState([]);
+  const [summary, setSummary] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const selectedKey = portfolios
+    .map((p) => p.id)
+    .filter((id) => !excluded.includes(id))
+    .join(',');
+
+  useEffect(() => {
+    const ids = selectedKey ? selectedKey.split(',') : [];
+    let cancelled = false;
+    setLoading(true);
+    (async () => {
+      const datasets = await Promise.all(
+        ids.map(async (id) => {
+          if (id === activeId) return active;
+          const data = await loadPortfolioData(id);
+          return {
+            transactions: data.wavDcaTransactions || [],
+            manualPrices: normalizeManualPrices(data.wavDcaManualPrices),
+            settings: data.wavDcaSettings || {},
+          };
+        })
+      );
+      const all = datasets.flatMap((d) => d.transactions);
+      const assets = listAssets(all);
+      if (cancelled) return;
+      if (assets.length === 0) {
+        setSummary({});
+        setLoading(false);
+        return;
+      }
+      const firstDate = all.reduce((min, tx) => (tx.date < min ? tx.date : min), all[0].date);
+      const needsFx = currency !== 'EUR' || all.some((tx) => tx.currency && tx.currency !== 'EUR');
+      const manual = datasets.map((d) => latestManualPrices(d.manualPrices));
+      const [market, rates] = await Promise.all([
+        fetchPrices(assets, Object.assign({}, ...manual), coins),
+        needsFx ? fetchFxRates(firstDate) : {},
+      ]);
+      if (cancelled) return;
+      const fxAt = createFxLookup(rates);
+      const today = new Date().toISOString().split('T')[0];
+      const summaries = datasets.map((d, i) => {
+        const prices = convertPrices(applyManualPrices(market, manual[i], coins), currency, fxAt, today);
+        const { transactions } = convertTransactions(d.transactions, currency, fxAt);
+        return computePnL(transactions, prices, { method: d.settings.costBasis || 'FIFO' });
+      });
+      setSummary(mergeSummaries(summaries));
+      setLoading(false);
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedKey, activeId, active, coins, currency]);
+
+  const toggle = (id) =>
+    setExcluded((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-4 text-sm">
+        {portfolios.map((p) => (
+          <label key={p.id} className="flex items-center space-x-2">
+            <input type="checkbox" checked={!excluded.includes(p.id)} onChange={() => toggle(p.id)} />
+            <span>{p.name}</span>
+          </label>
+        ))}
+        {loading && <span className="text-gray-500">Calcul en cours…</span>}
+      </div>
+      <SummaryTable summary={summary} currency={currency} />
+    </div>
+  );
+}
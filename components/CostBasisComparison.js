@@ -0,0 +1,67 @@
+import { computePnL, COST_BASIS_METHODS } from '../utils/finance';
+import { CURRENCIES } from '../utils/currency';
+
+/**
+ * Compares realised PnL per asset under every cost-basis method, side by
+ * side. The column of the method currently selected is highlighted.
+ *
+ * @param {{ transactions: Array, prices: Record<string, number>, method: string, currency?: string }} props
+ */
+export default function CostBasisComparison({ transactions = [], prices = {}, method, currency = 'EUR' }) {
+  const methods = Object.keys(COST_BASIS_METHODS);
+  const summaries = {};
+  for (const m of methods) {
+    summaries[m] = computePnL(transactions, prices, { method: m });
+  }
+  const assetKeys = Object.keys(summaries[methods[0]])
+    .filter((asset) => methods.some((m) => summaries[m][asset].realised !== 0))
+    .sort();
+  if (assetKeys.length === 0) {
+    return <div className="text-gray-500">Aucune vente : pas de PnL réalisé à comparer.</div>;
+  }
+  const total = (m) => assetKeys.reduce((sum, asset) => sum + summaries[m][asset].realised, 0);
+  const cellClass = (value, m) =>
+    `${value >= 0 ? 'text-green-700' : 'text-red-700'}${m === method ? ' font-semibold' : ''}`;
+  return (
+    <div className="overflow-auto border rounded-lg">
+      <table className="min-w-full">
+        <thead>
+          <tr>
+            <th>Actif</th>
+            {methods.map((m) => (
+              <th key={m} title={COST_BASIS_METHODS[m]} className={m === method ? 'text-primary' : ''}>
+                Réal. {m === 'WAVG' ? 'PMP' : m} ({CURRENCIES[currency]})
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {assetKeys.map((asset) => (
+            <tr key={asset} className="border-b last:border-b-0">
+              <td className="font-medium">{asset}</td>
+              {methods.map((m) => {
+                const value = summaries[m][asset].realised;
+                return (
+                  <td key={m} className={cellClass(value, m)}>
+                    {value.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+          <tr className="font-semibold bg-gray-50">
+            <td>Total</td>
+            {methods.map((m) => {
+              const value = total(m);
+              return (
+                <td key={m} className={cellClass(value, m)}>
+                  {value.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                </td>
+              );
+            })}
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,268 @@
+import { useEffect, useMemo, useState } from 'react';
+import { TRANSACTION_TYPES, PLATFORMS } from '../utils/finance';
+import {
+  CSV_FORMATS,
+  MAPPING_FIELDS,
+  parseCsv,
+  detectFormat,
+  parseCryptoCom,
+  parseBitget,
+  parseWithMapping,
+  guessMapping,
+  applyValuation,
+  markDuplicates,
+} from '../utils/csvImport';
+
+const formatNumber = (value, digits) =>
+  value.toLocaleString('fr-FR', { minimumFractionDigits: digits, maximumFractionDigits: 8 });
+
+/**
+ * Import wizard for a CSV file: detects the export format (or lets the user
+ * map the columns of any other file), previews the parsed transactions with
+ * their validation errors, and flags those already recorded. Swaps whose EUR
+ * value isn't in the file are valued with `getPrice(asset, date)`. Only the
+ * rows left checked are passed to `onImport`; duplicates start unchecked
+ * and invalid rows can't be checked.
+ *
+ * @param {{ file: {name: string, text: string}, existing: Array, getPrice?: Function, onImport: Function, onCancel: Function }} props
+ */
+export default function CsvImport({ file, existing = [], getPrice, onImport, onCancel }) {
+  const { headers, rows: cells } = useMemo(() => parseCsv(file.text), [file]);
+  const [format, setFormat] = useState(() => detectFormat(headers));
+  const [mapping, setMapping] = useState(() => guessMapping(headers));
+  const [platform, setPlatform] = useState('Autre');
+  const [defaultType, setDefaultType] = useState('BUY');
+  const [valuations, setValuations] = useState({});
+  const [estimating, setEstimating] = useState(false);
+  const [overrides, setOverrides] = useState({});
+
+  const mappingComplete =
+    Object.keys(MAPPING_FIELDS).every((f) => !MAPPING_FIELDS[f].required || mapping[f] >= 0) &&
+    (mapping.price >= 0 || mapping.total >= 0);
+
+  // Rows as parsed from the file, before valuation and duplicate detection
+  const parsed = useMemo(() => {
+    if (format === 'CRYPTO_COM') return parseCryptoCom(headers, cells);
+    if (format === 'BITGET') return parseBitget(headers, cells);
+    return mappingComplete ? parseWithMapping(cells, mapping, { platform, defaultType }) : [];
+  }, [format, headers, cells, mapping, platform, defaultType, mappingComplete]);
+
+  // Value the swaps missing a EUR value, oldest first so that the price
+  // history fetched for the first one covers the others
+  useEffect(() => {
+    const pending = parsed.filter((r) => r.valuation).sort((a, b) => (a.tx.date < b.tx.date ? -1 : 1));
+    if (pending.length === 0 || !getPrice) {
+      setEstimating(false);
+      return;
+    }
+    let cancelled = false;
+    setEstimating(true);
+    (async () => {
+      const values = {};
+      for (const row of pending) {
+        const { asset, quantity, toAsset, toQuantity } = row.valuation;
+        try {
+          const fromPrice = await getPrice(asset, row.tx.date);
+          if (fromPrice !== undefined) {
+            values[row.line] = fromPrice * quantity;
+          } else {
+            const toPrice = await getPrice(toAsset, row.tx.date);
+            values[row.line] = toPrice !== undefined ? toPrice * toQuantity : undefined;
+          }
+        } catch (err) {
+          console.error("Erreur lors de l'estimation d'un échange importé :", err);
+          values[row.line] = undefined;
+        }
+        if (cancelled) return;
+      }
+      setValuations(values);
+      setEstimating(false);
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [parsed, getPrice]);
+
+  const rows = useMemo(() => {
+    const valued = parsed.map((row) =>
+      row.valuation && Object.prototype.hasOwnProperty.call(valuations, row.line)
+        ? applyValuation(row, valuations[row.line])
+        : row
+    );
+    return markDuplicates(valued, existing);
+  }, [parsed, valuations, existing]);
+
+  const importable = (row) => !row.ignored && !row.valuation && row.errors.length === 0;
+  const isSelected = (row) => importable(row) && (overrides[row.line] ?? !row.duplicate);
+  const selected = rows.filter(isSelected);
+  const counts = {
+    duplicates: rows.filter((r) => r.duplicate).length,
+    errors: rows.filter((r) => r.errors.length > 0).length,
+    ignored: rows.filter((r) => r.ignored).length,
+  };
+
+  const renderStatus = (row) => {
+    if (row.ignored) return <span className="text-gray-500">{row.ignored}</span>;
+    if (row.valuation) return <span className="text-gray-500">Estimation de la valeur…</span>;
+    if (row.errors.length > 0) return <span className="text-red-700">{row.errors.join(' · ')}</span>;
+    return (
+      <>
+        {row.duplicate && <span className="text-gray-500">Déjà enregistrée</span>}
+        {row.warnings.length > 0 && <span className="text-yellow-700"> {row.warnings.join(' · ')}</span>}
+        {!row.duplicate && row.warnings.length === 0 && <span className="text-green-700">OK</span>}
+      </>
+    );
+  };
+
+  const renderTransaction = (tx) => {
+    if (!tx) return <td colSpan="5">—</td>;
+    const swap = tx.type === 'SWAP';
+    return (
+      <>
+        <td>{tx.date ?? '—'}</td>
+        <td>{TRANSACTION_TYPES[tx.type] ?? tx.type ?? '—'}</td>
+        <td>{swap ? `${tx.asset} → ${tx.toAsset}` : tx.asset || '—'}</td>
+        <td>
+          {isNaN(tx.quantity) ? '—' : formatNumber(tx.quantity, 4)}
+          {swap && !isNaN(tx.toQuantity) ? ` → ${formatNumber(tx.toQuantity, 4)}` : ''}
+        </td>
+        <td>{tx.price === undefined || isNaN(tx.price) ? '—' : formatNumber(tx.price * tx.quantity, 2)}</td>
+      </>
+    );
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-lg font-semibold text-gray-800">Import CSV – {file.name}</h2>
+        <label className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+          <span>Format</span>
+          <select className="p-2 border border-gray-300 rounded-md" value={format} onChange={(e) => setFormat(e.target.value)}>
+            {Object.keys(CSV_FORMATS).map((f) => (
+              <option key={f} value={f}>
+                {CSV_FORMATS[f]}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {/* Column mapping for files in another format */}
+      {format === 'GENERIC' && (
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Plateforme</label>
+            <select
+              className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+              value={platform}
+              onChange={(e) => setPlatform(e.target.value)}
+            >
+              {PLATFORMS.map((p) => (
+                <option key={p} value={p}>
+                  {p}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Type par défaut</label>
+            <select
+              className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+              value={defaultType}
+              onChange={(e) => setDefaultType(e.target.value)}
+            >
+              {Object.keys(TRANSACTION_TYPES)
+                .filter((t) => t !== 'SWAP' && t !== 'TRANSFER')
+                .map((t) => (
+                  <option key={t} value={t}>
+                    {TRANSACTION_TYPES[t]}
+                  </option>
+                ))}
+            </select>
+          </div>
+          {Object.keys(MAPPING_FIELDS).map((field) => (
+            <div key={field}>
+              <label className="block text-sm font-medium text-gray-700">
+                {MAPPING_FIELDS[field].label}
+                {MAPPING_FIELDS[field].required ? ' *' : ''}
+              </label>
+              <select
+                className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+                value={mapping[field]}
+                onChange={(e) => setMapping((prev) => ({ ...prev, [field]: Number(e.target.value) }))}
+              >
+                <option value={-1}>— Aucune —</option>
+                {headers.map((h, idx) => (
+                  <option key={idx} value={idx}>
+                    {h || `Colonne ${idx + 1}`}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))}
+          {!mappingComplete && (
+            <div className="md:col-span-4 text-sm text-yellow-700">
+              Associez au moins la date, l&apos;actif, la quantité et le prix unitaire ou le total.
+            </div>
+          )}
+        </div>
+      )}
+
+      {rows.length > 0 && (
+        <>
+          <div className="text-sm text-gray-600">
+            {rows.length} lignes · {selected.length} à importer · {counts.duplicates} déjà enregistrées ·{' '}
+            {counts.errors} en erreur · {counts.ignored} ignorées
+            {estimating ? ' · estimation des échanges en cours…' : ''}
+          </div>
+          <div className="overflow-auto border rounded-lg max-h-96">
+            <table className="min-w-full">
+              <thead>
+                <tr>
+                  <th></th>
+                  <th>Ligne</th>
+                  <th>Date</th>
+                  <th>Type</th>
+                  <th>Actif</th>
+                  <th>Quantité</th>
+                  <th>Total (€)</th>
+                  <th>Statut</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.line} className={`border-b last:border-b-0 ${isSelected(row) ? '' : 'text-gray-400'}`}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={isSelected(row)}
+                        disabled={!importable(row)}
+                        onChange={(e) => setOverrides((prev) => ({ ...prev, [row.line]: e.target.checked }))}
+                      />
+                    </td>
+                    <td>{row.line}</td>
+                    {renderTransaction(row.tx)}
+                    <td className="text-sm">{renderStatus(row)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      <div className="flex flex-wrap gap-4">
+        <button
+          onClick={() => onImport(selected.map((row) => row.tx))}
+          disabled={selected.length === 0 || estimating}
+          className="bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700 disabled:opacity-50"
+        >
+          Importer {selected.length} transaction{selected.length > 1 ? 's' : ''}
+        </button>
+        <button onClick={onCancel} className="bg-gray-600 text-white px-4 py-2 rounded-md hover:bg-gray-700">
+          Annuler
+        </button>
+      </div>
+    </div>
+  );
+}
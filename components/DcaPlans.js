@@ -0,0 +1,205 @@
+import { useState } from 'react';
+import { PLATFORMS } from '../utils/finance';
+import { DCA_FREQUENCIES, OCCURRENCE_STATUSES, planSchedule, planAdherence, validatePlan } from '../utils/dca';
+import { CURRENCIES, formatMoney } from '../utils/currency';
+
+const STATUS_CLASSES = {
+  DONE: 'text-green-700',
+  SKIPPED: 'text-gray-500',
+  MISSED: 'text-red-700',
+  DUE: 'text-primary font-semibold',
+  UPCOMING: 'text-gray-600',
+};
+
+// Missed occurrences listed before the older ones are collapsed
+const MISSED_SHOWN = 5;
+
+/**
+ * Recurring DCA plans: a form to define a plan and, for each plan, its
+ * missed, due and upcoming occurrences and how closely the purchases made
+ * follow it. Due and missed occurrences can be confirmed, which lets the
+ * parent open a pre-filled purchase through `onConfirm(plan, date)`, or
+ * skipped with `onSkip(planId, date)`. Plan amounts and `transactions`
+ * are in `currency`, EUR by default.
+ *
+ * @param {{ plans: Array, transactions: Array, currency?: string, onAdd: Function, onDelete: Function, onConfirm: Function, onSkip: Function }} props
+ */
+export default function DcaPlans({ plans = [], transactions = [], currency = 'EUR', onAdd, onDelete, onConfirm, onSkip }) {
+  const today = new Date().toISOString().split('T')[0];
+  const [asset, setAsset] = useState('BTC');
+  const [amount, setAmount] = useState('');
+  const [platform, setPlatform] = useState('Crypto.com');
+  const [frequency, setFrequency] = useState('MONTHLY');
+  const [startDate, setStartDate] = useState(today);
+  const [endDate, setEndDate] = useState('');
+  const [errors, setErrors] = useState([]);
+  const money = (value) => formatMoney(value, currency);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const plan = { asset: asset.toUpperCase(), amount: parseFloat(amount), platform, frequency, startDate };
+    if (endDate) plan.endDate = endDate;
+    const problems = validatePlan(plan);
+    setErrors(problems);
+    if (problems.length > 0) return;
+    onAdd(plan);
+    setAmount('');
+    setEndDate('');
+  };
+
+  const renderOccurrence = (plan, occurrence) => (
+    <li key={occurrence.date} className="flex flex-wrap items-center gap-2">
+      <span className="w-24">{occurrence.date}</span>
+      <span className={STATUS_CLASSES[occurrence.status]}>{OCCURRENCE_STATUSES[occurrence.status]}</span>
+      {occurrence.tx && (
+        <span className="text-gray-500">
+          {occurrence.tx.quantity.toLocaleString('fr-FR', { maximumFractionDigits: 8 })} {plan.asset} à{' '}
+          {money(occurrence.tx.price)}
+        </span>
+      )}
+      {(occurrence.status === 'MISSED' || occurrence.status === 'DUE') && (
+        <>
+          <button onClick={() => onConfirm(plan, occurrence.date)} className="text-primary hover:text-primary-dark">
+            Confirmer l&apos;achat
+          </button>
+          <button onClick={() => onSkip(plan.id, occurrence.date)} className="text-gray-500 hover:text-gray-700">
+            Ignorer
+          </button>
+        </>
+      )}
+    </li>
+  );
+
+  const renderPlan = (plan) => {
+    const schedule = planSchedule(plan, transactions, today);
+    const adherence = planAdherence(plan, transactions, today);
+    const missed = schedule.filter((o) => o.status === 'MISSED');
+    const hiddenMissed = missed.slice(0, Math.max(0, missed.length - MISSED_SHOWN));
+    const shown = schedule.filter(
+      (o) => o.status === 'DUE' || o.status === 'UPCOMING' || (o.status === 'MISSED' && !hiddenMissed.includes(o))
+    );
+    const recent = schedule.filter((o) => o.status === 'DONE' || o.status === 'SKIPPED').slice(-3);
+    return (
+      <div key={plan.id} className="border rounded-lg p-3 space-y-2">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <div className="font-medium">
+            {money(plan.amount)} de {plan.asset} · {DCA_FREQUENCIES[plan.frequency].toLowerCase()} · {plan.platform}
+            <span className="text-sm text-gray-500">
+              {' '}
+              depuis le {plan.startDate}
+              {plan.endDate ? ` jusqu'au ${plan.endDate}` : ''}
+            </span>
+          </div>
+          <button
+            onClick={() => {
+              if (window.confirm('Supprimer ce plan ? Les achats déjà effectués sont conservés.')) onDelete(plan.id);
+            }}
+            className="text-red-600 hover:text-red-800 text-sm"
+          >
+            Supprimer
+          </button>
+        </div>
+
+        {/* Plan vs actual */}
+        <div className="text-sm text-gray-600">
+          {adherence.done} / {adherence.scheduled} achats effectués ({Math.round(adherence.rate * 100)} %) ·{' '}
+          {adherence.missed} manqués · {adherence.skipped} ignorés · Prévu : {money(adherence.plannedInvested)} ·
+          Investi : {money(adherence.actualInvested)}
+          {adherence.quantity > 0 && ` · Prix moyen : ${money(adherence.actualInvested / adherence.quantity)}`}
+        </div>
+
+        <ul className="text-sm space-y-1">
+          {recent.map((o) => renderOccurrence(plan, o))}
+          {hiddenMissed.length > 0 && (
+            <li className="text-red-700">… {hiddenMissed.length} occurrences manquées plus anciennes</li>
+          )}
+          {shown.map((o) => renderOccurrence(plan, o))}
+        </ul>
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow space-y-4">
+      <h2 className="text-lg font-semibold text-gray-800">Plans DCA</h2>
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-7 gap-4 items-end">
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Actif</label>
+          <input
+            type="text"
+            className="mt-1 block w-full p-2 border border-gray-300 rounded-md uppercase"
+            value={asset}
+            onChange={(e) => setAsset(e.target.value.toUpperCase())}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Montant ({CURRENCIES[currency]})</label>
+          <input
+            type="number"
+            step="0.01"
+            className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            placeholder="100"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Plateforme</label>
+          <select
+            className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+            value={platform}
+            onChange={(e) => setPlatform(e.target.value)}
+          >
+            {PLATFORMS.map((p) => (
+              <option key={p} value={p}>
+                {p}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Fréquence</label>
+          <select
+            className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+            value={frequency}
+            onChange={(e) => setFrequency(e.target.value)}
+          >
+            {Object.keys(DCA_FREQUENCIES).map((f) => (
+              <option key={f} value={f}>
+                {DCA_FREQUENCIES[f]}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Début</label>
+          <input
+            type="date"
+            className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+            value={startDate}
+            onChange={(e) => setStartDate(e.target.value)}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Fin (facultative)</label>
+          <input
+            type="date"
+            className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+            value={endDate}
+            onChange={(e) => setEndDate(e.target.value)}
+          />
+        </div>
+        <button type="submit" className="bg-primary text-white px-4 py-2 rounded-md hover:bg-primary-dark">
+          Créer le plan
+        </button>
+      </form>
+      {errors.length > 0 && <div className="text-sm text-red-700">{errors.join(' · ')}</div>}
+
+      {plans.length === 0 ? (
+        <div className="text-gray-500">Aucun plan pour le moment.</div>
+      ) : (
+        <div className="space-y-3">{plans.map(renderPlan)}</div>
+      )}
+    </div>
+  );
+}
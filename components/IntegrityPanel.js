@@ -0,0 +1,42 @@
+import { INTEGRITY_CHECKS } from '../utils/integrity';
+
+/**
+ * Integrity issues of the transactions (see integrity.js), errors first,
+ * each with a button to edit the transaction concerned.
+ *
+ * @param {{ issues: Array, transactions: Array, onEdit: Function }} props
+ */
+export default function IntegrityPanel({ issues = [], transactions = [], onEdit }) {
+  if (issues.length === 0) {
+    return <div className="text-sm text-gray-500">Aucune incohérence détectée.</div>;
+  }
+  const sorted = [...issues].sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+  const errorCount = issues.filter((issue) => issue.severity === 'error').length;
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow space-y-2 text-sm">
+      <div className="text-gray-600">
+        {errorCount} erreur(s), {issues.length - errorCount} avertissement(s). Les unités cédées sans être détenues
+        sont exclues des plus-values.
+      </div>
+      <ul className="space-y-1">
+        {sorted.map((issue, i) => {
+          const tx = transactions.find((t) => t.id === issue.txId);
+          return (
+            <li key={`${issue.code}-${issue.txId}-${i}`} className="flex flex-wrap items-center gap-3">
+              <span className={issue.severity === 'error' ? 'text-red-600 font-medium' : 'text-amber-700 font-medium'}>
+                {INTEGRITY_CHECKS[issue.code]}
+              </span>
+              <span>{issue.message}</span>
+              {tx && (
+                <button onClick={() => onEdit(tx)} className="text-primary hover:text-primary-dark">
+                  Modifier
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
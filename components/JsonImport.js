@@ -0,0 +1,126 @@
+import { useMemo, useState } from 'react';
+import { TRANSACTION_TYPES } from '../utils/finance';
+import { parseBackup, BACKUP_VERSION } from '../utils/backup';
+
+const IMPORT_MODES = {
+  MERGE: 'Fusionner avec les transactions actuelles',
+  REPLACE: 'Remplacer toutes les données',
+};
+
+/**
+ * Confirmation step of a JSON import: reports the file version, the
+ * transactions rejected by validation and those already recorded, and lets
+ * the user merge the file into the portfolio or replace it. Merging adds
+ * the new valid transactions and the missing manual prices and keeps the
+ * current settings; replacing loads the valid transactions, manual prices
+ * and settings of the file. DCA plans and alert rules are added, or
+ * replaced, the same way. `onImport` receives `{ mode, transactions,
+ * manualPrices, settings, coins, plans, alertRules }`.
+ *
+ * @param {{ file: {name: string, text: string}, existing: Array, onImport: Function, onCancel: Function }} props
+ */
+export default function JsonImport({ file, existing = [], onImport, onCancel }) {
+  const [mode, setMode] = useState('MERGE');
+
+  const result = useMemo(() => {
+    try {
+      return { backup: parseBackup(file.text, existing) };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [file, existing]);
+
+  const handleConfirm = () => {
+    const { rows, manualPrices, settings, coins, plans, alertRules } = result.backup;
+    const valid = rows.filter((r) => r.errors.length === 0);
+    onImport({
+      mode,
+      transactions: (mode === 'MERGE' ? valid.filter((r) => !r.duplicate) : valid).map((r) => r.tx),
+      manualPrices,
+      settings,
+      coins,
+      plans,
+      alertRules,
+    });
+  };
+
+  const describe = (tx) =>
+    tx && typeof tx === 'object'
+      ? [tx.date, TRANSACTION_TYPES[tx.type] ?? tx.type, tx.asset].filter(Boolean).join(' ')
+      : String(tx);
+
+  const backup = result.backup;
+  const invalid = backup ? backup.rows.filter((r) => r.errors.length > 0) : [];
+  const duplicates = backup ? backup.rows.filter((r) => r.duplicate).length : 0;
+  const valid = backup ? backup.rows.length - invalid.length : 0;
+  const toImport = mode === 'MERGE' ? valid - duplicates : valid;
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow space-y-4">
+      <h2 className="text-lg font-semibold text-gray-800">Import JSON – {file.name}</h2>
+
+      {result.error && <div className="text-red-700">{result.error}</div>}
+
+      {backup && (
+        <>
+          <div className="text-sm text-gray-600 space-y-1">
+            {backup.fromVersion < BACKUP_VERSION && (
+              <p>Fichier au format v{backup.fromVersion}, converti au format actuel (v{BACKUP_VERSION}).</p>
+            )}
+            <p>
+              {backup.rows.length} transactions · {valid} valides · {invalid.length} invalides · {duplicates} déjà
+              enregistrées · {Object.keys(backup.manualPrices).length} prix manuels · {backup.plans.length} plans DCA ·{' '}
+              {backup.alertRules.length} règles d&apos;alerte
+            </p>
+          </div>
+
+          {(invalid.length > 0 || backup.errors.length > 0) && (
+            <div className="bg-red-50 border border-red-200 p-3 rounded text-sm text-red-700 space-y-1 max-h-64 overflow-auto">
+              <p className="font-medium">Éléments ignorés :</p>
+              <ul className="list-disc list-inside">
+                {invalid.map((r) => (
+                  <li key={r.index}>
+                    Transaction n° {r.index + 1} ({describe(r.tx)}) : {r.errors.join(' · ')}
+                  </li>
+                ))}
+                {backup.errors.map((e) => (
+                  <li key={e}>{e}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="space-y-1">
+            {Object.keys(IMPORT_MODES).map((m) => (
+              <label key={m} className="flex items-center space-x-2 text-sm text-gray-700">
+                <input type="radio" name="importMode" value={m} checked={mode === m} onChange={() => setMode(m)} />
+                <span>{IMPORT_MODES[m]}</span>
+              </label>
+            ))}
+          </div>
+        </>
+      )}
+
+      <div className="flex flex-wrap gap-4">
+        {backup && (
+          <button
+            onClick={handleConfirm}
+            disabled={
+              mode === 'MERGE' &&
+              toImport === 0 &&
+              Object.keys(backup.manualPrices).length === 0 &&
+              backup.plans.length === 0 &&
+              backup.alertRules.length === 0
+            }
+            className="bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700 disabled:opacity-50"
+          >
+            {mode === 'MERGE' ? `Ajouter ${toImport} transaction${toImport > 1 ? 's' : ''}` : `Remplacer par ${toImport} transaction${toImport > 1 ? 's' : ''}`}
+          </button>
+        )}
+        <button onClick={onCancel} className="bg-gray-600 text-white px-4 py-2 rounded-md hover:bg-gray-700">
+          Annuler
+        </button>
+      </div>
+    </div>
+  );
+}
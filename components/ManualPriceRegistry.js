@@ -0,0 +1,142 @@
+import { useState } from 'react';
+import { validatePricePoint, addPricePoint, removePricePoint, removeManualAsset } from '../utils/manualPrices';
+import { isListed } from '../utils/prices';
+
+const formatPrice = (value) => value.toLocaleString('fr-FR', { maximumFractionDigits: 8 });
+
+/**
+ * Manual prices of presale and unlisted tokens (see manualPrices.js): each
+ * asset with its dated price points, and a form recording a point, which
+ * adds the asset when it is new. Assets the price API now covers are
+ * flagged: their points only value the dates before the API history.
+ * Changes are passed to `onChange(registry)`.
+ *
+ * @param {{ registry: object, coins?: object, onChange: Function }} props
+ */
+export default function ManualPriceRegistry({ registry = {}, coins = {}, onChange }) {
+  const today = new Date().toISOString().split('T')[0];
+  const [asset, setAsset] = useState('');
+  const [date, setDate] = useState(today);
+  const [price, setPrice] = useState('');
+  const [note, setNote] = useState('');
+  const [errors, setErrors] = useState([]);
+  const assets = Object.keys(registry).sort();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const symbol = asset.trim().toUpperCase();
+    const point = { date, price: parseFloat(price) };
+    if (note.trim()) point.note = note.trim();
+    const problems = [...(symbol ? [] : ['Actif manquant']), ...validatePricePoint(point)];
+    setErrors(problems);
+    if (problems.length > 0) return;
+    onChange(addPricePoint(registry, symbol, point));
+    setPrice('');
+    setNote('');
+  };
+
+  const handleRemoveAsset = (symbol) => {
+    if (!window.confirm(`Retirer ${symbol} et tous ses prix manuels ?`)) return;
+    onChange(removeManualAsset(registry, symbol));
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow space-y-4 text-sm">
+      {assets.length === 0 ? (
+        <div className="text-gray-500">Aucun prix manuel.</div>
+      ) : (
+        <ul className="space-y-2">
+          {assets.map((symbol) => {
+            const points = registry[symbol];
+            return (
+              <li key={symbol} className="space-y-1">
+                <div className="flex flex-wrap items-center gap-3">
+                  <span className="font-medium">{symbol}</span>
+                  <span>
+                    {points.length > 0 ? `${formatPrice(points[points.length - 1].price)} €` : 'Aucun point de prix'}
+                  </span>
+                  {isListed(symbol, coins) && (
+                    <span className="text-xs bg-green-100 text-green-800 px-2 py-0.5 rounded">Coté par l&apos;API</span>
+                  )}
+                  <button onClick={() => handleRemoveAsset(symbol)} className="text-red-600 hover:text-red-800">
+                    Retirer
+                  </button>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  {points.map((point) => (
+                    <span key={point.date} className="inline-flex items-center gap-1 bg-gray-100 px-2 py-0.5 rounded">
+                      {point.date} · {formatPrice(point.price)} €{point.note ? ` · ${point.note}` : ''}
+                      <button
+                        onClick={() => onChange(removePricePoint(registry, symbol, point.date))}
+                        className="text-gray-500 hover:text-red-600"
+                        title="Supprimer ce point"
+                      >
+                        ×
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-2">
+        <label className="flex flex-col">
+          <span className="text-gray-700">Actif</span>
+          <input
+            list="manual-price-assets"
+            value={asset}
+            onChange={(e) => setAsset(e.target.value)}
+            placeholder="RTX"
+            className="p-2 border border-gray-300 rounded-md w-28"
+          />
+          <datalist id="manual-price-assets">
+            {assets.map((symbol) => (
+              <option key={symbol} value={symbol} />
+            ))}
+          </datalist>
+        </label>
+        <label className="flex flex-col">
+          <span className="text-gray-700">Date</span>
+          <input
+            type="date"
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            className="p-2 border border-gray-300 rounded-md"
+          />
+        </label>
+        <label className="flex flex-col">
+          <span className="text-gray-700">Prix (€)</span>
+          <input
+            type="number"
+            step="any"
+            min="0"
+            value={price}
+            onChange={(e) => setPrice(e.target.value)}
+            className="p-2 border border-gray-300 rounded-md w-28"
+          />
+        </label>
+        <label className="flex flex-col">
+          <span className="text-gray-700">Note</span>
+          <input
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Prévente, cotation…"
+            className="p-2 border border-gray-300 rounded-md"
+          />
+        </label>
+        <button type="submit" className="bg-primary text-white px-3 py-2 rounded-md hover:bg-primary-dark">
+          Enregistrer le prix
+        </button>
+      </form>
+      {errors.length > 0 && (
+        <ul className="text-red-600">
+          {errors.map((error) => (
+            <li key={error}>{error}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import { CURRENCIES } from '../utils/currency';
+
+const formatPercent = (value) =>
+  value === null || value === undefined
+    ? '—'
+    : `${(value * 100).toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} %`;
+
+const formatAmount = (value) =>
+  value.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const colorClass = (value) => (value > 0 ? 'text-green-700' : value < 0 ? 'text-red-700' : '');
+
+/**
+ * Portfolio performance indicators: time-weighted return, money-weighted
+ * return (XIRR) for the portfolio and per asset, maximum drawdown and
+ * volatility, as computed by `computePerformance`. Amounts are in
+ * `currency`, EUR by default.
+ *
+ * @param {{ performance: object | null, currency?: string }} props
+ */
+export default function PerformancePanel({ performance, currency = 'EUR' }) {
+  const symbol = CURRENCIES[currency];
+  if (!performance) {
+    return <div className="text-gray-500">Aucune transaction passée à analyser.</div>;
+  }
+  const indicators = [
+    {
+      label: 'Rendement pondéré par le temps (TWR)',
+      value: performance.twr,
+      hint: `sur ${performance.days} jours`,
+    },
+    {
+      label: 'TWR annualisé',
+      value: performance.twrAnnualised,
+      hint: performance.twrAnnualised === null ? "moins d'un an d'historique" : 'par an',
+    },
+    {
+      label: 'Rendement pondéré par les flux (XIRR)',
+      value: performance.xirr,
+      hint: 'par an',
+    },
+    { label: 'Drawdown maximal', value: -performance.maxDrawdown, hint: 'du plus haut au plus bas' },
+    { label: 'Volatilité', value: performance.volatility, hint: 'annualisée', neutral: true },
+  ];
+  const assets = Object.keys(performance.byAsset).sort();
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-5 gap-4">
+        {indicators.map((ind) => (
+          <div key={ind.label} className="border rounded-lg p-3">
+            <div className="text-sm text-gray-600">{ind.label}</div>
+            <div className={`text-xl font-semibold ${ind.neutral ? '' : colorClass(ind.value)}`}>
+              {formatPercent(ind.value)}
+            </div>
+            <div className="text-xs text-gray-500">{ind.hint}</div>
+          </div>
+        ))}
+      </div>
+
+      {assets.length > 0 && (
+        <div className="overflow-auto border rounded-lg">
+          <table className="min-w-full">
+            <thead>
+              <tr>
+                <th>Actif</th>
+                <th>Investi ({symbol})</th>
+                <th>Récupéré ({symbol})</th>
+                <th>Valeur ({symbol})</th>
+                <th>XIRR</th>
+              </tr>
+            </thead>
+            <tbody>
+              {assets.map((asset) => {
+                const a = performance.byAsset[asset];
+                return (
+                  <tr key={asset} className="border-b last:border-b-0">
+                    <td>{asset}</td>
+                    <td>{formatAmount(a.invested)}</td>
+                    <td>{formatAmount(a.received)}</td>
+                    <td>{formatAmount(a.value)}</td>
+                    <td className={colorClass(a.xirr)}>{formatPercent(a.xirr)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="text-sm text-gray-500 space-y-1">
+        <p>
+          Le TWR enchaîne les rendements quotidiens hors apports et retraits : il mesure la performance des actifs. Le
+          XIRR tient compte du montant et de la date de chaque achat et vente : il mesure votre rendement réel. Par
+          actif, un échange compte comme une vente de l&apos;actif cédé et un achat de l&apos;actif reçu.
+        </p>
+        {performance.estimated && (
+          <p>* Historique de prix incomplet : certains jours sont valorisés avec les prix actuels.</p>
+        )}
+      </div>
+    </div>
+  );
+}
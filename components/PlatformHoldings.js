@@ -0,0 +1,64 @@
+import { CURRENCIES } from '../utils/currency';
+
+/**
+ * Shows the quantity and current value of each asset held on each platform,
+ * with a subtotal per platform. Negative quantities (more units sent or
+ * sold than recorded on a platform) are highlighted. Values are in
+ * `currency`, the currency of `prices`.
+ *
+ * @param {{ holdings: Record<string, Record<string, number>>, prices: Record<string, number>, currency?: string }} props
+ */
+export default function PlatformHoldings({ holdings = {}, prices = {}, currency = 'EUR' }) {
+  const platforms = Object.keys(holdings).sort();
+  if (platforms.length === 0) {
+    return <div className="text-gray-500">Aucune position.</div>;
+  }
+  return (
+    <div className="overflow-auto border rounded-lg">
+      <table className="min-w-full">
+        <thead>
+          <tr>
+            <th>Plateforme</th>
+            <th>Actif</th>
+            <th>Quantité</th>
+            <th>Valeur ({CURRENCIES[currency]})</th>
+          </tr>
+        </thead>
+        <tbody>
+          {platforms.map((platform) => {
+            const assets = Object.keys(holdings[platform]).sort();
+            const subtotal = assets.reduce(
+              (sum, asset) => sum + holdings[platform][asset] * (prices[asset] ?? 0),
+              0
+            );
+            return [
+              ...assets.map((asset) => {
+                const qty = holdings[platform][asset];
+                return (
+                  <tr key={`${platform}-${asset}`} className="border-b">
+                    <td>{platform}</td>
+                    <td className="font-medium">{asset}</td>
+                    <td className={qty < 0 ? 'text-red-700' : ''}>
+                      {qty.toLocaleString('fr-FR', { minimumFractionDigits: 4, maximumFractionDigits: 8 })}
+                    </td>
+                    <td>
+                      {prices[asset] !== undefined
+                        ? (qty * prices[asset]).toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+                        : '—'}
+                    </td>
+                  </tr>
+                );
+              }),
+              <tr key={`${platform}-total`} className="font-semibold bg-gray-50 border-b last:border-b-0">
+                <td>{platform}</td>
+                <td>Total</td>
+                <td></td>
+                <td>{subtotal.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
+              </tr>,
+            ];
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -1,7 +1,6 @@
 import {
   LineChart,
   Line,
-  BarChart,
   Bar,
   XAxis,
   YAxis,
@@ -10,6 +9,7 @@ import {
   Legend,
   ResponsiveContainer,
 } from 'recharts';
+import { CURRENCIES, formatMoney } from '../utils/currency';
 
 /**
  * Renders a combined line and bar chart of the portfolio's monthly evolution.
@@ -18,26 +18,50 @@ import {
  * the bar represents total invested capital up to that month. A tooltip
  * displays the breakdown when hovering.
  *
- * @param {{ history: Array }} props
+ * An optional `comparison` history (e.g. a backtest) with the same shape is
+ * drawn as dashed lines for its total value and invested capital.
+ *
+ * Amounts are in `currency`, EUR by default.
+ *
+ * @param {{ history: Array, comparison?: Array, comparisonLabel?: string, currency?: string }} props
  */
-export default function PortfolioChart({ history = [] }) {
-  if (!history || history.length === 0) {
+export default function PortfolioChart({ history = [], comparison, comparisonLabel = 'Simulation', currency = 'EUR' }) {
+  const symbol = CURRENCIES[currency];
+  if ((!history || history.length === 0) && (!comparison || comparison.length === 0)) {
     return <div className="text-gray-500">Aucune donnée pour le graphique.</div>;
   }
+  // Merge both histories month by month
+  let data = history;
+  if (comparison && comparison.length > 0) {
+    const byMonth = {};
+    for (const h of history) byMonth[h.month] = { ...h };
+    for (const c of comparison) {
+      byMonth[c.month] = { ...byMonth[c.month], month: c.month, comparisonValue: c.value + c.realised, comparisonInvested: c.invested };
+    }
+    data = Object.keys(byMonth)
+      .sort()
+      .map((month) => byMonth[month]);
+  }
   return (
     <ResponsiveContainer width="100%" height={320}>
-      <LineChart data={history} margin={{ top: 10, right: 20, bottom: 10, left: 0 }}>
+      <LineChart data={data} margin={{ top: 10, right: 20, bottom: 10, left: 0 }}>
         <CartesianGrid strokeDasharray="3 3" />
         <XAxis dataKey="month" />
         <YAxis yAxisId="left" orientation="left" tickFormatter={(v) => v.toLocaleString('fr-FR', { maximumFractionDigits: 0 })} />
         <YAxis yAxisId="right" orientation="right" tickFormatter={(v) => v.toLocaleString('fr-FR', { maximumFractionDigits: 0 })} />
-        <Tooltip formatter={(value) => value.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} />
+        <Tooltip
+          formatter={(value) =>
+            value === null || value === undefined
+              ? '—'
+              : formatMoney(value, currency)
+          }
+        />
         <Legend />
         {/* Bar for invested capital */}
         <Bar
           yAxisId="right"
           dataKey="invested"
-          name="Investi (€)"
+          name={`Investi (${symbol})`}
           fill="#0e7490"
           barSize={20}
         />
@@ -45,12 +69,39 @@ export default function PortfolioChart({ history = [] }) {
         <Line
           yAxisId="left"
           type="monotone"
-          dataKey={(d) => d.value + d.realised}
-          name="Valeur totale (€)"
+          dataKey={(d) => (d.value !== undefined ? d.value + d.realised : null)}
+          name={`Valeur totale (${symbol})`}
           stroke="#10b981"
           strokeWidth={2}
           dot={{ r: 3 }}
+          connectNulls
         />
+        {/* Dashed lines for the comparison history */}
+        {comparison && comparison.length > 0 && (
+          <Line
+            yAxisId="left"
+            type="monotone"
+            dataKey="comparisonValue"
+            name={`${comparisonLabel} – valeur (${symbol})`}
+            stroke="#f59e0b"
+            strokeWidth={2}
+            strokeDasharray="5 5"
+            dot={false}
+            connectNulls
+          />
+        )}
+        {comparison && comparison.length > 0 && (
+          <Line
+            yAxisId="right"
+            type="stepAfter"
+            dataKey="comparisonInvested"
+            name={`${comparisonLabel} – investi (${symbol})`}
+            stroke="#6366f1"
+            strokeDasharray="3 3"
+            dot={false}
+            connectNulls
+          />
+        )}
       </LineChart>
     </ResponsiveContainer>
   );
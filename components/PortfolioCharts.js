@@ -0,0 +1,276 @@
+import { useState } from 'react';
+import {
+  PieChart,
+  Pie,
+  Cell,
+  Treemap,
+  AreaChart,
+  Area,
+  ComposedChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import { CURRENCIES, formatMoney } from '../utils/currency';
+import {
+  CHART_RANGES,
+  chartColor,
+  rangeMonths,
+  filterHistory,
+  allocationSlices,
+  valueByAsset,
+  valueByPlatform,
+  returnHeatmap,
+} from '../utils/charts';
+
+const MONTHS = ['Janv.', 'Févr.', 'Mars', 'Avr.', 'Mai', 'Juin', 'Juil.', 'Août', 'Sept.', 'Oct.', 'Nov.', 'Déc.'];
+
+const formatAxis = (value) => value.toLocaleString('fr-FR', { maximumFractionDigits: 0 });
+
+const formatPercent = (value) =>
+  `${value.toLocaleString('fr-FR', { minimumFractionDigits: 1, maximumFractionDigits: 1 })} %`;
+
+// Treemap tile with its name and share when it fits; the root is not drawn
+function TreemapTile({ x, y, width, height, depth, name, percent, color }) {
+  if (depth !== 1) return null;
+  return (
+    <g>
+      <rect x={x} y={y} width={width} height={height} fill={color} stroke="#fff" strokeWidth={2} />
+      {width > 50 && height > 30 && (
+        <text x={x + 6} y={y + 18} fill="#fff" fontSize={12}>
+          {name} · {formatPercent(percent)}
+        </text>
+      )}
+    </g>
+  );
+}
+
+// Background of a monthly return: green for gains, red for losses, deeper
+// as the return grows up to ±20 %
+function heatColor(value) {
+  const alpha = Math.min(Math.abs(value) / 20, 1) * 0.8 + 0.1;
+  return value >= 0 ? `rgba(16, 185, 129, ${alpha})` : `rgba(239, 68, 68, ${alpha})`;
+}
+
+/**
+ * Breakdown charts of the portfolio: its current allocation by asset or by
+ * platform (as a pie or a treemap), the value of each asset month by month
+ * as stacked areas, the net capital contributed against the value held,
+ * and the monthly returns by year as a heatmap (see charts.js).
+ *
+ * The history charts show the selected range of months. Assets can be
+ * toggled: hidden ones are left out of the allocation and of the value per
+ * asset, while contributions and returns stay those of the whole
+ * portfolio. Amounts are in `currency`, EUR by default.
+ *
+ * @param {{ history: Array, summary: Record<string, object>, holdings: Record<string, Record<string, number>>, prices: Record<string, number>, currency?: string }} props
+ */
+export default function PortfolioCharts({ history = [], summary = {}, holdings = {}, prices = {}, currency = 'EUR' }) {
+  const symbol = CURRENCIES[currency];
+  const [range, setRange] = useState('ALL');
+  const [custom, setCustom] = useState({ from: '', to: '' });
+  const [hidden, setHidden] = useState([]);
+  const [groupBy, setGroupBy] = useState('ASSET');
+  const [shape, setShape] = useState('PIE');
+
+  if (history.length === 0 && Object.keys(summary).length === 0) {
+    return <div className="text-gray-500">Aucune donnée pour les graphiques.</div>;
+  }
+
+  // Every asset ever held, each with a fixed colour
+  const assets = Array.from(
+    new Set([...Object.keys(summary), ...history.flatMap((h) => Object.keys(h.assets || {}))])
+  ).sort();
+  const colorOf = (asset) => chartColor(assets.indexOf(asset));
+  const shown = assets.filter((asset) => !hidden.includes(asset));
+  const toggle = (asset) =>
+    setHidden((prev) => (prev.includes(asset) ? prev.filter((a) => a !== asset) : [...prev, asset]));
+
+  const months = filterHistory(history, rangeMonths(range, custom));
+  const platforms = Object.keys(holdings).sort();
+  const slices = allocationSlices(
+    groupBy === 'ASSET' ? valueByAsset(summary, hidden) : valueByPlatform(holdings, prices, hidden)
+  ).map((slice) => ({
+    ...slice,
+    color: groupBy === 'ASSET' ? colorOf(slice.name) : chartColor(platforms.indexOf(slice.name)),
+  }));
+  const stacked = months.map((h) => ({
+    month: h.month,
+    ...Object.fromEntries(shown.map((asset) => [asset, (h.assets || {})[asset] ?? 0])),
+  }));
+  const heatmap = returnHeatmap(months);
+  const money = (value) => (value === null || value === undefined ? '—' : formatMoney(value, currency));
+
+  return (
+    <div className="space-y-6">
+      {/* Range and assets shown */}
+      <div className="flex flex-wrap items-center gap-4 text-sm">
+        <label className="flex items-center space-x-2 font-medium text-gray-700">
+          <span>Période</span>
+          <select className="p-2 border border-gray-300 rounded-md" value={range} onChange={(e) => setRange(e.target.value)}>
+            {Object.entries(CHART_RANGES).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {range === 'CUSTOM' && (
+          <>
+            <label className="flex items-center space-x-2">
+              <span>Du</span>
+              <input
+                type="month"
+                value={custom.from}
+                onChange={(e) => setCustom((prev) => ({ ...prev, from: e.target.value }))}
+                className="p-2 border border-gray-300 rounded-md"
+              />
+            </label>
+            <label className="flex items-center space-x-2">
+              <span>au</span>
+              <input
+                type="month"
+                value={custom.to}
+                onChange={(e) => setCustom((prev) => ({ ...prev, to: e.target.value }))}
+                className="p-2 border border-gray-300 rounded-md"
+              />
+            </label>
+          </>
+        )}
+        <div className="flex flex-wrap items-center gap-2">
+          {assets.map((asset) => (
+            <button
+              key={asset}
+              onClick={() => toggle(asset)}
+              className={`px-2 py-1 rounded border ${hidden.includes(asset) ? 'text-gray-400 line-through' : ''}`}
+              style={{ borderColor: colorOf(asset) }}
+              title={hidden.includes(asset) ? 'Afficher' : 'Masquer'}
+            >
+              {asset}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Current allocation */}
+        <div className="bg-white p-4 rounded-lg shadow">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+            <h3 className="font-semibold text-gray-800">Allocation</h3>
+            <div className="flex gap-2 text-sm">
+              <select className="p-1 border border-gray-300 rounded-md" value={groupBy} onChange={(e) => setGroupBy(e.target.value)}>
+                <option value="ASSET">Par actif</option>
+                <option value="PLATFORM">Par plateforme</option>
+              </select>
+              <select className="p-1 border border-gray-300 rounded-md" value={shape} onChange={(e) => setShape(e.target.value)}>
+                <option value="PIE">Camembert</option>
+                <option value="TREEMAP">Carte proportionnelle</option>
+              </select>
+            </div>
+          </div>
+          {slices.length === 0 ? (
+            <div className="text-gray-500 text-sm">Aucune position valorisée.</div>
+          ) : (
+            <ResponsiveContainer width="100%" height={280}>
+              {shape === 'PIE' ? (
+                <PieChart>
+                  <Pie data={slices} dataKey="value" nameKey="name" outerRadius={100} label={(s) => s.name}>
+                    {slices.map((slice) => (
+                      <Cell key={slice.name} fill={slice.color} />
+                    ))}
+                  </Pie>
+                  <Tooltip formatter={(value, name, item) => `${money(value)} (${formatPercent(item.payload.percent)})`} />
+                </PieChart>
+              ) : (
+                <Treemap data={slices} dataKey="value" nameKey="name" content={<TreemapTile />} isAnimationActive={false} />
+              )}
+            </ResponsiveContainer>
+          )}
+        </div>
+
+        {/* Net contributions against value */}
+        <div className="bg-white p-4 rounded-lg shadow">
+          <h3 className="font-semibold text-gray-800 mb-2">Apports cumulés et valeur</h3>
+          <ResponsiveContainer width="100%" height={280}>
+            <ComposedChart data={months} margin={{ top: 10, right: 20, bottom: 10, left: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="month" />
+              <YAxis tickFormatter={formatAxis} />
+              <Tooltip formatter={money} />
+              <Legend />
+              <Area type="monotone" dataKey="value" name={`Valeur (${symbol})`} stroke="#10b981" fill="#10b981" fillOpacity={0.2} />
+              <Line type="stepAfter" dataKey="contributed" name={`Apports nets (${symbol})`} stroke="#6366f1" dot={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      {/* Value of each asset over time */}
+      <div className="bg-white p-4 rounded-lg shadow">
+        <h3 className="font-semibold text-gray-800 mb-2">Valeur par actif</h3>
+        <ResponsiveContainer width="100%" height={320}>
+          <AreaChart data={stacked} margin={{ top: 10, right: 20, bottom: 10, left: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="month" />
+            <YAxis tickFormatter={formatAxis} />
+            <Tooltip formatter={money} />
+            <Legend />
+            {shown.map((asset) => (
+              <Area
+                key={asset}
+                type="monotone"
+                dataKey={asset}
+                name={asset}
+                stackId="assets"
+                stroke={colorOf(asset)}
+                fill={colorOf(asset)}
+                fillOpacity={0.6}
+              />
+            ))}
+          </AreaChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* Monthly returns by year */}
+      <div className="bg-white p-4 rounded-lg shadow">
+        <h3 className="font-semibold text-gray-800 mb-2">Rendements mensuels</h3>
+        {heatmap.length === 0 ? (
+          <div className="text-gray-500 text-sm">Aucun rendement sur la période.</div>
+        ) : (
+          <div className="overflow-auto">
+            <table className="min-w-full text-xs text-center">
+              <thead>
+                <tr>
+                  <th>Année</th>
+                  {MONTHS.map((label) => (
+                    <th key={label}>{label}</th>
+                  ))}
+                  <th>Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {heatmap.map((row) => (
+                  <tr key={row.year}>
+                    <td className="font-medium">{row.year}</td>
+                    {row.months.map((value, i) => (
+                      <td key={i} style={value === null ? undefined : { backgroundColor: heatColor(value) }}>
+                        {value === null ? '' : formatPercent(value)}
+                      </td>
+                    ))}
+                    <td className="font-semibold" style={{ backgroundColor: heatColor(row.total) }}>
+                      {formatPercent(row.total)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,119 @@
+import { useState } from 'react';
+import { validatePortfolioName } from '../utils/portfolios';
+
+// Name prompts, per action
+const NAME_ACTIONS = {
+  CREATE: 'Nom du nouveau portefeuille',
+  RENAME: 'Nouveau nom',
+  DUPLICATE: 'Nom de la copie',
+};
+
+/**
+ * Portfolio picker with the actions on portfolios: create, rename,
+ * duplicate (the open portfolio, with all its data) and delete. The last
+ * portfolio can't be deleted.
+ *
+ * @param {{ portfolios: Array, activeId: string, onSwitch: Function, onCreate: Function, onRename: Function, onDuplicate: Function, onDelete: Function }} props
+ */
+export default function PortfolioSwitcher({
+  portfolios = [],
+  activeId,
+  onSwitch,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onDelete,
+}) {
+  // Action waiting for a name, one of NAME_ACTIONS
+  const [action, setAction] = useState(null);
+  const [name, setName] = useState('');
+  const [errors, setErrors] = useState([]);
+  const active = portfolios.find((p) => p.id === activeId);
+
+  const startAction = (next) => {
+    setAction(next);
+    setErrors([]);
+    if (next === 'RENAME') setName(active ? active.name : '');
+    else if (next === 'DUPLICATE') setName(active ? `${active.name} (copie)` : '');
+    else setName('');
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const problems = validatePortfolioName(name, portfolios, action === 'RENAME' ? activeId : undefined);
+    setErrors(problems);
+    if (problems.length > 0) return;
+    if (action === 'CREATE') onCreate(name.trim());
+    else if (action === 'RENAME') onRename(activeId, name.trim());
+    else onDuplicate(activeId, name.trim());
+    setAction(null);
+  };
+
+  const handleDelete = () => {
+    if (!active || portfolios.length < 2) return;
+    if (window.confirm(`Supprimer le portefeuille « ${active.name} » et toutes ses données ?`)) {
+      onDelete(activeId);
+    }
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow space-y-2">
+      <div className="flex flex-wrap items-center gap-4">
+        <label className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+          <span>Portefeuille</span>
+          <select
+            className="p-2 border border-gray-300 rounded-md"
+            value={activeId || ''}
+            onChange={(e) => {
+              setAction(null);
+              onSwitch(e.target.value);
+            }}
+          >
+            {portfolios.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="flex flex-wrap gap-3 text-sm">
+          <button onClick={() => startAction('CREATE')} className="text-primary hover:text-primary-dark">
+            Nouveau
+          </button>
+          <button onClick={() => startAction('RENAME')} className="text-primary hover:text-primary-dark">
+            Renommer
+          </button>
+          <button onClick={() => startAction('DUPLICATE')} className="text-primary hover:text-primary-dark">
+            Dupliquer
+          </button>
+          <button
+            onClick={handleDelete}
+            disabled={portfolios.length < 2}
+            className="text-red-600 hover:text-red-800 disabled:opacity-50"
+          >
+            Supprimer
+          </button>
+        </div>
+      </div>
+      {action && (
+        <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2">
+          <input
+            type="text"
+            className="p-2 border border-gray-300 rounded-md"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={NAME_ACTIONS[action]}
+            autoFocus
+          />
+          <button type="submit" className="bg-primary text-white px-4 py-2 rounded-md hover:bg-primary-dark">
+            Valider
+          </button>
+          <button type="button" onClick={() => setAction(null)} className="text-sm text-gray-500 hover:text-gray-700">
+            Annuler
+          </button>
+          {errors.length > 0 && <span className="text-sm text-red-700">{errors.join(' · ')}</span>}
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+import { useState } from 'react';
+
+/**
+ * Saved states of the open portfolio, shown on demand, each with the change
+ * that led to it and a button to go back to it.
+ *
+ * @param {{ snapshots: Array, onRestore: Function }} props
+ */
+export default function SnapshotHistory({ snapshots = [], onRestore }) {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="space-y-2">
+      <button onClick={() => setOpen((v) => !v)} className="text-primary hover:text-primary-dark text-sm">
+        {open ? 'Masquer les sauvegardes' : `Sauvegardes automatiques (${snapshots.length})`}
+      </button>
+      {open &&
+        (snapshots.length === 0 ? (
+          <div className="text-sm text-gray-500">Aucune sauvegarde pour le moment.</div>
+        ) : (
+          <ul className="bg-white p-4 rounded-lg shadow text-sm space-y-1">
+            {snapshots.map((snapshot) => (
+              <li key={snapshot.id} className="flex flex-wrap items-center gap-3">
+                <span className="text-gray-500">{new Date(snapshot.date).toLocaleString('fr-FR')}</span>
+                <span>{snapshot.label}</span>
+                <span className="text-gray-400">{snapshot.data.transactions.length} transaction(s)</span>
+                <button onClick={() => onRestore(snapshot)} className="text-primary hover:text-primary-dark">
+                  Restaurer
+                </button>
+              </li>
+            ))}
+          </ul>
+        ))}
+    </div>
+  );
+}
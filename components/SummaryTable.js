@@ -1,13 +1,53 @@
+import Link from 'next/link';
 import { computeTotals } from '../utils/finance';
+import { CURRENCIES } from '../utils/currency';
+
+// Flag for a price whose last refresh failed, or older than `staleAfter`
+// milliseconds; manual prices are never stale
+function PriceBadge({ status, staleAfter }) {
+  if (!status || status.manual || !staleAfter) return null;
+  const since = status.updatedAt ? `prix du ${new Date(status.updatedAt).toLocaleString('fr-FR')}` : 'aucun prix chargé';
+  if (status.failed) {
+    return (
+      <span className="ml-1 text-xs bg-red-100 text-red-800 px-1 rounded" title={`Échec du dernier chargement (${since})`}>
+        échec
+      </span>
+    );
+  }
+  if (status.updatedAt && Date.now() - new Date(status.updatedAt).getTime() > staleAfter) {
+    return (
+      <span className="ml-1 text-xs bg-amber-100 text-amber-800 px-1 rounded" title={`Prix périmé (${since})`}>
+        périmé
+      </span>
+    );
+  }
+  return null;
+}
 
 /**
  * Displays a summary of positions per asset along with portfolio totals.
+ * Assets without a known price are flagged and show a dash instead of a
+ * misleading zero valuation. Amounts are in `currency`, EUR by default.
+ *
+ * With `priceStatus` (`{ [asset]: { updatedAt, failed, manual } }`) and
+ * `staleAfter` (milliseconds), prices that failed to load or are older
+ * than `staleAfter` get a badge. With `linkAssets`, each asset links to its
+ * detail page.
  *
- * @param {{ summary: Record<string, object> }} props
+ * @param {{ summary: Record<string, object>, currency?: string, priceStatus?: object, staleAfter?: number, linkAssets?: boolean }} props
  */
-export default function SummaryTable({ summary = {} }) {
+export default function SummaryTable({ summary = {}, currency = 'EUR', priceStatus = {}, staleAfter, linkAssets = false }) {
+  const symbol = CURRENCIES[currency];
   const totals = computeTotals(summary);
   const assetKeys = Object.keys(summary).sort();
+  const assetName = (asset) =>
+    linkAssets ? (
+      <Link href={`/asset/${encodeURIComponent(asset)}`} className="text-primary hover:text-primary-dark">
+        {asset}
+      </Link>
+    ) : (
+      asset
+    );
   return (
     <div className="overflow-auto border rounded-lg">
       <table className="min-w-full">
@@ -15,31 +55,59 @@ export default function SummaryTable({ summary = {} }) {
           <tr>
             <th>Actif</th>
             <th>Quantité</th>
-            <th>Prix moyen (€)</th>
-            <th>Prix actuel (€)</th>
-            <th>Investi (€)</th>
-            <th>Valeur (€)</th>
-            <th>Réal. (€)</th>
-            <th>Non‑réal. (€)</th>
+            <th>Prix moyen ({symbol})</th>
+            <th>Prix actuel ({symbol})</th>
+            <th>Investi ({symbol})</th>
+            <th>Valeur ({symbol})</th>
+            <th>Réal. ({symbol})</th>
+            <th>Non‑réal. ({symbol})</th>
+            <th>Frais ({symbol})</th>
             <th>PnL (%)</th>
           </tr>
         </thead>
         <tbody>
           {assetKeys.length === 0 && (
             <tr>
-              <td colSpan="9" className="text-center py-4 text-gray-500">
+              <td colSpan="10" className="text-center py-4 text-gray-500">
                 Aucune position ouverte.
               </td>
             </tr>
           )}
           {assetKeys.map((asset) => {
             const s = summary[asset];
+            if (!s.priced) {
+              return (
+                <tr key={asset} className="border-b last:border-b-0">
+                  <td className="font-medium">
+                    {assetName(asset)}{' '}
+                    <span className="text-yellow-600" title="Prix indisponible : actif non coté">
+                      ⚠
+                    </span>
+                    <PriceBadge status={priceStatus[asset]} staleAfter={staleAfter} />
+                  </td>
+                  <td>{s.quantity.toLocaleString('fr-FR', { minimumFractionDigits: 4, maximumFractionDigits: 8 })}</td>
+                  <td>{s.costAvg.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 8 })}</td>
+                  <td>—</td>
+                  <td>{s.invested.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
+                  <td>—</td>
+                  <td className={s.realised >= 0 ? 'text-green-700' : 'text-red-700'}>
+                    {s.realised.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                  </td>
+                  <td>—</td>
+                  <td>{s.fees.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
+                  <td>—</td>
+                </tr>
+              );
+            }
             return (
               <tr key={asset} className="border-b last:border-b-0">
-                <td className="font-medium">{asset}</td>
+                <td className="font-medium">{assetName(asset)}</td>
                 <td>{s.quantity.toLocaleString('fr-FR', { minimumFractionDigits: 4, maximumFractionDigits: 8 })}</td>
                 <td>{s.costAvg.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 8 })}</td>
-                <td>{s.currentPrice.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 8 })}</td>
+                <td>
+                  {s.currentPrice.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 8 })}
+                  <PriceBadge status={priceStatus[asset]} staleAfter={staleAfter} />
+                </td>
                 <td>{s.invested.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
                 <td>{s.value.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
                 <td className={s.realised >= 0 ? 'text-green-700' : 'text-red-700'}>
@@ -48,6 +116,7 @@ export default function SummaryTable({ summary = {} }) {
                 <td className={s.unrealised >= 0 ? 'text-green-700' : 'text-red-700'}>
                   {s.unrealised.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
                 </td>
+                <td>{s.fees.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
                 <td className={s.pnlPercent >= 0 ? 'text-green-700' : 'text-red-700'}>
                   {s.pnlPercent !== null ? s.pnlPercent.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 }) + '%' : '—'}
                 </td>
@@ -68,6 +137,7 @@ export default function SummaryTable({ summary = {} }) {
               <td className={totals.unrealised >= 0 ? 'text-green-700' : 'text-red-700'}>
                 {totals.unrealised.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
               </td>
+              <td>{totals.fees.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
               <td className={totals.pnl >= 0 ? 'text-green-700' : 'text-red-700'}>
                 {totals.invested > 0
                   ? ((totals.pnl / totals.invested) * 100).toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 }) + '%'
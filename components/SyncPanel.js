@@ -0,0 +1,99 @@
+import { useState } from 'react';
+import { TRANSACTION_TYPES } from '../utils/finance';
+
+// One line description of a version of a transaction in a conflict
+function describe(tx) {
+  if (!tx) return 'supprimée';
+  return `${tx.date} · ${TRANSACTION_TYPES[tx.type] || tx.type} ${tx.quantity} ${tx.asset}`;
+}
+
+/**
+ * Sync settings and status: the token of the sync server, the time of the
+ * last sync, the changes waiting to be sent and the conflicts found, each
+ * with the version kept and the one discarded.
+ *
+ * @param {{ token: string, status: {syncing: boolean, error: string|null, lastSyncAt: string|null}, pendingCount: number, conflicts: Array, onTokenChange: Function, onSync: Function, onClearConflicts: Function }} props
+ */
+export default function SyncPanel({
+  token,
+  status,
+  pendingCount = 0,
+  conflicts = [],
+  onTokenChange,
+  onSync,
+  onClearConflicts,
+}) {
+  const [draft, setDraft] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+    onTokenChange(draft.trim());
+    setDraft('');
+  };
+
+  if (!token) {
+    return (
+      <form onSubmit={handleSubmit} className="bg-white p-4 rounded-lg shadow flex flex-wrap items-center gap-3 text-sm">
+        <span className="font-medium">Synchronisation</span>
+        <input
+          type="password"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder="Jeton du serveur"
+          className="border border-gray-300 rounded-md px-2 py-1"
+        />
+        <button type="submit" className="bg-primary text-white px-3 py-1 rounded-md hover:bg-primary-dark">
+          Activer
+        </button>
+        <span className="text-gray-500">Partage les transactions entre vos appareils (voir README_Sync.md).</span>
+      </form>
+    );
+  }
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow space-y-2 text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="font-medium">Synchronisation</span>
+        <span className="text-gray-500">
+          {status.syncing
+            ? 'En cours…'
+            : status.lastSyncAt
+              ? `Dernière synchronisation : ${new Date(status.lastSyncAt).toLocaleString('fr-FR')}`
+              : 'Jamais synchronisé'}
+        </span>
+        {pendingCount > 0 && <span className="text-amber-600">{pendingCount} modification(s) en attente</span>}
+        <button
+          onClick={onSync}
+          disabled={status.syncing}
+          className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-100 disabled:opacity-50"
+        >
+          Synchroniser maintenant
+        </button>
+        <button onClick={() => onTokenChange(null)} className="text-gray-500 hover:text-gray-700">
+          Désactiver
+        </button>
+      </div>
+      {status.error && <div className="text-red-600">{status.error}</div>}
+      {conflicts.length > 0 && (
+        <div className="space-y-1">
+          <div className="flex items-center gap-3">
+            <span className="font-medium text-amber-700">Conflits ({conflicts.length})</span>
+            <button onClick={onClearConflicts} className="text-primary hover:text-primary-dark">
+              Effacer
+            </button>
+          </div>
+          <ul className="space-y-1">
+            {conflicts.map((c, i) => (
+              <li key={`${c.id}-${i}`}>
+                {c.kept === 'local' ? 'Version de cet appareil conservée' : "Version d'un autre appareil conservée"} :{' '}
+                {describe(c.kept === 'local' ? c.local : c.remote)}
+                <span className="text-gray-400"> (écartée : {describe(c.kept === 'local' ? c.remote : c.local)})</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
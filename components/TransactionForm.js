@@ -1,53 +1,196 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
+import { TRANSACTION_TYPES, INCOME_COST_BASIS, PLATFORMS } from '../utils/finance';
+import { CURRENCIES } from '../utils/currency';
 
 /**
  * TransactionForm provides a controlled form for entering new buy/sell
- * transactions. It calls `onAdd` with a standardised transaction
- * object when submitted. The parent component is responsible for
- * persisting the transaction and updating any derived state (prices,
- * summaries, history, etc.).
+ * transactions, with an optional fee in cash or in the traded asset, fiat
+ * deposits/withdrawals, transfers between platforms, rewards/airdrops
+ * with their cost basis, and crypto-to-crypto swaps. Purchases, sales,
+ * income and cash movements are entered in one of the CURRENCIES. A swap is
+ * valued in EUR, estimated with `getPrice(asset, date)` from the price of
+ * either leg at that date, and can be overridden. It calls `onAdd` with a
+ * standardised transaction object when submitted. The parent component is
+ * responsible for persisting the transaction and updating any derived state
+ * (prices, summaries, history, etc.).
  *
- * @param {{ onAdd: Function }} props
+ * When `initial` is given the form starts with its values and `onCancel`
+ * closes it. An `initial` transaction with an id is being edited: its
+ * recorded swap value is kept unless reset.
+ *
+ * `check(tx)` returns the integrity issues the transaction would bring
+ * (see `checkTransaction` in integrity.js): errors block the transaction,
+ * warnings are shown and it is saved on a second submit.
+ *
+ * @param {{ onAdd: Function, getPrice?: Function, check?: Function, initial?: object, onCancel?: Function }} props
  */
-export default function TransactionForm({ onAdd }) {
-  // Initialise with today's date in ISO format
+export default function TransactionForm({ onAdd, getPrice, check, initial, onCancel }) {
+  // Initialise with today's date in ISO format, or the edited transaction
   const today = new Date().toISOString().split('T')[0];
-  const [date, setDate] = useState(today);
-  const [platform, setPlatform] = useState('Crypto.com');
-  const [asset, setAsset] = useState('BTC');
-  const [type, setType] = useState('BUY');
-  const [price, setPrice] = useState('');
-  const [quantity, setQuantity] = useState('');
+  const initialValue = (field, fallback) =>
+    initial && initial[field] !== undefined && initial[field] !== null ? String(initial[field]) : fallback;
+  const [date, setDate] = useState(initialValue('date', today));
+  const [platform, setPlatform] = useState(initialValue('platform', 'Crypto.com'));
+  const [toPlatform, setToPlatform] = useState(initialValue('toPlatform', 'Wallet'));
+  const [asset, setAsset] = useState(initial && initial.type !== 'DEPOSIT' && initial.type !== 'WITHDRAWAL' ? initial.asset : 'BTC');
+  const [type, setType] = useState(initialValue('type', 'BUY'));
+  const [price, setPrice] = useState(initialValue('price', ''));
+  const [quantity, setQuantity] = useState(initialValue('quantity', ''));
+  const [fee, setFee] = useState(initialValue('fee', ''));
+  const [currency, setCurrency] = useState(initialValue('currency', 'EUR'));
+  const [feeAsset, setFeeAsset] = useState(
+    initial && initial.feeAsset && initial.feeAsset === initial.asset && !CURRENCIES[initial.feeAsset] ? 'ASSET' : 'CASH'
+  );
+  const [costBasis, setCostBasis] = useState(initialValue('costBasis', 'MARKET'));
+  const [toAsset, setToAsset] = useState(initialValue('toAsset', ''));
+  const [toQuantity, setToQuantity] = useState(initialValue('toQuantity', ''));
+  const [swapValue, setSwapValue] = useState(
+    initial && initial.type === 'SWAP' ? (initial.price * initial.quantity).toFixed(2) : ''
+  );
+  const [swapValueEdited, setSwapValueEdited] = useState(Boolean(initial && initial.id && initial.type === 'SWAP'));
+  const [estimating, setEstimating] = useState(false);
+  const [issues, setIssues] = useState([]);
+  // Transaction whose warnings were shown, saved if submitted unchanged
+  const [warned, setWarned] = useState(null);
+  const isCash = type === 'DEPOSIT' || type === 'WITHDRAWAL';
+  const isTransfer = type === 'TRANSFER';
+  const isIncome = type === 'REWARD' || type === 'STAKING' || type === 'AIRDROP';
+  const isTrade = type === 'BUY' || type === 'SELL';
+  const isSwap = type === 'SWAP';
+  const symbol = CURRENCIES[isSwap ? 'EUR' : currency];
+  // Currency recorded with the transaction, omitted for EUR
+  const withCurrency = (tx) => (currency !== 'EUR' && !isSwap && !isTransfer ? { ...tx, currency } : tx);
+
+  // Estimate the EUR value of a swap from the price of the asset given, or
+  // failing that of the asset received, at the swap date
+  useEffect(() => {
+    if (!isSwap || swapValueEdited || !getPrice) return;
+    const qty = parseFloat(quantity);
+    const toQty = parseFloat(toQuantity);
+    if (!date || !asset || isNaN(qty)) return;
+    let cancelled = false;
+    setEstimating(true);
+    (async () => {
+      let value;
+      try {
+        const fromPrice = await getPrice(asset, date);
+        if (fromPrice !== undefined) {
+          value = fromPrice * qty;
+        } else if (toAsset && !isNaN(toQty)) {
+          const toPrice = await getPrice(toAsset, date);
+          if (toPrice !== undefined) value = toPrice * toQty;
+        }
+      } catch (err) {
+        console.error("Erreur lors de l'estimation de l'échange :", err);
+      }
+      if (!cancelled) {
+        setSwapValue(value !== undefined ? value.toFixed(2) : '');
+        setEstimating(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [isSwap, swapValueEdited, getPrice, date, asset, quantity, toAsset, toQuantity]);
+
+  // Save a transaction unless it has integrity errors, or warnings not
+  // shown yet. Returns whether it was saved.
+  const submit = (tx) => {
+    const found = check ? check(tx) : [];
+    const key = JSON.stringify(tx);
+    const blocked = found.some((issue) => issue.severity === 'error');
+    if (blocked || (found.length > 0 && warned !== key)) {
+      setIssues(found);
+      setWarned(blocked ? null : key);
+      return false;
+    }
+    setIssues([]);
+    setWarned(null);
+    onAdd(tx);
+    return true;
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
     const qty = parseFloat(quantity);
-    const pr = parseFloat(price);
+    if (isCash) {
+      if (!date || isNaN(qty) || qty <= 0) {
+        return;
+      }
+      if (!submit(withCurrency({ date, platform, asset: currency, type, price: 1, quantity: qty }))) return;
+      setQuantity('');
+      return;
+    }
+    const f = parseFloat(fee);
+    if (isSwap) {
+      const toQty = parseFloat(toQuantity);
+      const value = parseFloat(swapValue);
+      if (!date || !asset || !toAsset || isNaN(qty) || qty <= 0 || isNaN(toQty) || isNaN(value)) {
+        return;
+      }
+      const tx = {
+        date,
+        platform,
+        asset: asset.toUpperCase(),
+        type,
+        price: value / qty,
+        quantity: qty,
+        toAsset: toAsset.toUpperCase(),
+        toQuantity: toQty,
+      };
+      if (!isNaN(f) && f > 0) {
+        tx.fee = f;
+        tx.feeAsset = tx.asset;
+      }
+      if (!submit(tx)) return;
+      setQuantity('');
+      setToQuantity('');
+      setSwapValue('');
+      setSwapValueEdited(false);
+      setFee('');
+      return;
+    }
+    const pr = isTransfer ? 0 : parseFloat(price);
     if (!date || !asset || isNaN(pr) || isNaN(qty)) {
       return;
     }
-    onAdd({
+    if (isTransfer && toPlatform === platform) {
+      return;
+    }
+    const tx = {
       date,
       platform,
       asset: asset.toUpperCase(),
       type,
       price: pr,
       quantity: qty,
-    });
-    // Reset quantity and price, but keep date/platform/asset for convenience
+    };
+    if ((isTrade || isTransfer) && !isNaN(f) && f > 0) {
+      tx.fee = f;
+      // Network fees of a transfer are always paid in the asset
+      tx.feeAsset = isTrade && feeAsset === 'CASH' ? currency : tx.asset;
+    }
+    if (isTransfer) tx.toPlatform = toPlatform;
+    if (isIncome) tx.costBasis = costBasis;
+    if (!submit(withCurrency(tx))) return;
+    // Reset quantity, price and fee, but keep date/platform/asset for convenience
     setPrice('');
     setQuantity('');
+    setFee('');
   };
 
+  // Total paid (buy) or received (sell), fees included when they are in cash
   const totalValue = (() => {
     const p = parseFloat(price);
     const q = parseFloat(quantity);
-    return !isNaN(p) && !isNaN(q) ? (p * q).toFixed(2) : '';
+    const f = isTrade && feeAsset === 'CASH' ? parseFloat(fee) || 0 : 0;
+    if (isNaN(p) || isNaN(q)) return '';
+    return (type === 'SELL' ? p * q - f : p * q + f).toFixed(2);
   })();
 
   return (
     <form onSubmit={handleSubmit} className="bg-white p-4 rounded-lg shadow space-y-4">
-      <h2 className="text-lg font-semibold text-gray-800">Nouvelle transaction</h2>
+      <h2 className="text-lg font-semibold text-gray-800">{initial && initial.id ? 'Modifier la transaction' : 'Nouvelle transaction'}</h2>
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
         <div>
           <label className="block text-sm font-medium text-gray-700">Date</label>
@@ -59,15 +202,19 @@ export default function TransactionForm({ onAdd }) {
           />
         </div>
         <div>
-          <label className="block text-sm font-medium text-gray-700">Plateforme</label>
+          <label className="block text-sm font-medium text-gray-700">
+            {isTransfer ? 'Depuis la plateforme' : 'Plateforme'}
+          </label>
           <select
             className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
             value={platform}
             onChange={(e) => setPlatform(e.target.value)}
           >
-            <option value="Crypto.com">Crypto.com</option>
-            <option value="Bitget">Bitget</option>
-            <option value="Autre">Autre</option>
+            {PLATFORMS.map((p) => (
+              <option key={p} value={p}>
+                {p}
+              </option>
+            ))}
           </select>
         </div>
         <div>
@@ -77,60 +224,244 @@ export default function TransactionForm({ onAdd }) {
             value={type}
             onChange={(e) => setType(e.target.value)}
           >
-            <option value="BUY">Achat</option>
-            <option value="SELL">Vente</option>
+            {Object.keys(TRANSACTION_TYPES).map((t) => (
+              <option key={t} value={t}>
+                {TRANSACTION_TYPES[t]}
+              </option>
+            ))}
           </select>
         </div>
-        <div>
-          <label className="block text-sm font-medium text-gray-700">Actif</label>
-          <input
-            type="text"
-            className="mt-1 block w-full p-2 border border-gray-300 rounded-md uppercase"
-            value={asset}
-            onChange={(e) => setAsset(e.target.value.toUpperCase())}
-            placeholder="BTC, ETH, SOL ..."
-          />
-        </div>
-        <div>
-          <label className="block text-sm font-medium text-gray-700">Prix unitaire (€)</label>
-          <input
-            type="number"
-            step="0.0001"
-            className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
-            value={price}
-            onChange={(e) => setPrice(e.target.value)}
-            placeholder="0.00"
-          />
-        </div>
-        <div>
-          <label className="block text-sm font-medium text-gray-700">Quantité</label>
-          <input
-            type="number"
-            step="0.00000001"
-            className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
-            value={quantity}
-            onChange={(e) => setQuantity(e.target.value)}
-            placeholder="0.00"
-          />
-        </div>
-        <div>
-          <label className="block text-sm font-medium text-gray-700">Total (€)</label>
-          <input
-            type="text"
-            className="mt-1 block w-full p-2 border border-gray-300 rounded-md bg-gray-100"
-            value={totalValue}
-            readOnly
-          />
-        </div>
+        {!isSwap && !isTransfer && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Devise</label>
+            <select
+              className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+              value={currency}
+              onChange={(e) => setCurrency(e.target.value)}
+            >
+              {Object.keys(CURRENCIES).map((c) => (
+                <option key={c} value={c}>
+                  {c}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+        {isCash && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Montant ({symbol})</label>
+            <input
+              type="number"
+              step="0.01"
+              className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+              value={quantity}
+              onChange={(e) => setQuantity(e.target.value)}
+              placeholder="0.00"
+            />
+          </div>
+        )}
+        {!isCash && (
+          <>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">{isSwap ? 'Actif cédé' : 'Actif'}</label>
+              <input
+                type="text"
+                className="mt-1 block w-full p-2 border border-gray-300 rounded-md uppercase"
+                value={asset}
+                onChange={(e) => setAsset(e.target.value.toUpperCase())}
+                placeholder="BTC, ETH, SOL ..."
+              />
+            </div>
+            {isTransfer && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Vers la plateforme</label>
+                <select
+                  className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+                  value={toPlatform}
+                  onChange={(e) => setToPlatform(e.target.value)}
+                >
+                  {PLATFORMS.map((p) => (
+                    <option key={p} value={p}>
+                      {p}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {!isTransfer && !isSwap && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700">
+                  {isIncome ? 'Prix à la réception' : 'Prix unitaire'} ({symbol})
+                </label>
+                <input
+                  type="number"
+                  step="0.0001"
+                  className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+                  value={price}
+                  onChange={(e) => setPrice(e.target.value)}
+                  placeholder="0.00"
+                />
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-700">{isSwap ? 'Quantité cédée' : 'Quantité'}</label>
+              <input
+                type="number"
+                step="0.00000001"
+                className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+                value={quantity}
+                onChange={(e) => setQuantity(e.target.value)}
+                placeholder="0.00"
+              />
+            </div>
+            {isSwap && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Actif reçu</label>
+                  <input
+                    type="text"
+                    className="mt-1 block w-full p-2 border border-gray-300 rounded-md uppercase"
+                    value={toAsset}
+                    onChange={(e) => setToAsset(e.target.value.toUpperCase())}
+                    placeholder="SOL, ETH ..."
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Quantité reçue</label>
+                  <input
+                    type="number"
+                    step="0.00000001"
+                    className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+                    value={toQuantity}
+                    onChange={(e) => setToQuantity(e.target.value)}
+                    placeholder="0.00"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">
+                    Valeur de l&apos;échange ({symbol}){estimating ? ' – estimation…' : ''}
+                  </label>
+                  <div className="mt-1 flex space-x-2">
+                    <input
+                      type="number"
+                      step="0.01"
+                      className="block w-full p-2 border border-gray-300 rounded-md"
+                      value={swapValue}
+                      onChange={(e) => {
+                        setSwapValue(e.target.value);
+                        setSwapValueEdited(true);
+                      }}
+                      placeholder="Prix indisponible, à saisir"
+                    />
+                    {swapValueEdited && (
+                      <button
+                        type="button"
+                        className="text-sm text-primary hover:text-primary-dark"
+                        onClick={() => setSwapValueEdited(false)}
+                        title="Recalculer la valeur depuis les prix à cette date"
+                      >
+                        ↺
+                      </button>
+                    )}
+                  </div>
+                </div>
+              </>
+            )}
+            {isIncome && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Coût d&apos;acquisition</label>
+                <select
+                  className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+                  value={costBasis}
+                  onChange={(e) => setCostBasis(e.target.value)}
+                >
+                  {Object.keys(INCOME_COST_BASIS).map((b) => (
+                    <option key={b} value={b}>
+                      {INCOME_COST_BASIS[b]}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {(isTransfer || isSwap) && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700">
+                  {isSwap ? 'Frais' : 'Frais réseau'} ({asset || 'Actif'})
+                </label>
+                <input
+                  type="number"
+                  step="0.00000001"
+                  className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+                  value={fee}
+                  onChange={(e) => setFee(e.target.value)}
+                  placeholder="0.00"
+                />
+              </div>
+            )}
+            {isTrade && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Frais</label>
+                <div className="mt-1 flex space-x-2">
+                  <input
+                    type="number"
+                    step="0.00000001"
+                    className="block w-full p-2 border border-gray-300 rounded-md"
+                    value={fee}
+                    onChange={(e) => setFee(e.target.value)}
+                    placeholder="0.00"
+                  />
+                  <select
+                    className="p-2 border border-gray-300 rounded-md"
+                    value={feeAsset}
+                    onChange={(e) => setFeeAsset(e.target.value)}
+                  >
+                    <option value="CASH">{symbol}</option>
+                    <option value="ASSET">{asset || 'Actif'}</option>
+                  </select>
+                </div>
+              </div>
+            )}
+            {!isTransfer && !isSwap && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Total ({symbol})</label>
+                <input
+                  type="text"
+                  className="mt-1 block w-full p-2 border border-gray-300 rounded-md bg-gray-100"
+                  value={totalValue}
+                  readOnly
+                />
+              </div>
+            )}
+          </>
+        )}
       </div>
-      <div className="pt-2">
+      {issues.length > 0 && (
+        <ul className="text-sm space-y-1">
+          {issues.map((issue, i) => (
+            <li key={i} className={issue.severity === 'error' ? 'text-red-600' : 'text-amber-700'}>
+              {issue.message}
+            </li>
+          ))}
+          {warned && <li className="text-gray-500">Validez à nouveau pour enregistrer malgré ces avertissements.</li>}
+        </ul>
+      )}
+      <div className="pt-2 space-x-2">
         <button
           type="submit"
           className="bg-primary text-white px-4 py-2 rounded-md hover:bg-primary-dark"
         >
-          Ajouter
+          {warned ? 'Enregistrer quand même' : initial && initial.id ? 'Enregistrer' : 'Ajouter'}
         </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="bg-gray-600 text-white px-4 py-2 rounded-md hover:bg-gray-700"
+          >
+            Annuler
+          </button>
+        )}
       </div>
     </form>
   );
-}
\ No newline at end of file
+}
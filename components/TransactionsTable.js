@@ -1,59 +1,204 @@
+import { useState } from 'react';
+import { TRANSACTION_TYPES, isCashTransaction, splitFee } from '../utils/finance';
+import { CURRENCIES, formatMoney } from '../utils/currency';
+
+// Sortable columns and the value each one sorts on
+const SORT_KEYS = {
+  date: (tx) => tx.date,
+  platform: (tx) => tx.platform,
+  type: (tx) => TRANSACTION_TYPES[tx.type] ?? tx.type,
+  asset: (tx) => tx.asset,
+};
+
+const EMPTY_FILTERS = { asset: '', platform: '', type: '', from: '', to: '' };
+
 /**
  * Renders a tabular view of individual transactions. Each row displays
- * the transaction details and includes a delete button to remove
- * transactions. Styling is kept consistent with the rest of the app.
+ * the transaction details and includes edit and delete buttons, which pass
+ * the transaction and its id to `onEdit` and `onDelete`. Prices and totals
+ * are shown in the currency of each transaction, and the total includes
+ * fees paid in cash (added to a purchase, deducted from a sale); transfers
+ * show their source and destination platforms and have no total, and swaps
+ * show both legs on a single row with the EUR value of the exchange as
+ * total. Rows can be sorted by date, platform, type or asset by clicking
+ * the column headers, and filtered by asset, platform, type and date range.
+ * Styling is kept consistent with the rest of the app.
  *
- * @param {{ transactions: Array, onDelete: Function }} props
+ * @param {{ transactions: Array, onDelete: Function, onEdit?: Function }} props
  */
-export default function TransactionsTable({ transactions, onDelete }) {
+export default function TransactionsTable({ transactions, onDelete, onEdit }) {
+  const [sort, setSort] = useState({ key: 'date', dir: 'desc' });
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+
+  const assets = Array.from(
+    new Set(transactions.flatMap((tx) => (tx.type === 'SWAP' ? [tx.asset, tx.toAsset] : [tx.asset])))
+  ).sort();
+  const platforms = Array.from(
+    new Set(transactions.flatMap((tx) => (tx.type === 'TRANSFER' ? [tx.platform, tx.toPlatform] : [tx.platform])))
+  ).sort();
+
+  const visible = transactions
+    .filter(
+      (tx) =>
+        (!filters.asset || tx.asset === filters.asset || tx.toAsset === filters.asset) &&
+        (!filters.platform || tx.platform === filters.platform || tx.toPlatform === filters.platform) &&
+        (!filters.type || tx.type === filters.type) &&
+        (!filters.from || tx.date >= filters.from) &&
+        (!filters.to || tx.date <= filters.to)
+    )
+    .map((tx, idx) => ({ tx, idx }))
+    .sort((a, b) => {
+      const va = SORT_KEYS[sort.key](a.tx) ?? '';
+      const vb = SORT_KEYS[sort.key](b.tx) ?? '';
+      const cmp = va < vb ? -1 : va > vb ? 1 : a.idx - b.idx;
+      return sort.dir === 'asc' ? cmp : -cmp;
+    })
+    .map(({ tx }) => tx);
+
+  const toggleSort = (key) =>
+    setSort((prev) => (prev.key === key ? { key, dir: prev.dir === 'asc' ? 'desc' : 'asc' } : { key, dir: 'asc' }));
+  const setFilter = (field, value) => setFilters((prev) => ({ ...prev, [field]: value }));
+  const filtered = Object.keys(filters).some((f) => filters[f]);
+
+  const sortableHeader = (key, label) => (
+    <th className="cursor-pointer select-none" onClick={() => toggleSort(key)}>
+      {label}
+      {sort.key === key ? (sort.dir === 'asc' ? ' ▲' : ' ▼') : ''}
+    </th>
+  );
+
+  const filterSelect = (field, label, options, optionLabel = (o) => o) => (
+    <select
+      className="p-2 border border-gray-300 rounded-md"
+      value={filters[field]}
+      onChange={(e) => setFilter(field, e.target.value)}
+    >
+      <option value="">{label}</option>
+      {options.map((o) => (
+        <option key={o} value={o}>
+          {optionLabel(o)}
+        </option>
+      ))}
+    </select>
+  );
+
   return (
-    <div className="overflow-auto border rounded-lg">
-      <table className="min-w-full">
-        <thead>
-          <tr>
-            <th>Date</th>
-            <th>Plateforme</th>
-            <th>Type</th>
-            <th>Actif</th>
-            <th>Prix (€)</th>
-            <th>Quantité</th>
-            <th>Total (€)</th>
-            <th></th>
-          </tr>
-        </thead>
-        <tbody>
-          {transactions.length === 0 && (
+    <div className="space-y-2">
+      {transactions.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          {filterSelect('asset', 'Tous les actifs', assets)}
+          {filterSelect('platform', 'Toutes les plateformes', platforms)}
+          {filterSelect('type', 'Tous les types', Object.keys(TRANSACTION_TYPES), (t) => TRANSACTION_TYPES[t])}
+          <label className="flex items-center space-x-1">
+            <span>Du</span>
+            <input
+              type="date"
+              className="p-2 border border-gray-300 rounded-md"
+              value={filters.from}
+              onChange={(e) => setFilter('from', e.target.value)}
+            />
+          </label>
+          <label className="flex items-center space-x-1">
+            <span>au</span>
+            <input
+              type="date"
+              className="p-2 border border-gray-300 rounded-md"
+              value={filters.to}
+              onChange={(e) => setFilter('to', e.target.value)}
+            />
+          </label>
+          {filtered && (
+            <>
+              <button onClick={() => setFilters(EMPTY_FILTERS)} className="text-primary hover:text-primary-dark">
+                Réinitialiser
+              </button>
+              <span className="text-gray-500">
+                {visible.length} / {transactions.length} transactions
+              </span>
+            </>
+          )}
+        </div>
+      )}
+      <div className="overflow-auto border rounded-lg">
+        <table className="min-w-full">
+          <thead>
             <tr>
-              <td colSpan="8" className="text-center py-4 text-gray-500">
-                Aucune transaction pour le moment.
-              </td>
+              {sortableHeader('date', 'Date')}
+              {sortableHeader('platform', 'Plateforme')}
+              {sortableHeader('type', 'Type')}
+              {sortableHeader('asset', 'Actif')}
+              <th>Prix</th>
+              <th>Quantité</th>
+              <th>Frais</th>
+              <th>Total</th>
+              <th></th>
             </tr>
-          )}
-          {transactions.map((tx, idx) => {
-            const total = (tx.price * tx.quantity).toFixed(2);
-            return (
-              <tr key={idx} className="border-b last:border-b-0">
-                <td>{tx.date}</td>
-                <td>{tx.platform}</td>
-                <td>{tx.type === 'BUY' ? 'Achat' : 'Vente'}</td>
-                <td>{tx.asset}</td>
-                <td>{tx.price.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 8 })}</td>
-                <td>{tx.quantity.toLocaleString('fr-FR', { minimumFractionDigits: 4, maximumFractionDigits: 8 })}</td>
-                <td>{total}</td>
-                <td>
-                  <button
-                    onClick={() => onDelete(idx)}
-                    className="text-red-600 hover:text-red-800"
-                    title="Supprimer cette transaction"
-                  >
-                    ×
-                  </button>
+          </thead>
+          <tbody>
+            {visible.length === 0 && (
+              <tr>
+                <td colSpan="9" className="text-center py-4 text-gray-500">
+                  {transactions.length === 0 ? 'Aucune transaction pour le moment.' : 'Aucune transaction ne correspond aux filtres.'}
                 </td>
               </tr>
-            );
-          })}
-        </tbody>
-      </table>
+            )}
+            {visible.map((tx) => {
+              const cash = isCashTransaction(tx);
+              const transfer = tx.type === 'TRANSFER';
+              const swap = tx.type === 'SWAP';
+              const formatQty = (q) => q.toLocaleString('fr-FR', { minimumFractionDigits: 4, maximumFractionDigits: 8 });
+              const { feeEur } = splitFee(tx);
+              const gross = tx.price * tx.quantity;
+              const total = tx.type === 'SELL' ? gross - feeEur : gross + feeEur;
+              const currency = tx.currency || 'EUR';
+              return (
+                <tr key={tx.id} className="border-b last:border-b-0">
+                  <td>{tx.date}</td>
+                  <td>{transfer ? `${tx.platform} → ${tx.toPlatform}` : tx.platform}</td>
+                  <td>{TRANSACTION_TYPES[tx.type] ?? tx.type}</td>
+                  <td>{cash ? '—' : swap ? `${tx.asset} → ${tx.toAsset}` : tx.asset}</td>
+                  <td>
+                    {cash || transfer
+                      ? '—'
+                      : formatMoney(tx.price, currency, { minimumFractionDigits: 2, maximumFractionDigits: 8 })}
+                  </td>
+                  <td>
+                    {cash
+                      ? '—'
+                      : swap
+                        ? `${formatQty(tx.quantity)} ${tx.asset} → ${formatQty(tx.toQuantity)} ${tx.toAsset}`
+                        : formatQty(tx.quantity)}
+                  </td>
+                  <td>
+                    {tx.fee
+                      ? `${tx.fee.toLocaleString('fr-FR', { maximumFractionDigits: 8 })} ${CURRENCIES[tx.feeAsset || currency] ?? tx.feeAsset}`
+                      : '—'}
+                  </td>
+                  <td>{transfer ? '—' : formatMoney(total, currency)}</td>
+                  <td className="whitespace-nowrap space-x-2">
+                    {onEdit && (
+                      <button
+                        onClick={() => onEdit(tx)}
+                        className="text-primary hover:text-primary-dark"
+                        title="Modifier cette transaction"
+                      >
+                        ✎
+                      </button>
+                    )}
+                    <button
+                      onClick={() => onDelete(tx.id)}
+                      className="text-red-600 hover:text-red-800"
+                      title="Supprimer cette transaction"
+                    >
+                      ×
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
     </div>
   );
-}
\ No newline at end of file
+}
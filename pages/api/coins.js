@@ -0,0 +1,28 @@
+import { findCoins } from '../../utils/providers/coingecko';
+
+/**
+ * POST /api/coins — resolves asset symbols to CoinGecko coins.
+ *
+ * Body: `{ symbols: string[] }`. Responds with `{ matches }`, a map of symbol
+ * to candidate coins `{ id, name, rank }` ordered by market cap rank. An empty
+ * list means the symbol is unknown; several entries mean it is ambiguous and
+ * the user has to pick one.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Méthode non autorisée' });
+  }
+  const { symbols } = req.body || {};
+  if (!Array.isArray(symbols) || symbols.some((s) => typeof s !== 'string')) {
+    return res.status(400).json({ error: '`symbols` doit être un tableau de symboles' });
+  }
+  const unique = Array.from(new Set(symbols.map((s) => s.trim().toUpperCase()).filter(Boolean)));
+  try {
+    const matches = await findCoins(unique);
+    return res.status(200).json({ matches });
+  } catch (err) {
+    console.error('Échec de la résolution des symboles :', err.message);
+    return res.status(err.status === 429 ? 429 : 502).json({ error: 'Liste des coins indisponible' });
+  }
+}
@@ -0,0 +1,71 @@
+import { checkSyncToken, isTimestamp, readSyncStore, updateSyncStore } from '../../../utils/syncStore';
+
+/**
+ * /api/portfolios/:id — one portfolio of the sync server.
+ *
+ * GET responds with `{ portfolio }`. PUT creates or renames it: body
+ * `{ name, updatedAt? }`, the latest `updatedAt` wins; responds with
+ * `{ portfolio }` as stored, which is the other version when the change
+ * lost. DELETE marks it deleted, along with its transactions; body
+ * `{ updatedAt? }`. A given `updatedAt` must be a date, or the request
+ * answers 400. Unknown or deleted portfolios answer 404, except to PUT.
+ * Every request needs the sync token, see syncStore.js.
+ */
+export default async function handler(req, res) {
+  if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', 'GET, PUT, DELETE');
+    return res.status(405).json({ error: 'Méthode non autorisée' });
+  }
+  if (!checkSyncToken(req, res)) return;
+  const { id } = req.query;
+  const { name, updatedAt } = req.body || {};
+  if (req.method !== 'GET' && updatedAt != null && !isTimestamp(updatedAt)) {
+    return res.status(400).json({ error: 'Date de modification invalide' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const data = await readSyncStore();
+      const portfolio = data.portfolios[id];
+      if (!portfolio || portfolio.deleted) {
+        return res.status(404).json({ error: 'Portefeuille inconnu' });
+      }
+      return res.status(200).json({ portfolio });
+    }
+
+    if (req.method === 'PUT') {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'Nom du portefeuille manquant' });
+      }
+      const portfolio = await updateSyncStore((data) => {
+        const now = new Date().toISOString();
+        const current = data.portfolios[id];
+        const change = updatedAt || now;
+        if (!current || change >= current.updatedAt) {
+          data.portfolios[id] = { id, name: name.trim(), updatedAt: change, syncedAt: now, deleted: false };
+        }
+        return data.portfolios[id];
+      });
+      return res.status(200).json({ portfolio });
+    }
+
+    const portfolio = await updateSyncStore((data) => {
+      const now = new Date().toISOString();
+      const current = data.portfolios[id];
+      if (!current || current.deleted) return null;
+      const change = updatedAt || now;
+      data.portfolios[id] = { ...current, updatedAt: change, syncedAt: now, deleted: true };
+      for (const record of Object.values(data.transactions[id] || {})) {
+        Object.assign(record, { tx: null, updatedAt: change, syncedAt: now, deleted: true });
+      }
+      return data.portfolios[id];
+    });
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portefeuille inconnu' });
+    }
+    return res.status(200).json({ portfolio });
+  } catch (err) {
+    console.error('Erreur du stockage de synchronisation :', err);
+    return res.status(500).json({ error: 'Stockage de synchronisation indisponible' });
+  }
+}
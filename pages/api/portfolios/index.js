@@ -0,0 +1,51 @@
+import { checkSyncToken, isTimestamp, readSyncStore, updateSyncStore } from '../../../utils/syncStore';
+import { createTransactionId } from '../../../utils/finance';
+
+/**
+ * /api/portfolios — portfolios shared through the sync server.
+ *
+ * GET responds with `{ portfolios }`, deleted ones included with
+ * `deleted: true` so devices learn about the deletion. POST creates a
+ * portfolio: body `{ id?, name, updatedAt? }`, responds 201 with
+ * `{ portfolio }`, or 409 when the id is taken; `updatedAt`, when given,
+ * must be a date. Every request needs the sync token (`Authorization: Bearer <token>`), see syncStore.js.
+ */
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).json({ error: 'Méthode non autorisée' });
+  }
+  if (!checkSyncToken(req, res)) return;
+
+  try {
+    if (req.method === 'GET') {
+      const data = await readSyncStore();
+      return res.status(200).json({ portfolios: Object.values(data.portfolios) });
+    }
+
+    const { id = createTransactionId(), name, updatedAt } = req.body || {};
+    if (typeof id !== 'string' || !id) {
+      return res.status(400).json({ error: '`id` doit être une chaîne' });
+    }
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Nom du portefeuille manquant' });
+    }
+    if (updatedAt != null && !isTimestamp(updatedAt)) {
+      return res.status(400).json({ error: 'Date de modification invalide' });
+    }
+    const portfolio = await updateSyncStore((data) => {
+      const now = new Date().toISOString();
+      const current = data.portfolios[id];
+      if (current && !current.deleted) return null;
+      data.portfolios[id] = { id, name: name.trim(), updatedAt: updatedAt || now, syncedAt: now, deleted: false };
+      return data.portfolios[id];
+    });
+    if (!portfolio) {
+      return res.status(409).json({ error: `Le portefeuille ${id} existe déjà` });
+    }
+    return res.status(201).json({ portfolio });
+  } catch (err) {
+    console.error('Erreur du stockage de synchronisation :', err);
+    return res.status(500).json({ error: 'Stockage de synchronisation indisponible' });
+  }
+}
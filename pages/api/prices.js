@@ -0,0 +1,68 @@
+import { getPricesForSymbols, SUPPORTED_QUOTES } from '../../utils/providers';
+
+// Symbols are matched in upper case, and so are the keys of the maps keyed
+// by symbol
+const normalizeSymbol = (symbol) => symbol.trim().toUpperCase();
+const bySymbol = (map) => Object.fromEntries(Object.entries(map).map(([symbol, value]) => [normalizeSymbol(symbol), value]));
+
+/**
+ * POST /api/prices — batch price lookup.
+ *
+ * Body: `{ symbols: string[], quote?: 'EUR' | 'USD' | 'CHF', quantities?: Record<string, number>,
+ * coins?: Record<string, { id: string, name?: string }> }`, where `coins` holds
+ * the CoinGecko coin picked for symbols shared by several coins.
+ * Responds with `{ quote, rows, portfolioValue, cached, rateLimited }` where
+ * each row is `{ symbol, coinId, provider, price, qty, total }` and
+ * `rateLimited` tells whether a provider was rate-limited, so clients can
+ * slow down. Symbols no provider could price come back with `price: null`.
+ * When nothing could be priced because every provider failed, the route
+ * answers 429 if all of them were rate-limited and 502 otherwise.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Méthode non autorisée' });
+  }
+  const { symbols, quote = 'EUR', quantities = {}, coins = {} } = req.body || {};
+  if (!Array.isArray(symbols) || symbols.some((s) => typeof s !== 'string')) {
+    return res.status(400).json({ error: '`symbols` doit être un tableau de symboles' });
+  }
+  if (typeof coins !== 'object' || coins === null || Array.isArray(coins)) {
+    return res.status(400).json({ error: '`coins` doit être un objet' });
+  }
+  if (typeof quantities !== 'object' || quantities === null || Array.isArray(quantities)) {
+    return res.status(400).json({ error: '`quantities` doit être un objet' });
+  }
+  const q = String(quote).toUpperCase();
+  if (!SUPPORTED_QUOTES.includes(q)) {
+    return res.status(400).json({ error: `Devise non supportée : ${quote}` });
+  }
+
+  const unique = Array.from(new Set(symbols.map(normalizeSymbol).filter(Boolean)));
+  const qtyBySymbol = bySymbol(quantities);
+  const { prices, cached, errors } = await getPricesForSymbols(unique, q, bySymbol(coins));
+
+  if (unique.length > 0 && Object.keys(prices).length === 0 && errors.length > 0) {
+    const status = errors.every((e) => e.status === 429) ? 429 : 502;
+    return res.status(status).json({ error: 'Aucun fournisseur de prix disponible', errors });
+  }
+
+  let portfolioValue = 0;
+  const rows = unique.map((symbol) => {
+    const p = prices[symbol];
+    const qty = Number(qtyBySymbol[symbol]) || 0;
+    const total = p ? p.price * qty : 0;
+    portfolioValue += total;
+    return {
+      symbol,
+      coinId: p ? p.coinId : null,
+      provider: p ? p.provider : null,
+      price: p ? p.price : null,
+      qty,
+      total,
+    };
+  });
+
+  const rateLimited = errors.some((e) => e.status === 429);
+  return res.status(200).json({ quote: q, rows, portfolioValue, cached, rateLimited });
+}
@@ -0,0 +1,65 @@
+import {
+  checkSyncToken,
+  readSyncStore,
+  updateSyncStore,
+  portfolioRecords,
+  applyChange,
+  validateChange,
+} from '../../../utils/syncStore';
+
+/**
+ * /api/transactions/:id?portfolioId=… — one transaction of the sync server.
+ *
+ * GET responds with `{ record }`. PUT replaces the transaction, or creates
+ * it: body `{ transaction, updatedAt?, baseUpdatedAt? }`. DELETE deletes it:
+ * body `{ updatedAt?, baseUpdatedAt? }`. Both keep the latest `updatedAt`
+ * (last write wins) and respond with `{ record, conflict }`: the record as
+ * stored, which is the other version when the change lost, and the
+ * conflict when another device changed the transaction after
+ * `baseUpdatedAt`. Unknown portfolios and transactions answer 404. Every
+ * request needs the sync token, see syncStore.js.
+ */
+export default async function handler(req, res) {
+  if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', 'GET, PUT, DELETE');
+    return res.status(405).json({ error: 'Méthode non autorisée' });
+  }
+  if (!checkSyncToken(req, res)) return;
+  const { id, portfolioId } = req.query;
+  const { transaction, updatedAt = new Date().toISOString(), baseUpdatedAt = null } = req.body || {};
+
+  try {
+    if (req.method === 'GET') {
+      const records = portfolioRecords(await readSyncStore(), portfolioId);
+      if (!records) {
+        return res.status(404).json({ error: 'Portefeuille inconnu' });
+      }
+      if (!records[id] || records[id].deleted) {
+        return res.status(404).json({ error: 'Transaction inconnue' });
+      }
+      return res.status(200).json({ record: records[id] });
+    }
+
+    const change =
+      req.method === 'PUT'
+        ? { id, updatedAt, baseUpdatedAt, tx: transaction && { ...transaction, id } }
+        : { id, updatedAt, baseUpdatedAt, deleted: true };
+    const errors = validateChange(change);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Transaction invalide', errors });
+    }
+    const result = await updateSyncStore((data) => {
+      const records = portfolioRecords(data, portfolioId);
+      if (!records) return { status: 404, body: { error: 'Portefeuille inconnu' } };
+      if (req.method === 'DELETE' && (!records[id] || records[id].deleted)) {
+        return { status: 404, body: { error: 'Transaction inconnue' } };
+      }
+      const { conflict } = applyChange(records, change, new Date().toISOString());
+      return { status: 200, body: { record: records[id], conflict } };
+    });
+    return res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error('Erreur du stockage de synchronisation :', err);
+    return res.status(500).json({ error: 'Stockage de synchronisation indisponible' });
+  }
+}
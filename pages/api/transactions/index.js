@@ -0,0 +1,63 @@
+import {
+  checkSyncToken,
+  readSyncStore,
+  updateSyncStore,
+  portfolioRecords,
+  recordsSince,
+  applyChange,
+  validateChange,
+} from '../../../utils/syncStore';
+import { createTransactionId } from '../../../utils/finance';
+
+/**
+ * /api/transactions — transactions of a portfolio on the sync server.
+ *
+ * GET `?portfolioId=…&since=…` responds with `{ serverTime, records }`, the
+ * records `{ id, tx, updatedAt, syncedAt, deleted }` stored since `since`
+ * (all of them without it), deletions included. POST adds a transaction:
+ * body `{ portfolioId, transaction, updatedAt? }`, an id is given to a
+ * transaction without one; responds 201 with `{ record }`, or 409 when the
+ * id is taken. Unknown portfolios answer 404. Every request needs the sync
+ * token, see syncStore.js.
+ */
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).json({ error: 'Méthode non autorisée' });
+  }
+  if (!checkSyncToken(req, res)) return;
+
+  try {
+    if (req.method === 'GET') {
+      const { portfolioId, since } = req.query;
+      // Taken before reading, so later writes are returned by the next call
+      const serverTime = new Date().toISOString();
+      const records = portfolioRecords(await readSyncStore(), portfolioId);
+      if (!records) {
+        return res.status(404).json({ error: 'Portefeuille inconnu' });
+      }
+      return res.status(200).json({ serverTime, records: recordsSince(records, since || null) });
+    }
+
+    const { portfolioId, transaction, updatedAt = new Date().toISOString() } = req.body || {};
+    const tx = transaction && typeof transaction === 'object' ? { ...transaction } : transaction;
+    if (tx && typeof tx === 'object' && !tx.id) tx.id = createTransactionId();
+    const errors = validateChange({ id: tx && tx.id, updatedAt, tx });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Transaction invalide', errors });
+    }
+    const result = await updateSyncStore((data) => {
+      const records = portfolioRecords(data, portfolioId);
+      if (!records) return { status: 404, body: { error: 'Portefeuille inconnu' } };
+      if (records[tx.id] && !records[tx.id].deleted) {
+        return { status: 409, body: { error: `La transaction ${tx.id} existe déjà` } };
+      }
+      applyChange(records, { id: tx.id, updatedAt, tx }, new Date().toISOString());
+      return { status: 201, body: { record: records[tx.id] } };
+    });
+    return res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error('Erreur du stockage de synchronisation :', err);
+    return res.status(500).json({ error: 'Stockage de synchronisation indisponible' });
+  }
+}
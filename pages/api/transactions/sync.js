@@ -0,0 +1,57 @@
+import {
+  checkSyncToken,
+  updateSyncStore,
+  portfolioRecords,
+  recordsSince,
+  applyChange,
+  validateChange,
+} from '../../../utils/syncStore';
+
+/**
+ * POST /api/transactions/sync — exchanges the changes of a device with the
+ * sync server in one request.
+ *
+ * Body: `{ portfolioId, since, changes }` where `since` is the `serverTime`
+ * of the device's previous sync (null the first time) and `changes` the
+ * transactions changed on the device since then,
+ * `{ id, updatedAt, baseUpdatedAt, deleted?, tx? }` (see syncStore.js).
+ * The changes are applied, the latest `updatedAt` winning, then the route
+ * responds with `{ serverTime, records, conflicts }`: every record stored
+ * since `since`, the device's own changes included so it learns which
+ * version won, and the concurrent changes found on the way. Invalid
+ * changes reject the whole request with 400. Needs the sync token.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Méthode non autorisée' });
+  }
+  if (!checkSyncToken(req, res)) return;
+  const { portfolioId, since = null, changes } = req.body || {};
+  if (typeof portfolioId !== 'string' || !portfolioId) {
+    return res.status(400).json({ error: '`portfolioId` doit être une chaîne' });
+  }
+  if (!Array.isArray(changes)) {
+    return res.status(400).json({ error: '`changes` doit être un tableau' });
+  }
+  const errors = changes.flatMap(validateChange);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Modifications invalides', errors });
+  }
+  try {
+    const result = await updateSyncStore((data) => {
+      const now = new Date().toISOString();
+      const records = portfolioRecords(data, portfolioId);
+      if (!records) return null;
+      const conflicts = changes.map((change) => applyChange(records, change, now).conflict).filter(Boolean);
+      return { serverTime: now, records: recordsSince(records, since), conflicts };
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Portefeuille inconnu' });
+    }
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error('Erreur du stockage de synchronisation :', err);
+    return res.status(500).json({ error: 'Stockage de synchronisation indisponible' });
+  }
+}
@@ -0,0 +1,333 @@
+import { useEffect, useMemo, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import AssetPriceChart from '../../components/AssetPriceChart';
+import { fetchPrices } from '../../utils/prices';
+import { fetchPriceHistory, createPriceLookup } from '../../utils/priceHistory';
+import { computePnL, computeHoldingsByPlatform, sortTransactions, TRANSACTION_TYPES } from '../../utils/finance';
+import { normalizeManualPrices, latestManualPrices, withManualHistory } from '../../utils/manualPrices';
+import {
+  fetchFxRates,
+  createFxLookup,
+  convertTransactions,
+  convertPrices,
+  convertPriceLookup,
+  formatMoney,
+  CURRENCIES,
+} from '../../utils/currency';
+import { loadPortfolios, storageKey } from '../../utils/portfolios';
+import { readValue } from '../../utils/storage';
+
+const formatQuantity = (value) =>
+  value.toLocaleString('fr-FR', { minimumFractionDigits: 4, maximumFractionDigits: 8 });
+
+const formatPercent = (value) =>
+  value === null ? '—' : `${value.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}%`;
+
+const pnlClass = (value) => (value >= 0 ? 'text-green-700' : 'text-red-700');
+
+/**
+ * Detail of one asset of the portfolio open on the main page: its position,
+ * the lots still open under the cost-basis method of the settings with
+ * their unrealised PnL, the quantity held on each platform, its price chart
+ * with the trades and the average cost, and every transaction involving
+ * it. Amounts are in the reporting currency of the settings.
+ */
+export default function AssetDetail() {
+  const router = useRouter();
+  const symbol = router.isReady ? String(router.query.symbol).toUpperCase() : null;
+  const [transactions, setTransactions] = useState([]);
+  const [coins, setCoins] = useState({});
+  const [manualPrices, setManualPrices] = useState({});
+  const [settings, setSettings] = useState({ costBasis: 'FIFO', currency: 'EUR' });
+  const [portfolioName, setPortfolioName] = useState('');
+  const [prices, setPrices] = useState({});
+  const [priceHistory, setPriceHistory] = useState({});
+  const [fxRates, setFxRates] = useState({});
+  const [fxLoaded, setFxLoaded] = useState(false);
+  const [loaded, setLoaded] = useState(false);
+
+  // Load transactions, manual prices and settings of the portfolio open on
+  // the main page, and resolved coins
+  useEffect(() => {
+    (async () => {
+      const { activeId, portfolios } = await loadPortfolios();
+      setPortfolioName(portfolios.find((p) => p.id === activeId).name);
+      try {
+        const stored = await readValue(storageKey('wavDcaTransactions', activeId));
+        if (stored) setTransactions(stored);
+        const storedCoins = await readValue('wavDcaCoins');
+        if (storedCoins) setCoins(storedCoins);
+        setManualPrices(normalizeManualPrices(await readValue(storageKey('wavDcaManualPrices', activeId))));
+        const storedSettings = await readValue(storageKey('wavDcaSettings', activeId));
+        if (storedSettings) setSettings((prev) => ({ ...prev, ...storedSettings }));
+      } catch (err) {
+        console.error('Erreur lors du chargement des transactions :', err);
+      }
+      setLoaded(true);
+    })();
+  }, []);
+
+  // Transactions of the asset, swaps into it included; only its prices are
+  // fetched
+  const assetTransactions = useMemo(
+    () => sortTransactions(transactions.filter((tx) => tx.asset === symbol || tx.toAsset === symbol)),
+    [transactions, symbol]
+  );
+  const currency = settings.currency;
+  useEffect(() => {
+    if (!symbol || assetTransactions.length === 0) return;
+    const firstDate = assetTransactions[0].date;
+    let cancelled = false;
+    (async () => {
+      const needsFx = currency !== 'EUR' || assetTransactions.some((tx) => tx.currency && tx.currency !== 'EUR');
+      const [ph, pr, fx] = await Promise.all([
+        fetchPriceHistory([symbol], firstDate, coins),
+        fetchPrices([symbol], latestManualPrices(manualPrices), coins),
+        needsFx ? fetchFxRates(firstDate) : {},
+      ]);
+      if (!cancelled) {
+        setPriceHistory(ph);
+        setPrices(pr);
+        setFxRates(fx);
+        setFxLoaded(true);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [symbol, assetTransactions, manualPrices, coins, currency]);
+
+  const fxAt = useMemo(() => createFxLookup(fxRates), [fxRates]);
+  const today = new Date().toISOString().split('T')[0];
+  const converted = convertTransactions(transactions, currency, fxAt);
+  const reportTransactions = converted.transactions;
+  const reportPrices = convertPrices(prices, currency, fxAt, today);
+  // Without a rate, prices stay in EUR
+  const pricesInEur = currency !== 'EUR' && fxAt('EUR', currency, today) === undefined;
+  const position = symbol ? computePnL(reportTransactions, reportPrices, { method: settings.costBasis })[symbol] : null;
+
+  // Daily closes, manual points included, and the trades at their unit price
+  const priceAt = convertPriceLookup(createPriceLookup(withManualHistory(priceHistory, manualPrices)), currency, fxAt);
+  const series = withManualHistory(priceHistory, manualPrices)[symbol] || {};
+  const points = Object.keys(series)
+    .sort()
+    .map((date) => ({ date, price: priceAt(symbol, date) }))
+    .filter((p) => p.price !== undefined);
+  const trades = [];
+  for (const tx of reportTransactions) {
+    if (tx.asset === symbol && (tx.type === 'BUY' || tx.type === 'REWARD' || tx.type === 'STAKING' || tx.type === 'AIRDROP')) {
+      trades.push({ date: tx.date, side: 'BUY', price: tx.price });
+    } else if (tx.asset === symbol && (tx.type === 'SELL' || tx.type === 'SWAP')) {
+      trades.push({ date: tx.date, side: 'SELL', price: tx.price });
+    } else if (tx.type === 'SWAP' && tx.toAsset === symbol && tx.toQuantity > 0) {
+      trades.push({ date: tx.date, side: 'BUY', price: (tx.price * tx.quantity) / tx.toQuantity });
+    }
+  }
+
+  const byPlatform = Object.entries(computeHoldingsByPlatform(transactions))
+    .filter(([, assets]) => assets[symbol] !== undefined)
+    .map(([platform, assets]) => ({ platform, quantity: assets[symbol] }))
+    .sort((a, b) => b.quantity - a.quantity);
+
+  return (
+    <div className="max-w-6xl mx-auto py-6 px-4 space-y-8">
+      <header className="flex flex-col sm:flex-row items-center justify-between space-y-4 sm:space-y-0">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">{symbol}</h1>
+          {portfolioName && <p className="text-sm text-gray-500">{portfolioName}</p>}
+        </div>
+        <Link href="/" className="text-primary hover:text-primary-dark">
+          ← Retour au suivi
+        </Link>
+      </header>
+
+      {loaded && !position && <div className="text-gray-500">Aucune transaction pour {symbol}.</div>}
+
+      {position && fxLoaded && (converted.missing > 0 || pricesInEur) && (
+        <div className="bg-yellow-100 text-yellow-800 p-3 rounded text-sm">
+          Taux de change indisponibles :{' '}
+          {converted.missing > 0 && `${converted.missing} transaction(s) restent dans leur devise d'origine. `}
+          {pricesInEur && 'les prix restent en euros. '}
+          Les montants mélangent plusieurs devises.
+        </div>
+      )}
+
+      {position && (
+        <>
+          {/* Position */}
+          <div className="bg-white p-4 rounded shadow grid grid-cols-2 sm:grid-cols-4 gap-4 text-sm">
+            <div>
+              <div className="text-gray-500">Quantité</div>
+              <div className="font-semibold">{formatQuantity(position.quantity)}</div>
+            </div>
+            <div>
+              <div className="text-gray-500">Prix moyen</div>
+              <div className="font-semibold">
+                {formatMoney(position.costAvg, currency, { minimumFractionDigits: 2, maximumFractionDigits: 8 })}
+              </div>
+            </div>
+            <div>
+              <div className="text-gray-500">Prix actuel</div>
+              <div className="font-semibold">
+                {position.priced
+                  ? formatMoney(position.currentPrice, currency, { minimumFractionDigits: 2, maximumFractionDigits: 8 })
+                  : '—'}
+              </div>
+            </div>
+            <div>
+              <div className="text-gray-500">Valeur</div>
+              <div className="font-semibold">{position.priced ? formatMoney(position.value, currency) : '—'}</div>
+            </div>
+            <div>
+              <div className="text-gray-500">Investi</div>
+              <div className="font-semibold">{formatMoney(position.invested, currency)}</div>
+            </div>
+            <div>
+              <div className="text-gray-500">Réalisé</div>
+              <div className={`font-semibold ${pnlClass(position.realised)}`}>{formatMoney(position.realised, currency)}</div>
+            </div>
+            <div>
+              <div className="text-gray-500">Non réalisé</div>
+              <div className={`font-semibold ${pnlClass(position.unrealised)}`}>
+                {position.priced ? formatMoney(position.unrealised, currency) : '—'}
+              </div>
+            </div>
+            <div>
+              <div className="text-gray-500">PnL</div>
+              <div className={`font-semibold ${pnlClass(position.pnl)}`}>
+                {position.priced ? formatPercent(position.pnlPercent) : '—'}
+              </div>
+            </div>
+          </div>
+
+          {/* Price chart */}
+          <section>
+            <h2 className="text-xl font-semibold text-gray-800 mb-2">Cours</h2>
+            <div className="bg-white p-4 rounded shadow">
+              <AssetPriceChart points={points} trades={trades} costAvg={position.costAvg} currency={currency} />
+            </div>
+          </section>
+
+          {/* Open lots, in the order of the cost-basis method's lots */}
+          <section>
+            <h2 className="text-xl font-semibold text-gray-800 mb-2">Lots ouverts</h2>
+            <div className="overflow-auto border rounded-lg">
+              <table className="min-w-full">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Quantité restante</th>
+                    <th>Coût unitaire ({CURRENCIES[currency]})</th>
+                    <th>Coût ({CURRENCIES[currency]})</th>
+                    <th>Valeur ({CURRENCIES[currency]})</th>
+                    <th>Non‑réal. ({CURRENCIES[currency]})</th>
+                    <th>PnL (%)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {position.lots.length === 0 && (
+                    <tr>
+                      <td colSpan="7" className="text-center py-4 text-gray-500">
+                        Aucun lot ouvert.
+                      </td>
+                    </tr>
+                  )}
+                  {position.lots.map((lot, i) => {
+                    const cost = lot.quantity * lot.price;
+                    const value = lot.quantity * position.currentPrice;
+                    const unrealised = value - cost;
+                    return (
+                      <tr key={`${lot.date}-${i}`} className="border-b last:border-b-0">
+                        <td>{lot.date}</td>
+                        <td>{formatQuantity(lot.quantity)}</td>
+                        <td>{lot.price.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 8 })}</td>
+                        <td>{cost.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
+                        <td>
+                          {position.priced
+                            ? value.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+                            : '—'}
+                        </td>
+                        <td className={pnlClass(unrealised)}>
+                          {position.priced
+                            ? unrealised.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+                            : '—'}
+                        </td>
+                        <td className={pnlClass(unrealised)}>
+                          {position.priced && cost > 0 ? formatPercent((unrealised / cost) * 100) : '—'}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </section>
+
+          {/* Quantity per platform */}
+          <section>
+            <h2 className="text-xl font-semibold text-gray-800 mb-2">Répartition par plateforme</h2>
+            {byPlatform.length === 0 ? (
+              <div className="text-gray-500">Aucune unité détenue.</div>
+            ) : (
+              <div className="bg-white p-4 rounded shadow space-y-1 text-sm">
+                {byPlatform.map(({ platform, quantity }) => (
+                  <div key={platform} className="flex justify-between">
+                    <span>{platform}</span>
+                    <span>
+                      {formatQuantity(quantity)}
+                      {position.quantity > 0 &&
+                        ` (${((quantity / position.quantity) * 100).toLocaleString('fr-FR', { maximumFractionDigits: 1 })} %)`}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </section>
+
+          {/* Transactions involving the asset, as entered */}
+          <section>
+            <h2 className="text-xl font-semibold text-gray-800 mb-2">Transactions</h2>
+            <div className="overflow-auto border rounded-lg">
+              <table className="min-w-full">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Type</th>
+                    <th>Plateforme</th>
+                    <th>Quantité</th>
+                    <th>Prix</th>
+                    <th>Détail</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {assetTransactions.map((tx) => {
+                    const incoming = tx.type === 'SWAP' && tx.toAsset === symbol;
+                    return (
+                      <tr key={tx.id} className="border-b last:border-b-0">
+                        <td>{tx.date}</td>
+                        <td>{TRANSACTION_TYPES[tx.type] ?? tx.type}</td>
+                        <td>{tx.type === 'TRANSFER' ? `${tx.platform} → ${tx.toPlatform}` : tx.platform}</td>
+                        <td>{formatQuantity(incoming ? tx.toQuantity : tx.quantity)}</td>
+                        <td>
+                          {formatMoney(incoming ? (tx.price * tx.quantity) / tx.toQuantity : tx.price, tx.currency || 'EUR', {
+                            minimumFractionDigits: 2,
+                            maximumFractionDigits: 8,
+                          })}
+                        </td>
+                        <td>
+                          {tx.type === 'SWAP' &&
+                            (incoming ? `depuis ${formatQuantity(tx.quantity)} ${tx.asset}` : `vers ${formatQuantity(tx.toQuantity)} ${tx.toAsset}`)}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
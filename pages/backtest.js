@@ -0,0 +1,371 @@
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import PortfolioChart from '../components/PortfolioChart';
+import { fetchPrices } from '../utils/prices';
+import { fetchPriceHistory, createPriceLookup } from '../utils/priceHistory';
+import { computeMonthlyHistory, listAssets } from '../utils/finance';
+import { DCA_FREQUENCIES } from '../utils/dca';
+import { fetchFxRates, createFxLookup, convertTransactions } from '../utils/currency';
+import { loadPortfolios, storageKey } from '../utils/portfolios';
+import { readValue } from '../utils/storage';
+import { BACKTEST_STRATEGIES, BACKTEST_DEFAULTS, runBacktest, parsePriceFile } from '../utils/backtest';
+
+const formatEur = (value) =>
+  value.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const isoDaysAgo = (days) => new Date(Date.now() - days * 86400000).toISOString().split('T')[0];
+
+/**
+ * DCA backtester. Simulates a DCA schedule over historical prices with each
+ * strategy of BACKTEST_STRATEGIES, compares their results, and charts the
+ * selected one against the real history of the portfolio open on the main
+ * page.
+ * Prices come from the price history cache, which only reaches back 365
+ * days, or from a local file (JSON or CSV, see `parsePriceFile`).
+ */
+export default function Backtest() {
+  const [transactions, setTransactions] = useState([]);
+  const [coins, setCoins] = useState({});
+  const [portfolioName, setPortfolioName] = useState('');
+  const [settings, setSettings] = useState({ costBasis: 'FIFO' });
+  const [realHistory, setRealHistory] = useState([]);
+  const [allocation, setAllocation] = useState([
+    { asset: 'BTC', weight: 50 },
+    { asset: 'ETH', weight: 50 },
+  ]);
+  const [amount, setAmount] = useState('200');
+  const [frequency, setFrequency] = useState('WEEKLY');
+  const [startDate, setStartDate] = useState(isoDaysAgo(364));
+  const [endDate, setEndDate] = useState(isoDaysAgo(0));
+  const [strategy, setStrategy] = useState('FIXED');
+  const [params, setParams] = useState(BACKTEST_DEFAULTS);
+  const [fileSeries, setFileSeries] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [results, setResults] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
+
+  // Load transactions and settings of the portfolio open on the main page,
+  // and resolved coins
+  useEffect(() => {
+    (async () => {
+      const { activeId, portfolios } = await loadPortfolios();
+      setPortfolioName(portfolios.find((p) => p.id === activeId).name);
+      try {
+        const stored = await readValue(storageKey('wavDcaTransactions', activeId));
+        if (stored) setTransactions(stored);
+        const storedCoins = await readValue('wavDcaCoins');
+        if (storedCoins) setCoins(storedCoins);
+        const storedSettings = await readValue(storageKey('wavDcaSettings', activeId));
+        if (storedSettings) setSettings((prev) => ({ ...prev, ...storedSettings }));
+      } catch (err) {
+        console.error('Erreur lors du chargement des transactions :', err);
+      }
+    })();
+  }, []);
+
+  // Real monthly history, valued like on the main page but in EUR like the
+  // simulation
+  useEffect(() => {
+    const assets = listAssets(transactions);
+    if (assets.length === 0) return;
+    const firstDate = transactions.reduce((min, tx) => (tx.date < min ? tx.date : min), transactions[0].date);
+    let cancelled = false;
+    (async () => {
+      const needsFx = transactions.some((tx) => tx.currency && tx.currency !== 'EUR');
+      const [ph, pr, fx] = await Promise.all([
+        fetchPriceHistory(assets, firstDate, coins),
+        fetchPrices(assets, {}, coins),
+        needsFx ? fetchFxRates(firstDate) : {},
+      ]);
+      if (!cancelled) {
+        const { transactions: eurTransactions } = convertTransactions(transactions, 'EUR', createFxLookup(fx));
+        setRealHistory(computeMonthlyHistory(eurTransactions, pr, createPriceLookup(ph), { method: settings.costBasis }));
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [transactions, coins, settings.costBasis]);
+
+  // Load price series from a local file
+  const handleLoadFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (ev) => {
+      try {
+        setFileSeries(parsePriceFile(ev.target.result));
+        setFileName(file.name);
+        setError('');
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  // Run every strategy with the same schedule and allocation
+  const handleRun = async () => {
+    const alloc = {};
+    for (const { asset, weight } of allocation) {
+      if (asset && weight > 0) alloc[asset.toUpperCase()] = (alloc[asset.toUpperCase()] ?? 0) + weight;
+    }
+    const base = parseFloat(amount);
+    if (Object.keys(alloc).length === 0 || !(base > 0) || !startDate || !endDate || endDate < startDate) {
+      setError('Renseignez au moins un actif, un montant et des dates valides.');
+      return;
+    }
+    setError('');
+    setRunning(true);
+    try {
+      // The file takes precedence; other assets come from the cache or
+      // CoinGecko, from early enough to know the recent high on the first dip
+      const fromFile = fileSeries || {};
+      const toFetch = Object.keys(alloc).filter((a) => !fromFile[a]);
+      const since = new Date(new Date(`${startDate}T00:00:00Z`).getTime() - params.dipLookback * 86400000)
+        .toISOString()
+        .split('T')[0];
+      const fetched = toFetch.length > 0 ? await fetchPriceHistory(toFetch, since, coins) : {};
+      const priceAt = createPriceLookup({ ...fetched, ...fromFile });
+      const config = { ...params, allocation: alloc, amount: base, frequency, startDate, endDate };
+      const byStrategy = {};
+      for (const s of Object.keys(BACKTEST_STRATEGIES)) {
+        byStrategy[s] = runBacktest({ ...config, strategy: s }, priceAt);
+      }
+      const unpriced = Object.keys(alloc).filter((a) => priceAt(a, endDate) === undefined);
+      setResults({ byStrategy, unpriced });
+    } catch (err) {
+      console.error('Erreur lors de la simulation :', err);
+      setError('La simulation a échoué.');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const setAllocationRow = (idx, field, value) =>
+    setAllocation((prev) => prev.map((row, i) => (i === idx ? { ...row, [field]: value } : row)));
+
+  const selected = results && results.byStrategy[strategy];
+
+  return (
+    <div className="max-w-6xl mx-auto py-6 px-4 space-y-8">
+      <header className="flex flex-col sm:flex-row items-center justify-between space-y-4 sm:space-y-0">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Simulateur de DCA</h1>
+          <p className="text-sm text-gray-500">Et si vous aviez investi autrement ?</p>
+        </div>
+        <Link href="/" className="text-primary hover:text-primary-dark">
+          ← Retour au suivi
+        </Link>
+      </header>
+
+      {/* Schedule and allocation */}
+      <div className="bg-white p-4 rounded-lg shadow space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Montant par achat (€)</label>
+            <input
+              type="number"
+              step="0.01"
+              className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Fréquence</label>
+            <select
+              className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+              value={frequency}
+              onChange={(e) => setFrequency(e.target.value)}
+            >
+              {Object.keys(DCA_FREQUENCIES).map((f) => (
+                <option key={f} value={f}>
+                  {DCA_FREQUENCIES[f]}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Début</label>
+            <input
+              type="date"
+              className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+              value={startDate}
+              onChange={(e) => setStartDate(e.target.value)}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Fin</label>
+            <input
+              type="date"
+              className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+              value={endDate}
+              onChange={(e) => setEndDate(e.target.value)}
+            />
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <div className="text-sm font-medium text-gray-700">Répartition de chaque achat</div>
+          {allocation.map((row, idx) => (
+            <div key={idx} className="flex items-center space-x-2">
+              <input
+                type="text"
+                className="p-2 border border-gray-300 rounded-md uppercase w-28"
+                value={row.asset}
+                onChange={(e) => setAllocationRow(idx, 'asset', e.target.value.toUpperCase())}
+              />
+              <input
+                type="number"
+                className="p-2 border border-gray-300 rounded-md w-24"
+                value={row.weight}
+                onChange={(e) => setAllocationRow(idx, 'weight', parseFloat(e.target.value) || 0)}
+              />
+              <span className="text-sm text-gray-500">%</span>
+              <button
+                onClick={() => setAllocation((prev) => prev.filter((_, i) => i !== idx))}
+                className="text-red-600 hover:text-red-800"
+                title="Retirer cet actif"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <button
+            onClick={() => setAllocation((prev) => [...prev, { asset: '', weight: 0 }])}
+            className="text-sm text-primary hover:text-primary-dark"
+          >
+            + Ajouter un actif
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Repli déclencheur (%)</label>
+            <input
+              type="number"
+              className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+              value={params.dipThreshold}
+              onChange={(e) => setParams((prev) => ({ ...prev, dipThreshold: parseFloat(e.target.value) || 0 }))}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Multiplicateur sur repli</label>
+            <input
+              type="number"
+              step="0.1"
+              className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+              value={params.dipMultiplier}
+              onChange={(e) => setParams((prev) => ({ ...prev, dipMultiplier: parseFloat(e.target.value) || 1 }))}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Plus haut sur (jours)</label>
+            <input
+              type="number"
+              className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+              value={params.dipLookback}
+              onChange={(e) => setParams((prev) => ({ ...prev, dipLookback: parseInt(e.target.value, 10) || 1 }))}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Value averaging : plafond (× montant)</label>
+            <input
+              type="number"
+              step="0.5"
+              className="mt-1 block w-full p-2 border border-gray-300 rounded-md"
+              value={params.maxMultiple}
+              onChange={(e) => setParams((prev) => ({ ...prev, maxMultiple: parseFloat(e.target.value) || 1 }))}
+            />
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4">
+          <label className="inline-block bg-gray-600 text-white px-4 py-2 rounded-md cursor-pointer hover:bg-gray-700">
+            Charger un fichier de prix
+            <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleLoadFile} className="hidden" />
+          </label>
+          {fileName && (
+            <span className="text-sm text-gray-600">
+              {fileName} : {Object.keys(fileSeries).join(', ')}
+            </span>
+          )}
+          <button
+            onClick={handleRun}
+            disabled={running}
+            className="bg-primary text-white px-4 py-2 rounded-md hover:bg-primary-dark disabled:opacity-50"
+          >
+            {running ? 'Simulation…' : 'Lancer la simulation'}
+          </button>
+        </div>
+        <p className="text-xs text-gray-500">
+          Sans fichier, l&apos;historique gratuit de CoinGecko se limite aux 365 derniers jours. Un fichier JSON
+          ({'{ "BTC": { "2021-01-01": 25000 } }'}) ou CSV (date;BTC;ETH) permet de remonter plus loin.
+        </p>
+        {error && <div className="text-sm text-red-700">{error}</div>}
+      </div>
+
+      {/* Strategy comparison */}
+      {results && (
+        <div className="space-y-4">
+          {results.unpriced.length > 0 && (
+            <div className="text-sm text-yellow-700">Prix introuvables pour : {results.unpriced.join(', ')}</div>
+          )}
+          <div className="overflow-auto border rounded-lg">
+            <table className="min-w-full">
+              <thead>
+                <tr>
+                  <th>Stratégie</th>
+                  <th>Achats</th>
+                  <th>Investi (€)</th>
+                  <th>Valeur finale (€)</th>
+                  <th>PnL (€)</th>
+                  <th>PnL (%)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.keys(BACKTEST_STRATEGIES).map((s) => {
+                  const { totals, purchases } = results.byStrategy[s];
+                  const pct = totals.invested > 0 ? (totals.pnl / totals.invested) * 100 : 0;
+                  return (
+                    <tr
+                      key={s}
+                      onClick={() => setStrategy(s)}
+                      className={`border-b last:border-b-0 cursor-pointer ${s === strategy ? 'bg-gray-50 font-semibold' : ''}`}
+                    >
+                      <td>{BACKTEST_STRATEGIES[s]}</td>
+                      <td>{purchases}</td>
+                      <td>{formatEur(totals.invested)}</td>
+                      <td>{formatEur(totals.value)}</td>
+                      <td className={totals.pnl >= 0 ? 'text-green-700' : 'text-red-700'}>{formatEur(totals.pnl)}</td>
+                      <td className={pct >= 0 ? 'text-green-700' : 'text-red-700'}>{pct.toFixed(2)} %</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div>
+            <h2 className="text-xl font-semibold mb-2">
+              {BACKTEST_STRATEGIES[strategy]} comparé à votre portefeuille{portfolioName && ` « ${portfolioName} »`}
+            </h2>
+            <PortfolioChart
+              history={realHistory}
+              comparison={selected.history}
+              comparisonLabel={BACKTEST_STRATEGIES[strategy]}
+            />
+            {selected.missing > 0 && (
+              <div className="mt-2 text-sm text-gray-500">
+                {selected.missing} achats simulés ignorés faute de prix à leur date.
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,87 +1,765 @@
-import { useEffect, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import Link from 'next/link';
 import TransactionForm from '../components/TransactionForm';
 import TransactionsTable from '../components/TransactionsTable';
 import SummaryTable from '../components/SummaryTable';
 import PortfolioChart from '../components/PortfolioChart';
-import { fetchPrices } from '../utils/prices';
-import { computePnL, computeMonthlyHistory } from '../utils/finance';
+import PortfolioCharts from '../components/PortfolioCharts';
+import AssetResolver from '../components/AssetResolver';
+import CostBasisComparison from '../components/CostBasisComparison';
+import PlatformHoldings from '../components/PlatformHoldings';
+import CsvImport from '../components/CsvImport';
+import JsonImport from '../components/JsonImport';
+import DcaPlans from '../components/DcaPlans';
+import PerformancePanel from '../components/PerformancePanel';
+import AllocationPanel from '../components/AllocationPanel';
+import AlertsPanel from '../components/AlertsPanel';
+import PortfolioSwitcher from '../components/PortfolioSwitcher';
+import ConsolidatedView from '../components/ConsolidatedView';
+import SnapshotHistory from '../components/SnapshotHistory';
+import SyncPanel from '../components/SyncPanel';
+import IntegrityPanel from '../components/IntegrityPanel';
+import ManualPriceRegistry from '../components/ManualPriceRegistry';
+import { fetchPriceQuotes, priceIds, resolveCoinIds, isListed } from '../utils/prices';
+import { fetchPriceHistory, createPriceLookup, fetchPriceOn } from '../utils/priceHistory';
+import {
+  computePnL,
+  computeMonthlyHistory,
+  computeCashFlows,
+  computeHoldingsByPlatform,
+  listAssets,
+  COST_BASIS_METHODS,
+  ensureTransactionIds,
+  createTransactionId,
+} from '../utils/finance';
+import { createBackup } from '../utils/backup';
+import { computePerformance } from '../utils/performance';
+import {
+  CURRENCIES,
+  BASE_CURRENCY,
+  fetchFxRates,
+  createFxLookup,
+  convertTransactions,
+  convertPrices,
+  convertPriceLookup,
+  formatMoney,
+} from '../utils/currency';
+import {
+  DEFAULT_LADDER,
+  EMPTY_ALERT_STATE,
+  evaluateRules,
+  updateAlertState,
+  unpricedRules,
+  visibleAlerts,
+  snoozeAlert,
+  dismissAlert,
+} from '../utils/alerts';
+import { createHistory, pushHistory, undoHistory, redoHistory } from '../utils/undo';
+import {
+  loadPortfolios,
+  savePortfolios,
+  addPortfolio,
+  storageKey,
+  loadPortfolioData,
+  copyPortfolioData,
+  removePortfolioData,
+  saveSnapshot,
+} from '../utils/portfolios';
+import { readValue, writeValue, removeValue } from '../utils/storage';
+import { checkIntegrity, checkTransaction } from '../utils/integrity';
+import { normalizeManualPrices, latestManualPrices, withManualHistory } from '../utils/manualPrices';
+import {
+  REFRESH_INTERVALS,
+  DEFAULT_REFRESH_INTERVAL,
+  staleAfter,
+  createRefreshScheduler,
+} from '../utils/priceRefresh';
+import {
+  SYNC_INTERVAL,
+  DEFAULT_SYNC_CONFIG,
+  EMPTY_SYNC_STATE,
+  loadSyncState,
+  saveSyncState,
+  trackChanges,
+  syncPortfolio,
+  applySync,
+  fetchRemotePortfolios,
+  deleteRemotePortfolios,
+  mergePortfolios,
+} from '../utils/sync';
+
+// Take-profit rules on the presale tokens, seeded for new portfolios
+const DEFAULT_ALERT_RULES = ['RTX', 'LBRETT'].map((asset) => ({
+  id: `default-${asset}`,
+  asset,
+  condition: 'TAKE_PROFIT',
+  ladder: DEFAULT_LADDER,
+  enabled: true,
+}));
+
+// Presale tokens priced by hand, seeded for new portfolios with a point
+// dated of their creation
+const DEFAULT_MANUAL_PRICES = { RTX: 0.0042, LBRETT: 0.0042 };
+
+const DEFAULT_SETTINGS = { costBasis: 'FIFO', currency: 'EUR', targets: {}, priceRefresh: DEFAULT_REFRESH_INTERVAL };
 
 /**
  * The main application page. It ties together the form, tables, charts
- * and state management. User transactions are persisted to
- * localStorage under the key `wavDcaTransactions`. Prices are fetched
- * from CoinGecko, with manual overrides for presale tokens.
+ * and state management. User transactions are persisted, in IndexedDB
+ * (see storage.js), under the key `wavDcaTransactions`. Prices are fetched
+ * through the `/api/prices` route; presale and unlisted tokens are priced
+ * from the dated points of the manual price registry (`wavDcaManualPrices`,
+ * see manualPrices.js) until the API lists them.
+ * Assets missing from `priceIds` are resolved to a coin automatically; when a
+ * symbol is ambiguous the user's choice is persisted under `wavDcaCoins`.
+ * Current prices are refreshed on a schedule (see priceRefresh.js) and
+ * flagged in the summary when stale or failed.
+ * Settings such as the cost-basis method, the reporting currency and the
+ * target allocation live under `wavDcaSettings`, alert rules under
+ * `wavDcaAlertRules` and the state of the alerts they raise (history,
+ * snoozes, dismissals) under `wavDcaAlerts`. Daily closes are fetched
+ * separately to value the monthly history at historical prices.
+ *
+ * The page shows one portfolio at a time: all the keys above but
+ * `wavDcaCoins` belong to the open portfolio and are suffixed with its id
+ * (see portfolios.js). Switching portfolio reloads them and starts a new
+ * undo history. Each change to the transactions also saves a snapshot of the
+ * portfolio that can be restored later, and a failed save shows a banner.
+ * With a sync token, the transactions and portfolio names are also shared
+ * with the other devices through the sync server (see sync.js), every
+ * minute, shortly after a change and when the connection comes back.
+ *
+ * Prices are in EUR and transactions in the currency they were paid in:
+ * both are converted to the reporting currency with the FX rates of their
+ * date before any computation.
  */
 export default function Home() {
-  const [transactions, setTransactions] = useState([]);
+  // Transactions with their undo/redo history
+  const [txHistory, setTxHistory] = useState(() => createHistory([]));
+  const transactions = txHistory.present;
+  const [editing, setEditing] = useState(null);
+  const [plans, setPlans] = useState([]);
+  const [alertRules, setAlertRules] = useState(DEFAULT_ALERT_RULES);
+  const [alerts, setAlerts] = useState([]);
+  const [alertState, setAlertState] = useState(EMPTY_ALERT_STATE);
+  // DCA occurrence being confirmed: { planId, planDate, initial }
+  const [planPurchase, setPlanPurchase] = useState(null);
   const [prices, setPrices] = useState({});
-  const [manualPrices, setManualPrices] = useState({ RTX: 0.0042, LBRETT: 0.0042 });
+  const [manualPrices, setManualPrices] = useState({});
   const [summary, setSummary] = useState({});
   const [history, setHistory] = useState([]);
+  const [performanceStats, setPerformanceStats] = useState(null);
+  const [priceHistory, setPriceHistory] = useState({});
+  const [fxRates, setFxRates] = useState({});
   const [lastUpdated, setLastUpdated] = useState(null);
+  // Per asset: time of the last API price, failure of the last attempt
+  const [priceStatus, setPriceStatus] = useState({});
+  // Next automatic price refresh, and rate-limited attempts in a row
+  const [priceSchedule, setPriceSchedule] = useState({ nextAt: null, failures: 0 });
+  const [coins, setCoins] = useState({});
+  const [ambiguous, setAmbiguous] = useState({});
+  const [unpriced, setUnpriced] = useState([]);
+  const resolveAttempted = useRef(new Set());
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  // Portfolio list; null until loaded, so nothing is saved before
+  const [registry, setRegistry] = useState(null);
+  const portfolioId = registry ? registry.activeId : null;
+  // States of the open portfolio that can be restored, newest first
+  const [snapshots, setSnapshots] = useState([]);
+  // Label of the last change to the transactions, until it is snapshotted
+  const changeLabel = useRef(null);
+  const [storageError, setStorageError] = useState(null);
+  // Sync settings, sync state of the open portfolio and outcome of the last sync
+  const [syncConfig, setSyncConfig] = useState(DEFAULT_SYNC_CONFIG);
+  const [syncState, setSyncState] = useState(EMPTY_SYNC_STATE);
+  const [syncStatus, setSyncStatus] = useState({ syncing: false, error: null, lastSyncAt: null });
+  const [syncConflicts, setSyncConflicts] = useState([]);
+  // Transactions the pending changes were last recorded against
+  const trackedTransactions = useRef(null);
+  const syncing = useRef(false);
+  const [csvFile, setCsvFile] = useState(null);
+  const [jsonFile, setJsonFile] = useState(null);
+
+  // Report the outcome of a save: a failure shows a banner until a later
+  // save succeeds
+  const trackSave = useCallback((promise, what) => {
+    promise
+      .then(() => setStorageError(null))
+      .catch((err) => {
+        console.error(`Impossible d'enregistrer ${what} :`, err);
+        setStorageError(
+          `Impossible d'enregistrer ${what} (${err.message}). Les dernières modifications seront perdues à la fermeture de la page : exportez vos données en JSON.`
+        );
+      });
+  }, []);
+
+  // Open the active portfolio of `next`. Its data is read first, then shown
+  // together with the new list, so nothing is saved under the wrong
+  // portfolio in between. Missing data gets its defaults.
+  const openPortfolio = useCallback(async (next) => {
+    const [data, sync] = await Promise.all([loadPortfolioData(next.activeId), loadSyncState(next.activeId)]);
+    const loadedTransactions = ensureTransactionIds(data.wavDcaTransactions ?? []);
+    trackedTransactions.current = loadedTransactions;
+    setTxHistory(createHistory(loadedTransactions));
+    setSettings({ ...DEFAULT_SETTINGS, ...data.wavDcaSettings });
+    setManualPrices(normalizeManualPrices(data.wavDcaManualPrices ?? DEFAULT_MANUAL_PRICES));
+    setPlans(data.wavDcaPlans ?? []);
+    setAlertRules(data.wavDcaAlertRules ?? DEFAULT_ALERT_RULES);
+    setAlertState({ ...EMPTY_ALERT_STATE, ...data.wavDcaAlerts });
+    setAlerts([]);
+    setEditing(null);
+    setPlanPurchase(null);
+    setSyncState(sync);
+    setSyncStatus({ syncing: false, error: null, lastSyncAt: sync.lastSyncAt });
+    setSyncConflicts([]);
+    setRegistry(next);
+    changeLabel.current = 'Ouverture';
+  }, []);
 
-  // Load transactions from localStorage on mount
+  // Load the resolved coins, the sync settings and the open portfolio on mount
   useEffect(() => {
-    try {
-      const stored = localStorage.getItem('wavDcaTransactions');
-      if (stored) {
-        setTransactions(JSON.parse(stored));
+    (async () => {
+      try {
+        const storedCoins = await readValue('wavDcaCoins');
+        if (storedCoins) {
+          setCoins(storedCoins);
+        }
+      } catch (err) {
+        console.error('Erreur lors du chargement des coins :', err);
       }
-    } catch (err) {
-      console.error('Erreur lors du chargement des transactions :', err);
-    }
-  }, []);
+      try {
+        const storedSync = await readValue('wavDcaSyncConfig');
+        if (storedSync) {
+          setSyncConfig({ ...DEFAULT_SYNC_CONFIG, ...storedSync });
+        }
+      } catch (err) {
+        console.error('Erreur lors du chargement des réglages de synchronisation :', err);
+      }
+      await openPortfolio(await loadPortfolios());
+    })();
+  }, [openPortfolio]);
+
+  // Persist the portfolio list whenever it changes
+  useEffect(() => {
+    if (!registry) return;
+    trackSave(savePortfolios(registry), 'la liste des portefeuilles');
+  }, [registry, trackSave]);
 
   // Persist transactions whenever they change
   useEffect(() => {
+    if (!portfolioId) return;
+    trackSave(writeValue(storageKey('wavDcaTransactions', portfolioId), transactions), 'les transactions');
+  }, [transactions, portfolioId, trackSave]);
+
+  // Persist manual prices whenever they change
+  useEffect(() => {
+    if (!portfolioId) return;
+    trackSave(writeValue(storageKey('wavDcaManualPrices', portfolioId), manualPrices), 'les prix manuels');
+  }, [manualPrices, portfolioId, trackSave]);
+
+  // Persist DCA plans whenever they change
+  useEffect(() => {
+    if (!portfolioId) return;
+    trackSave(writeValue(storageKey('wavDcaPlans', portfolioId), plans), 'les plans DCA');
+  }, [plans, portfolioId, trackSave]);
+
+  // Persist alert rules and alert state whenever they change
+  useEffect(() => {
+    if (!portfolioId) return;
+    trackSave(
+      Promise.all([
+        writeValue(storageKey('wavDcaAlertRules', portfolioId), alertRules),
+        writeValue(storageKey('wavDcaAlerts', portfolioId), alertState),
+      ]),
+      'les alertes'
+    );
+  }, [alertRules, alertState, portfolioId, trackSave]);
+
+  // Keep the state reached by each change to the transactions, and the one
+  // found when a portfolio is opened, so it can be restored later
+  useEffect(() => {
+    if (!portfolioId || !changeLabel.current) return;
+    const label = changeLabel.current;
+    changeLabel.current = null;
+    trackSave(
+      saveSnapshot(portfolioId, { transactions, manualPrices, settings, plans, alertRules }, label).then(setSnapshots),
+      'les sauvegardes automatiques'
+    );
+  }, [transactions, manualPrices, settings, plans, alertRules, portfolioId, trackSave]);
+
+  // Resolve assets the app doesn't know yet to a coin, once per symbol
+  useEffect(() => {
+    const toResolve = listAssets(transactions).filter(
+      (asset) =>
+        !priceIds[asset] &&
+        !coins[asset] &&
+        manualPrices[asset] === undefined &&
+        !resolveAttempted.current.has(asset)
+    );
+    if (toResolve.length === 0) return;
+    toResolve.forEach((asset) => resolveAttempted.current.add(asset));
+    (async () => {
+      try {
+        const { resolved, ambiguous: amb } = await resolveCoinIds(toResolve);
+        if (Object.keys(resolved).length > 0) {
+          setCoins((prev) => ({ ...prev, ...resolved }));
+        }
+        setAmbiguous((prev) => ({ ...prev, ...amb }));
+      } catch (err) {
+        console.error('Erreur lors de la résolution des actifs :', err);
+        // Allow another attempt on the next change
+        toResolve.forEach((asset) => resolveAttempted.current.delete(asset));
+      }
+    })();
+  }, [transactions, coins, manualPrices]);
+
+  // Persist settings
+  useEffect(() => {
+    if (!portfolioId) return;
+    trackSave(writeValue(storageKey('wavDcaSettings', portfolioId), settings), 'les réglages');
+  }, [settings, portfolioId, trackSave]);
+
+  // Persist resolved and chosen coins, once the saved ones are loaded
+  const loaded = registry !== null;
+  useEffect(() => {
+    if (!loaded) return;
+    trackSave(writeValue('wavDcaCoins', coins), 'les actifs résolus');
+  }, [coins, loaded, trackSave]);
+
+  // Persist the sync settings, once the saved ones are loaded
+  useEffect(() => {
+    if (!loaded) return;
+    trackSave(
+      syncConfig.token || syncConfig.deleted.length > 0
+        ? writeValue('wavDcaSyncConfig', syncConfig)
+        : removeValue('wavDcaSyncConfig'),
+      'les réglages de synchronisation'
+    );
+  }, [syncConfig, loaded, trackSave]);
+
+  // Record each change to the transactions as pending until it is synced,
+  // whether a token is set or not, so nothing is missed when it is
+  useEffect(() => {
+    if (!portfolioId || trackedTransactions.current === transactions) return;
+    const prev = trackedTransactions.current;
+    trackedTransactions.current = transactions;
+    setSyncState((state) => trackChanges(state, prev, transactions));
+  }, [transactions, portfolioId]);
+
+  // Persist the sync state of the open portfolio
+  useEffect(() => {
+    if (!portfolioId) return;
+    trackSave(saveSyncState(portfolioId, syncState), "l'état de synchronisation");
+  }, [syncState, portfolioId, trackSave]);
+
+  // Latest values for the syncs started by timers and events
+  const latest = useRef(null);
+  latest.current = { syncConfig, registry, portfolioId, transactions, syncState };
+
+  // Sync the open portfolio: send the portfolios deleted here and the
+  // pending changes, receive the changes and portfolios of the other
+  // devices. Offline, changes stay pending until the connection is back.
+  const runSync = useCallback(async () => {
+    const { syncConfig: config, registry: list, portfolioId: id, transactions: sent, syncState: state } = latest.current;
+    if (!config.token || !id || syncing.current) return;
+    if (!navigator.onLine) {
+      setSyncStatus((prev) => ({ ...prev, error: 'Hors ligne : les modifications seront envoyées au retour de la connexion.' }));
+      return;
+    }
+    syncing.current = true;
+    setSyncStatus((prev) => ({ ...prev, syncing: true }));
     try {
-      localStorage.setItem('wavDcaTransactions', JSON.stringify(transactions));
+      if (config.deleted.length > 0) {
+        const done = await deleteRemotePortfolios(config.token, config.deleted);
+        setSyncConfig((prev) => ({ ...prev, deleted: prev.deleted.filter((d) => !done.includes(d)) }));
+      }
+      const portfolio = list.portfolios.find((p) => p.id === id);
+      const result = await syncPortfolio({ token: config.token, portfolio, transactions: sent, state });
+      const remote = await fetchRemotePortfolios(config.token);
+      setRegistry((prev) => mergePortfolios(prev, remote.filter((r) => !config.deleted.includes(r.id))));
+      // Another portfolio was opened in the meantime
+      if (latest.current.portfolioId !== id) return;
+      const applied = applySync(latest.current.transactions, latest.current.syncState, result);
+      if (applied.transactions !== latest.current.transactions) {
+        trackedTransactions.current = applied.transactions;
+        changeLabel.current = 'Synchronisation';
+        setTxHistory((prev) => pushHistory(prev, applied.transactions, 'Synchronisation'));
+      }
+      setSyncState(applied.state);
+      if (result.conflicts.length > 0) {
+        setSyncConflicts((prev) => [...result.conflicts, ...prev]);
+      }
+      setSyncStatus({ syncing: false, error: null, lastSyncAt: result.serverTime });
     } catch (err) {
-      console.error('Erreur lors de la sauvegarde des transactions :', err);
+      console.error('Erreur lors de la synchronisation :', err);
+      setSyncStatus((prev) => ({ ...prev, error: `Synchronisation impossible : ${err.message}` }));
+    } finally {
+      syncing.current = false;
+      setSyncStatus((prev) => ({ ...prev, syncing: false }));
     }
-  }, [transactions]);
+  }, []);
+
+  // Sync when the token is set or another portfolio is opened, then every
+  // minute and whenever the connection comes back
+  useEffect(() => {
+    if (!syncConfig.token || !portfolioId) return;
+    runSync();
+    const timer = setInterval(runSync, SYNC_INTERVAL);
+    window.addEventListener('online', runSync);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('online', runSync);
+    };
+  }, [syncConfig.token, portfolioId, runSync]);
 
-  // Fetch prices whenever the set of assets or manual prices changes
+  // Send changes and deletions a few seconds after they are made
   useEffect(() => {
-    const assets = Array.from(new Set(transactions.map((tx) => tx.asset)));
+    if (!syncConfig.token) return;
+    if (Object.keys(syncState.pending).length === 0 && syncConfig.deleted.length === 0) return;
+    const timer = setTimeout(runSync, 3000);
+    return () => clearTimeout(timer);
+  }, [syncConfig.token, syncConfig.deleted, syncState.pending, runSync]);
+
+  // Latest inputs of the price refresh, read by the scheduler
+  const currentManualPrices = useMemo(() => latestManualPrices(manualPrices), [manualPrices]);
+  const priceInputs = useRef(null);
+  priceInputs.current = { assets: listAssets(transactions), manual: currentManualPrices, coins };
+
+  // Refresh the current prices. An asset the API fails to price keeps its
+  // last price, flagged by its age.
+  const refreshPrices = useCallback(async () => {
+    const { assets, manual, coins: resolved } = priceInputs.current;
     if (assets.length === 0) {
       setPrices({});
+      setUnpriced([]);
+      return {};
+    }
+    const result = await fetchPriceQuotes(assets, manual, resolved);
+    const now = new Date().toISOString();
+    const failed = result.requested.filter((asset) => !result.fetched.includes(asset));
+    setPrices((prev) => {
+      const next = { ...result.prices };
+      for (const asset of failed) {
+        if (next[asset] === undefined && prev[asset] !== undefined) next[asset] = prev[asset];
+      }
+      return next;
+    });
+    setPriceStatus((prev) =>
+      Object.fromEntries(
+        assets.map((asset) => {
+          if (result.fetched.includes(asset)) return [asset, { updatedAt: now, failed: false }];
+          if (failed.includes(asset)) return [asset, { updatedAt: prev[asset] ? prev[asset].updatedAt : null, failed: true }];
+          return [asset, { updatedAt: null, failed: false, manual: true }];
+        })
+      )
+    );
+    // Without any answer from the API, nothing is known about the assets
+    if (!result.error) setUnpriced(assets.filter((asset) => result.prices[asset] === undefined));
+    setLastUpdated(now);
+    return result;
+  }, []);
+
+  // Refresh prices on a schedule; a new interval replaces the scheduler
+  const refreshInterval = (settings.priceRefresh ?? DEFAULT_REFRESH_INTERVAL) * 1000;
+  const priceScheduler = useRef(null);
+  useEffect(() => {
+    const scheduler = createRefreshScheduler({
+      interval: refreshInterval,
+      refresh: refreshPrices,
+      onSchedule: setPriceSchedule,
+    });
+    priceScheduler.current = scheduler;
+    scheduler.start();
+    return () => scheduler.stop();
+  }, [refreshInterval, refreshPrices]);
+
+  // Refresh right away when the set of assets, resolved coins or manual
+  // prices change
+  const assetsKey = listAssets(transactions).join(',');
+  useEffect(() => {
+    priceScheduler.current.trigger();
+  }, [assetsKey, currentManualPrices, coins]);
+
+  // Fetch daily closes back to the first transaction whenever the set of
+  // assets or the earliest date changes
+  const firstDate = transactions.reduce((min, tx) => (!min || tx.date < min ? tx.date : min), null);
+  useEffect(() => {
+    if (!assetsKey || !firstDate) {
+      setPriceHistory({});
       return;
     }
     let cancelled = false;
     (async () => {
-      const pr = await fetchPrices(assets, manualPrices);
-      if (!cancelled) {
-        setPrices(pr);
-        setLastUpdated(new Date().toISOString());
-      }
+      const ph = await fetchPriceHistory(assetsKey.split(','), firstDate, coins);
+      if (!cancelled) setPriceHistory(ph);
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [assetsKey, firstDate, coins]);
+
+  // Fetch FX rates back to the first transaction when another currency than
+  // EUR is involved
+  const currency = settings.currency;
+  const needsFx = currency !== 'EUR' || transactions.some((tx) => tx.currency && tx.currency !== 'EUR');
+  useEffect(() => {
+    if (!needsFx) return;
+    let cancelled = false;
+    (async () => {
+      const rates = await fetchFxRates(firstDate || new Date().toISOString().split('T')[0]);
+      if (!cancelled) setFxRates(rates);
     })();
     return () => {
       cancelled = true;
     };
-  }, [transactions, manualPrices]);
+  }, [needsFx, firstDate]);
 
-  // Recompute summary whenever transactions or prices change
+  // Transactions and prices in the reporting currency
+  const fxAt = useMemo(() => createFxLookup(fxRates), [fxRates]);
+  const converted = useMemo(
+    () => convertTransactions(transactions, currency, fxAt),
+    [transactions, currency, fxAt]
+  );
+  const reportTransactions = converted.transactions;
+  const reportPrices = useMemo(
+    () => convertPrices(prices, currency, fxAt, new Date().toISOString().split('T')[0]),
+    [prices, currency, fxAt]
+  );
+  const reportPriceAt = useMemo(
+    () => convertPriceLookup(createPriceLookup(withManualHistory(priceHistory, manualPrices)), currency, fxAt),
+    [priceHistory, manualPrices, currency, fxAt]
+  );
+
+  // Open portfolio as read by the consolidated view
+  const activeData = useMemo(
+    () => ({ transactions, manualPrices, settings }),
+    [transactions, manualPrices, settings]
+  );
+
+  // Recompute summary whenever transactions, prices or the cost-basis method change
   useEffect(() => {
-    const s = computePnL(transactions, prices);
+    const options = { method: settings.costBasis };
+    const s = computePnL(reportTransactions, reportPrices, options);
     setSummary(s);
-    const hist = computeMonthlyHistory(transactions, prices);
+    const hist = computeMonthlyHistory(reportTransactions, reportPrices, reportPriceAt, options);
     setHistory(hist);
-  }, [transactions, prices]);
+    setPerformanceStats(computePerformance(reportTransactions, reportPrices, reportPriceAt));
+  }, [reportTransactions, reportPrices, reportPriceAt, settings.costBasis]);
+
+  // Evaluate the alert rules on every price refresh, once prices are known
+  useEffect(() => {
+    if (!lastUpdated) return;
+    const positions = computePnL(reportTransactions, reportPrices, { method: settings.costBasis });
+    const met = evaluateRules(alertRules, { summary: positions, targets: settings.targets, currency });
+    // Rules missing a price keep their alerts until it is back
+    const pending = unpricedRules(alertRules, positions);
+    setAlerts((prev) => [
+      ...met,
+      ...prev.filter((a) => pending.includes(a.ruleId) && !met.some((m) => m.key === a.key)),
+    ]);
+    setAlertState((prev) => updateAlertState(prev, met, new Date(), pending));
+  }, [reportTransactions, reportPrices, currency, settings.costBasis, settings.targets, alertRules, lastUpdated]);
+
+  // Apply a change to the transactions, recorded so it can be undone. New
+  // transactions get their id here.
+  const updateTransactions = (update, label) => {
+    changeLabel.current = label;
+    setTxHistory((prev) => pushHistory(prev, ensureTransactionIds(update(prev.present)), label));
+  };
+
+  // Issues of the transactions, and those a transaction would bring
+  const integrityIssues = useMemo(() => checkIntegrity(transactions), [transactions]);
+  const checkNewTransaction = (tx) => checkTransaction(transactions, tx);
 
   // Add a transaction to state
   const handleAddTransaction = (tx) => {
-    setTransactions((prev) => [...prev, tx]);
+    updateTransactions((prev) => [...prev, tx], 'Ajout');
+  };
+
+  // Replace the edited transaction, keeping its id and DCA plan link
+  const handleSaveTransaction = (tx) => {
+    const { id, planId, planDate } = editing;
+    const link = planId ? { planId, planDate } : {};
+    updateTransactions((prev) => prev.map((t) => (t.id === id ? { ...tx, ...link, id } : t)), 'Modification');
+    setEditing(null);
+  };
+
+  const handleUndo = () => {
+    changeLabel.current = 'Annulation';
+    setTxHistory(undoHistory);
+  };
+  const handleRedo = () => {
+    changeLabel.current = 'Rétablissement';
+    setTxHistory(redoHistory);
+  };
+
+  // Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) outside of form fields
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        changeLabel.current = 'Annulation';
+        setTxHistory(undoHistory);
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        changeLabel.current = 'Rétablissement';
+        setTxHistory(redoHistory);
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // Price of an asset on a given date, used to value swaps in the form.
+  // Manual points price the unlisted assets, and listed ones on the dates
+  // the API doesn't cover.
+  const getPriceOn = useCallback(
+    async (asset, date) => {
+      const manual = createPriceLookup(withManualHistory({}, manualPrices))(asset, date);
+      if (manualPrices[asset] && !isListed(asset, coins)) return manual;
+      const today = new Date().toISOString().split('T')[0];
+      if (date === today && prices[asset] !== undefined) return prices[asset];
+      return (await fetchPriceOn(asset, date, coins)) ?? manual;
+    },
+    [manualPrices, prices, coins]
+  );
+
+  // Open the purchase of a DCA occurrence in the reporting currency, the
+  // currency of plan amounts, pre-filled with the price on that date when
+  // it is known
+  const handleConfirmOccurrence = async (plan, date) => {
+    let price;
+    try {
+      const eurPrice = await getPriceOn(plan.asset, date);
+      const rate = fxAt(BASE_CURRENCY, currency, date);
+      if (eurPrice && rate) price = eurPrice * rate;
+    } catch (err) {
+      console.error('Impossible de récupérer le prix :', err);
+    }
+    const initial = { date, platform: plan.platform, asset: plan.asset, type: 'BUY' };
+    if (currency !== BASE_CURRENCY) initial.currency = currency;
+    if (price) {
+      initial.price = price;
+      initial.quantity = Number((plan.amount / price).toFixed(8));
+    }
+    setPlanPurchase({ planId: plan.id, planDate: date, initial });
+  };
+
+  // Record the purchase of a DCA occurrence, linked to its plan
+  const handleAddPlanPurchase = (tx) => {
+    const { planId, planDate } = planPurchase;
+    updateTransactions((prev) => [...prev, { ...tx, planId, planDate }], 'Achat programmé');
+    setPlanPurchase(null);
+  };
+
+  const handleAddPlan = (plan) => {
+    setPlans((prev) => [...prev, { ...plan, id: createTransactionId() }]);
+  };
+
+  const handleDeletePlan = (id) => {
+    setPlans((prev) => prev.filter((p) => p.id !== id));
+  };
+
+  const handleSkipOccurrence = (planId, date) => {
+    setPlans((prev) =>
+      prev.map((p) => (p.id === planId ? { ...p, skipped: [...(p.skipped || []), date] } : p))
+    );
+  };
+
+  const handleAddAlertRule = (rule) => {
+    setAlertRules((prev) => [...prev, { ...rule, id: createTransactionId() }]);
   };
 
-  // Delete a transaction by index
-  const handleDeleteTransaction = (index) => {
-    setTransactions((prev) => prev.filter((_, i) => i !== index));
+  const handleDeleteAlertRule = (id) => {
+    setAlertRules((prev) => prev.filter((r) => r.id !== id));
   };
 
-  // Export transactions as a JSON file
+  const handleToggleAlertRule = (id) => {
+    setAlertRules((prev) => prev.map((r) => (r.id === id ? { ...r, enabled: !r.enabled } : r)));
+  };
+
+  // Open another portfolio
+  const handleSwitchPortfolio = (id) => {
+    openPortfolio({ ...registry, activeId: id });
+  };
+
+  const handleCreatePortfolio = (name) => {
+    const { registry: next, id } = addPortfolio(registry, name);
+    openPortfolio({ ...next, activeId: id });
+  };
+
+  const handleRenamePortfolio = (id, name) => {
+    setRegistry((prev) => ({
+      ...prev,
+      portfolios: prev.portfolios.map((p) => (p.id === id ? { ...p, name, updatedAt: new Date().toISOString() } : p)),
+    }));
+  };
+
+  // Copy a portfolio with all its data, saved on every change, and open the copy
+  const handleDuplicatePortfolio = async (id, name) => {
+    const { registry: next, id: copyId } = addPortfolio(registry, name);
+    try {
+      await copyPortfolioData(id, copyId);
+    } catch (err) {
+      console.error('Erreur lors de la copie du portefeuille :', err);
+      setStorageError(`Impossible de copier le portefeuille (${err.message}).`);
+      return;
+    }
+    openPortfolio({ ...next, activeId: copyId });
+  };
+
+  // Delete a portfolio and its data, then open the first one left
+  const handleDeletePortfolio = async (id) => {
+    const remaining = registry.portfolios.filter((p) => p.id !== id);
+    if (remaining.length === 0) return;
+    try {
+      await removePortfolioData(id);
+    } catch (err) {
+      console.error('Erreur lors de la suppression du portefeuille :', err);
+    }
+    if (syncConfig.token) {
+      setSyncConfig((prev) => ({ ...prev, deleted: [...prev.deleted, id] }));
+    }
+    if (id === registry.activeId) {
+      openPortfolio({ activeId: remaining[0].id, portfolios: remaining });
+    } else {
+      setRegistry((prev) => ({ ...prev, portfolios: remaining }));
+    }
+  };
+
+  // Go back to a saved state of the portfolio; the current one stays in the
+  // list, and the restoration can be undone like any other change
+  const handleRestoreSnapshot = (snapshot) => {
+    const date = new Date(snapshot.date).toLocaleString('fr-FR');
+    if (!window.confirm(`Revenir à l'état du ${date} (${snapshot.label}) ?`)) return;
+    const { data } = snapshot;
+    updateTransactions(() => data.transactions, 'Restauration');
+    setManualPrices(normalizeManualPrices(data.manualPrices));
+    setSettings({ ...DEFAULT_SETTINGS, ...data.settings });
+    setPlans(data.plans);
+    setAlertRules(data.alertRules);
+  };
+
+  // Remember the coin picked for an ambiguous symbol
+  const handleChooseCoin = (symbol, coin) => {
+    setCoins((prev) => ({ ...prev, [symbol]: coin }));
+    setAmbiguous((prev) => {
+      const next = { ...prev };
+      delete next[symbol];
+      return next;
+    });
+  };
+
+  // Delete a transaction by id
+  const handleDeleteTransaction = (id) => {
+    updateTransactions((prev) => prev.filter((tx) => tx.id !== id), 'Suppression');
+  };
+
+  // Export transactions, manual prices and settings as a JSON file
   const handleExport = () => {
-    const dataStr = JSON.stringify(transactions, null, 2);
+    const dataStr = JSON.stringify(createBackup({ transactions, manualPrices, settings, coins, plans, alertRules }), null, 2);
     const blob = new Blob([dataStr], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -91,82 +769,86 @@ export default function Home() {
     URL.revokeObjectURL(url);
   };
 
-  // Import transactions from a JSON file
+  // Open the JSON import confirmation with the selected file
   const handleImport = (e) => {
     const file = e.target.files[0];
     if (!file) return;
     const reader = new FileReader();
-    reader.onload = (ev) => {
-      try {
-        const imported = JSON.parse(ev.target.result);
-        if (Array.isArray(imported)) {
-          setTransactions(imported);
-        } else {
-          alert('Fichier invalide');
-        }
-      } catch (err) {
-        alert('Fichier invalide');
-      }
-    };
+    reader.onload = (ev) => setJsonFile({ name: file.name, text: ev.target.result });
     reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  // Apply a validated JSON import, merged into or replacing the current data
+  const handleConfirmJsonImport = ({
+    mode,
+    transactions: imported,
+    manualPrices: importedPrices,
+    settings: importedSettings,
+    coins: importedCoins,
+    plans: importedPlans,
+    alertRules: importedRules,
+  }) => {
+    if (mode === 'REPLACE') {
+      if (!window.confirm('Remplacer toutes les transactions, prix manuels et réglages actuels ?')) return;
+      updateTransactions(() => imported, 'Import JSON');
+      setManualPrices(importedPrices);
+      setSettings((prev) => ({ ...prev, ...importedSettings }));
+      setPlans(importedPlans);
+      setAlertRules(importedRules);
+    } else {
+      updateTransactions((prev) => [...prev, ...imported], 'Import JSON');
+      setManualPrices((prev) => ({ ...importedPrices, ...prev }));
+      setPlans((prev) => [...prev, ...importedPlans.filter((p) => !prev.some((q) => q.id === p.id))]);
+      setAlertRules((prev) => [...prev, ...importedRules.filter((r) => !prev.some((q) => q.id === r.id))]);
+    }
+    setCoins((prev) => ({ ...prev, ...importedCoins }));
+    setJsonFile(null);
   };
 
-  // Clear all transactions and data
+  // Open the CSV import wizard with the selected file
+  const handleImportCsv = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (ev) => setCsvFile({ name: file.name, text: ev.target.result });
+    reader.readAsText(file);
+    // Allow selecting the same file again
+    e.target.value = '';
+  };
+
+  // Append the transactions confirmed in the CSV import wizard
+  const handleConfirmCsvImport = (imported) => {
+    updateTransactions((prev) => [...prev, ...imported], 'Import CSV');
+    setCsvFile(null);
+  };
+
+  // Clear all transactions; the previous state can still be restored
   const handleClear = () => {
-    if (window.confirm('Supprimer toutes les transactions ?')) {
-      setTransactions([]);
+    if (window.confirm('Supprimer toutes les transactions ? Elles resteront restaurables depuis les sauvegardes.')) {
+      updateTransactions(() => [], 'Effacement');
       setPrices({});
       setHistory([]);
       setSummary({});
-      localStorage.removeItem('wavDcaTransactions');
     }
   };
 
-  // Manual price override inputs for tokens not available via API
-  const renderManualPriceInputs = () => {
-    return Object.keys(manualPrices).map((asset) => (
-      <div key={asset} className="flex items-center space-x-2">
-        <label className="text-sm font-medium text-gray-700" htmlFor={`price-${asset}`}>
-          Prix {asset} (€)
-        </label>
-        <input
-          id={`price-${asset}`}
-          type="number"
-          step="0.0001"
-          className="p-2 border border-gray-300 rounded-md w-24"
-          value={manualPrices[asset]}
-          onChange={(e) => {
-            const value = parseFloat(e.target.value);
-            setManualPrices((prev) => ({ ...prev, [asset]: isNaN(value) ? 0 : value }));
-          }}
-        />
-      </div>
-    ));
-  };
-
-  // Exit rule suggestions for speculative positions
-  const renderExitSuggestions = () => {
-    const suggestions = [];
-    for (const asset of ['RTX', 'LBRETT']) {
-      const s = summary[asset];
-      if (!s || !s.quantity) continue;
-      const threshold = s.costAvg * 2;
-      const current = prices[asset] ?? manualPrices[asset];
-      if (current >= threshold && s.quantity > 0) {
-        suggestions.push(
-          `Le prix de ${asset} a doublé depuis votre coût moyen (≥ ${threshold.toFixed(4)} €).\nPensez à vendre une partie de votre position pour sécuriser vos gains.`
-        );
-      }
-    }
-    return suggestions.length > 0 ? (
-      <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 p-4 rounded">
-        {suggestions.map((msg, idx) => (
-          <p key={idx} className="mb-2 last:mb-0 whitespace-pre-line">
-            {msg}
-          </p>
-        ))}
+  // Fiat deposits and withdrawals, overall and per platform
+  const renderCashFlows = () => {
+    const flows = computeCashFlows(reportTransactions);
+    const platforms = Object.keys(flows.byPlatform).sort();
+    if (platforms.length === 0) return null;
+    const fmt = (v) => formatMoney(v, currency);
+    return (
+      <div className="mt-2 text-sm text-gray-600 space-y-1">
+        <p>
+          Dépôts : {fmt(flows.deposited)} · Retraits : {fmt(flows.withdrawn)} · Net déposé : {fmt(flows.net)}
+        </p>
+        <p className="text-gray-500">
+          {platforms.map((p) => `${p} : ${fmt(flows.byPlatform[p].net)}`).join(' · ')}
+        </p>
       </div>
-    ) : null;
+    );
   };
 
   return (
@@ -181,12 +863,54 @@ export default function Home() {
           </div>
         </div>
         {lastUpdated && (
-          <div className="text-xs text-gray-500">Dernière mise à jour des prix : {new Date(lastUpdated).toLocaleString('fr-FR')}</div>
+          <div className="text-xs text-gray-500">
+            Dernière mise à jour des prix : {new Date(lastUpdated).toLocaleString('fr-FR')}
+            {priceSchedule.nextAt &&
+              (priceSchedule.failures > 0
+                ? ` · limite de requêtes atteinte, nouvel essai à ${new Date(priceSchedule.nextAt).toLocaleTimeString('fr-FR')}`
+                : ` · prochaine à ${new Date(priceSchedule.nextAt).toLocaleTimeString('fr-FR')}`)}
+          </div>
         )}
       </header>
 
+      {/* Failed save */}
+      {storageError && (
+        <div className="bg-red-50 border border-red-300 text-red-800 p-4 rounded flex items-start justify-between gap-4">
+          <p>{storageError}</p>
+          <button onClick={() => setStorageError(null)} className="text-sm text-red-900 hover:underline">
+            Fermer
+          </button>
+        </div>
+      )}
+
+      {/* Portfolio picker */}
+      {registry && (
+        <PortfolioSwitcher
+          portfolios={registry.portfolios}
+          activeId={portfolioId}
+          onSwitch={handleSwitchPortfolio}
+          onCreate={handleCreatePortfolio}
+          onRename={handleRenamePortfolio}
+          onDuplicate={handleDuplicatePortfolio}
+          onDelete={handleDeletePortfolio}
+        />
+      )}
+
+      {/* Sync with the other devices */}
+      {loaded && (
+        <SyncPanel
+          token={syncConfig.token}
+          status={syncStatus}
+          pendingCount={Object.keys(syncState.pending).length}
+          conflicts={syncConflicts}
+          onTokenChange={(token) => setSyncConfig((prev) => ({ ...prev, token }))}
+          onSync={runSync}
+          onClearConflicts={() => setSyncConflicts([])}
+        />
+      )}
+
       {/* Transaction form */}
-      <TransactionForm onAdd={handleAddTransaction} />
+      <TransactionForm onAdd={handleAddTransaction} getPrice={getPriceOn} check={checkNewTransaction} />
 
       {/* Actions */}
       <div className="flex flex-wrap items-center gap-4">
@@ -200,11 +924,12 @@ export default function Home() {
           Importer JSON
           <input type="file" accept="application/json" onChange={handleImport} className="hidden" />
         </label>
+        <label className="inline-block bg-green-600 text-white px-4 py-2 rounded-md cursor-pointer hover:bg-green-700">
+          Importer CSV
+          <input type="file" accept=".csv,text/csv" onChange={handleImportCsv} className="hidden" />
+        </label>
         <button
-          onClick={() => {
-            // Trigger price refresh by updating manualPrices (forces useEffect)
-            setManualPrices((prev) => ({ ...prev }));
-          }}
+          onClick={() => priceScheduler.current.trigger()}
           className="bg-purple-600 text-white px-4 py-2 rounded-md hover:bg-purple-700"
         >
           Rafraîchir les prix
@@ -215,33 +940,215 @@ export default function Home() {
         >
           Tout effacer
         </button>
+        <Link
+          href="/tax"
+          className="bg-gray-600 text-white px-4 py-2 rounded-md hover:bg-gray-700"
+        >
+          Rapport fiscal 2086
+        </Link>
+        <Link
+          href="/backtest"
+          className="bg-gray-600 text-white px-4 py-2 rounded-md hover:bg-gray-700"
+        >
+          Simulateur DCA
+        </Link>
       </div>
 
-      {/* Manual price overrides */}
-      <div className="flex flex-wrap items-center gap-4 bg-white p-4 rounded shadow">
-        {renderManualPriceInputs()}
+      {/* JSON import confirmation */}
+      {jsonFile && (
+        <JsonImport
+          file={jsonFile}
+          existing={transactions}
+          onImport={handleConfirmJsonImport}
+          onCancel={() => setJsonFile(null)}
+        />
+      )}
+
+      {/* CSV import wizard */}
+      {csvFile && (
+        <CsvImport
+          file={csvFile}
+          existing={transactions}
+          getPrice={getPriceOn}
+          onImport={handleConfirmCsvImport}
+          onCancel={() => setCsvFile(null)}
+        />
+      )}
+
+      {/* Recurring DCA plans */}
+      <DcaPlans
+        plans={plans}
+        transactions={reportTransactions}
+        currency={currency}
+        onAdd={handleAddPlan}
+        onDelete={handleDeletePlan}
+        onConfirm={handleConfirmOccurrence}
+        onSkip={handleSkipOccurrence}
+      />
+
+      {/* Dated prices of presale and unlisted tokens */}
+      <div>
+        <h2 className="text-xl font-semibold mb-2">Prix manuels</h2>
+        <ManualPriceRegistry registry={manualPrices} coins={coins} onChange={setManualPrices} />
       </div>
 
-      {/* Exit rule suggestions */}
-      {renderExitSuggestions()}
+      {/* Ambiguous and unpriced assets */}
+      <AssetResolver ambiguous={ambiguous} unpriced={unpriced} onChoose={handleChooseCoin} />
+
+      {/* Alerts raised by the user's rules */}
+      <AlertsPanel
+        alerts={visibleAlerts(alerts, alertState)}
+        rules={alertRules}
+        history={alertState.history}
+        onSnooze={(key, hours) => setAlertState((prev) => snoozeAlert(prev, key, hours))}
+        onDismiss={(key) => setAlertState((prev) => dismissAlert(prev, key))}
+        onAddRule={handleAddAlertRule}
+        onDeleteRule={handleDeleteAlertRule}
+        onToggleRule={handleToggleAlertRule}
+        onClearHistory={() => setAlertState((prev) => ({ ...prev, history: [] }))}
+      />
 
       {/* Summary table */}
       <div>
-        <h2 className="text-xl font-semibold mb-2">Résumé des positions</h2>
-        <SummaryTable summary={summary} />
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <h2 className="text-xl font-semibold">Résumé des positions</h2>
+          <div className="flex flex-wrap items-center gap-4">
+            <label className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+              <span>Devise de référence</span>
+              <select
+                className="p-2 border border-gray-300 rounded-md"
+                value={currency}
+                onChange={(e) => setSettings((prev) => ({ ...prev, currency: e.target.value }))}
+              >
+                {Object.keys(CURRENCIES).map((c) => (
+                  <option key={c} value={c}>
+                    {c}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+              <span>Méthode de coût</span>
+              <select
+                className="p-2 border border-gray-300 rounded-md"
+                value={settings.costBasis}
+                onChange={(e) => setSettings((prev) => ({ ...prev, costBasis: e.target.value }))}
+              >
+                {Object.keys(COST_BASIS_METHODS).map((m) => (
+                  <option key={m} value={m}>
+                    {COST_BASIS_METHODS[m]}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+              <span>Rafraîchissement des prix</span>
+              <select
+                className="p-2 border border-gray-300 rounded-md"
+                value={settings.priceRefresh ?? DEFAULT_REFRESH_INTERVAL}
+                onChange={(e) => setSettings((prev) => ({ ...prev, priceRefresh: Number(e.target.value) }))}
+              >
+                {Object.keys(REFRESH_INTERVALS).map((seconds) => (
+                  <option key={seconds} value={seconds}>
+                    {REFRESH_INTERVALS[seconds]}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </div>
+        <SummaryTable
+          summary={summary}
+          currency={currency}
+          priceStatus={priceStatus}
+          staleAfter={staleAfter(refreshInterval)}
+          linkAssets
+        />
+        {converted.missing > 0 && (
+          <div className="mt-2 text-sm text-gray-500">
+            Taux de change indisponibles : {converted.missing} transaction(s) restent dans leur devise d&apos;origine.
+          </div>
+        )}
+        {renderCashFlows()}
+      </div>
+
+      {/* Positions of several portfolios added together */}
+      {registry && registry.portfolios.length > 1 && (
+        <div>
+          <h2 className="text-xl font-semibold mb-2">Vue consolidée</h2>
+          <ConsolidatedView
+            portfolios={registry.portfolios}
+            activeId={portfolioId}
+            active={activeData}
+            coins={coins}
+            currency={currency}
+          />
+        </div>
+      )}
+
+      {/* Time- and money-weighted returns, drawdown and volatility */}
+      <div>
+        <h2 className="text-xl font-semibold mb-2">Performance</h2>
+        <PerformancePanel performance={performanceStats} currency={currency} />
+      </div>
+
+      {/* Target allocation and rebalancing */}
+      <div>
+        <h2 className="text-xl font-semibold mb-2">Allocation cible</h2>
+        <AllocationPanel
+          summary={summary}
+          targets={settings.targets}
+          currency={currency}
+          onChange={(targets) => setSettings((prev) => ({ ...prev, targets }))}
+        />
+      </div>
+
+      {/* Oversells, negative balances and other suspicious transactions */}
+      <div>
+        <h2 className="text-xl font-semibold mb-2">Contrôles d&apos;intégrité</h2>
+        <IntegrityPanel issues={integrityIssues} transactions={transactions} onEdit={setEditing} />
+      </div>
+
+      {/* Holdings per platform */}
+      <div>
+        <h2 className="text-xl font-semibold mb-2">Répartition par plateforme</h2>
+        <PlatformHoldings holdings={computeHoldingsByPlatform(transactions)} prices={reportPrices} currency={currency} />
+      </div>
+
+      {/* Realised PnL per cost-basis method */}
+      <div>
+        <h2 className="text-xl font-semibold mb-2">Comparaison des méthodes de coût</h2>
+        <CostBasisComparison
+          transactions={reportTransactions}
+          prices={reportPrices}
+          method={settings.costBasis}
+          currency={currency}
+        />
       </div>
 
       {/* Portfolio history chart */}
       <div>
         <h2 className="text-xl font-semibold mb-2">Évolution mensuelle</h2>
-        <PortfolioChart history={history} />
-        {history && history.length > 0 && (
+        <PortfolioChart history={history} currency={currency} />
+        {history.some((h) => h.estimated) && (
           <div className="mt-2 text-sm text-gray-500">
-            * Le graphique utilise les prix actuels pour estimer la valeur de chaque mois.
+            * Historique de prix indisponible pour certains actifs : les mois marqués sont estimés avec les prix actuels.
           </div>
         )}
       </div>
 
+      {/* Allocation and history breakdowns */}
+      <div>
+        <h2 className="text-xl font-semibold mb-2">Graphiques</h2>
+        <PortfolioCharts
+          history={history}
+          summary={summary}
+          holdings={computeHoldingsByPlatform(transactions)}
+          prices={reportPrices}
+          currency={currency}
+        />
+      </div>
+
       {/* Monthly return table */}
       {history && history.length > 0 && (
         <div>
@@ -251,18 +1158,18 @@ export default function Home() {
               <thead>
                 <tr>
                   <th>Mois</th>
-                  <th>Investi (€)</th>
-                  <th>Valeur (€)</th>
-                  <th>Réal. (€)</th>
-                  <th>Non‑réal. (€)</th>
-                  <th>PnL (€)</th>
+                  <th>Investi ({CURRENCIES[currency]})</th>
+                  <th>Valeur ({CURRENCIES[currency]})</th>
+                  <th>Réal. ({CURRENCIES[currency]})</th>
+                  <th>Non‑réal. ({CURRENCIES[currency]})</th>
+                  <th>PnL ({CURRENCIES[currency]})</th>
                   <th>Retour (%)</th>
                 </tr>
               </thead>
               <tbody>
                 {history.map((h, idx) => (
                   <tr key={idx} className="border-b last:border-b-0">
-                    <td>{h.month}</td>
+                    <td>{h.month}{h.estimated ? ' *' : ''}</td>
                     <td>{h.invested.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
                     <td>{h.value.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
                     <td>{h.realised.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
@@ -281,9 +1188,64 @@ export default function Home() {
 
       {/* Transactions table */}
       <div>
-        <h2 className="text-xl font-semibold mb-2">Transactions</h2>
-        <TransactionsTable transactions={transactions} onDelete={handleDeleteTransaction} />
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <h2 className="text-xl font-semibold">Transactions</h2>
+          <div className="flex gap-2 text-sm">
+            <button
+              onClick={handleUndo}
+              disabled={txHistory.past.length === 0}
+              className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-100 disabled:opacity-50"
+              title="Ctrl+Z"
+            >
+              ↶ Annuler{txHistory.past.length > 0 ? ` (${txHistory.past[txHistory.past.length - 1].label})` : ''}
+            </button>
+            <button
+              onClick={handleRedo}
+              disabled={txHistory.future.length === 0}
+              className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-100 disabled:opacity-50"
+              title="Ctrl+Y"
+            >
+              ↷ Rétablir{txHistory.future.length > 0 ? ` (${txHistory.future[0].label})` : ''}
+            </button>
+          </div>
+        </div>
+        <TransactionsTable transactions={transactions} onDelete={handleDeleteTransaction} onEdit={setEditing} />
+        <div className="mt-2">
+          <SnapshotHistory snapshots={snapshots} onRestore={handleRestoreSnapshot} />
+        </div>
       </div>
+
+      {/* Purchase of a DCA occurrence */}
+      {planPurchase && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40 p-4">
+          <div className="w-full max-w-4xl max-h-full overflow-auto">
+            <TransactionForm
+              key={`${planPurchase.planId}-${planPurchase.planDate}`}
+              initial={planPurchase.initial}
+              onAdd={handleAddPlanPurchase}
+              onCancel={() => setPlanPurchase(null)}
+              getPrice={getPriceOn}
+              check={checkNewTransaction}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Transaction editing */}
+      {editing && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40 p-4">
+          <div className="w-full max-w-4xl max-h-full overflow-auto">
+            <TransactionForm
+              key={editing.id}
+              initial={editing}
+              onAdd={handleSaveTransaction}
+              onCancel={() => setEditing(null)}
+              getPrice={getPriceOn}
+              check={(tx) => checkTransaction(transactions, { ...tx, id: editing.id })}
+            />
+          </div>
+        </div>
+      )}
     </div>
   );
 }
\ No newline at end of file
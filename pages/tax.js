@@ -0,0 +1,223 @@
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { fetchPrices } from '../utils/prices';
+import { fetchPriceHistory, createPriceLookup } from '../utils/priceHistory';
+import { listAssets } from '../utils/finance';
+import { normalizeManualPrices, latestManualPrices, withManualHistory } from '../utils/manualPrices';
+import { fetchFxRates, createFxLookup, convertTransactions } from '../utils/currency';
+import { loadPortfolios, storageKey } from '../utils/portfolios';
+import { readValue } from '../utils/storage';
+import { computeCessions, computeTaxReport, taxableGain, taxReportToCsv, SMALL_DISPOSALS_THRESHOLD } from '../utils/tax';
+
+const formatEur = (value) =>
+  value.toLocaleString('fr-FR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/**
+ * Printable tax report for the 2086 form. It reads the transactions of the
+ * portfolio open on the main page, values the global portfolio at each cession with
+ * historical prices and shows, per fiscal year, every taxable cession with
+ * the figures to copy into the form. Presale and unlisted tokens are valued
+ * with the manual prices of the portfolio. Each year can be exported as CSV.
+ * Transactions paid in another currency are converted to EUR at the rate
+ * of their date.
+ */
+export default function TaxReport() {
+  const [transactions, setTransactions] = useState([]);
+  const [coins, setCoins] = useState({});
+  const [manualPrices, setManualPrices] = useState({});
+  const [portfolioName, setPortfolioName] = useState('');
+  const [prices, setPrices] = useState({});
+  const [priceHistory, setPriceHistory] = useState({});
+  const [fxRates, setFxRates] = useState({});
+  const [fxLoaded, setFxLoaded] = useState(false);
+  const [year, setYear] = useState(null);
+
+  // Load transactions and manual prices of the portfolio open on the main
+  // page, and resolved coins
+  useEffect(() => {
+    (async () => {
+      const { activeId, portfolios } = await loadPortfolios();
+      setPortfolioName(portfolios.find((p) => p.id === activeId).name);
+      try {
+        const stored = await readValue(storageKey('wavDcaTransactions', activeId));
+        if (stored) setTransactions(stored);
+        const storedCoins = await readValue('wavDcaCoins');
+        if (storedCoins) setCoins(storedCoins);
+        setManualPrices(normalizeManualPrices(await readValue(storageKey('wavDcaManualPrices', activeId))));
+      } catch (err) {
+        console.error('Erreur lors du chargement des transactions :', err);
+      }
+    })();
+  }, []);
+
+  // Fetch historical and current prices for every asset
+  useEffect(() => {
+    const assets = listAssets(transactions);
+    if (assets.length === 0) return;
+    const firstDate = transactions.reduce((min, tx) => (tx.date < min ? tx.date : min), transactions[0].date);
+    let cancelled = false;
+    (async () => {
+      const needsFx = transactions.some((tx) => tx.currency && tx.currency !== 'EUR');
+      const [ph, pr, fx] = await Promise.all([
+        fetchPriceHistory(assets, firstDate, coins),
+        fetchPrices(assets, latestManualPrices(manualPrices), coins),
+        needsFx ? fetchFxRates(firstDate) : {},
+      ]);
+      if (!cancelled) {
+        setPriceHistory(ph);
+        setPrices(pr);
+        setFxRates(fx);
+        setFxLoaded(true);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [transactions, manualPrices, coins]);
+
+  // Transactions in another currency are only reported once converted: the
+  // report waits for the rates, and can't be exported while some are missing
+  const needsFx = transactions.some((tx) => tx.currency && tx.currency !== 'EUR');
+  const waitingFx = needsFx && !fxLoaded;
+  const { transactions: eurTransactions, missing } = convertTransactions(transactions, 'EUR', createFxLookup(fxRates));
+  const priceAt = createPriceLookup(withManualHistory(priceHistory, manualPrices));
+  const report = waitingFx ? {} : computeTaxReport(computeCessions(eurTransactions, priceAt, prices));
+  const years = Object.keys(report).sort().reverse();
+  const selectedYear = year && report[year] ? year : years[0];
+  const yearReport = selectedYear ? report[selectedYear] : null;
+
+  // Download the selected year as CSV (with a BOM so Excel detects UTF‑8)
+  const handleExportCsv = () => {
+    const blob = new Blob(['\uFEFF' + taxReportToCsv(selectedYear, yearReport)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `wav-dca-2086-${selectedYear}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="max-w-6xl mx-auto py-6 px-4 space-y-8">
+      <header className="flex flex-col sm:flex-row items-center justify-between space-y-4 sm:space-y-0">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Rapport fiscal – formulaire 2086</h1>
+          <p className="text-sm text-gray-500">
+            Cessions d&apos;actifs numériques (art. 150 VH bis du CGI){portfolioName && ` · ${portfolioName}`}
+          </p>
+        </div>
+        <Link href="/" className="text-primary hover:text-primary-dark print:hidden">
+          ← Retour au suivi
+        </Link>
+      </header>
+
+      {waitingFx && <div className="text-gray-500">Chargement des taux de change…</div>}
+
+      {!waitingFx && missing > 0 && (
+        <div className="bg-red-100 text-red-800 p-3 rounded print:hidden">
+          Taux de change indisponibles : {missing} transaction(s) n&apos;ont pas pu être converties en euros. Les
+          montants ci-dessous sont faux et l&apos;export CSV est désactivé.
+        </div>
+      )}
+
+      {!waitingFx && !yearReport && <div className="text-gray-500">Aucune cession imposable.</div>}
+
+      {yearReport && (
+        <>
+          {/* Year selection and actions */}
+          <div className="flex flex-wrap items-center gap-4 print:hidden">
+            <label className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+              <span>Année fiscale</span>
+              <select
+                className="p-2 border border-gray-300 rounded-md"
+                value={selectedYear}
+                onChange={(e) => setYear(e.target.value)}
+              >
+                {years.map((y) => (
+                  <option key={y} value={y}>
+                    {y}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <button
+              onClick={handleExportCsv}
+              disabled={missing > 0}
+              className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Exporter CSV
+            </button>
+            <button
+              onClick={() => window.print()}
+              className="bg-gray-600 text-white px-4 py-2 rounded-md hover:bg-gray-700"
+            >
+              Imprimer
+            </button>
+          </div>
+
+          {/* Yearly totals */}
+          <div className="bg-white p-4 rounded shadow space-y-1">
+            <h2 className="text-lg font-semibold text-gray-800">Année {selectedYear}</h2>
+            <p>Total des cessions : {formatEur(yearReport.totalProceeds)} €</p>
+            <p>Résultat net (plus ou moins-values) : {formatEur(yearReport.totalGain)} €</p>
+            <p className="font-semibold">Plus-value imposable : {formatEur(taxableGain(yearReport))} €</p>
+            {yearReport.exempt && (
+              <p className="text-sm text-green-700">
+                Total des cessions inférieur ou égal à {SMALL_DISPOSALS_THRESHOLD} € : plus-values exonérées.
+              </p>
+            )}
+          </div>
+
+          {/* One row per cession, each matching a column of the form */}
+          <div className="overflow-auto border rounded-lg">
+            <table className="min-w-full">
+              <thead>
+                <tr>
+                  <th>Cession</th>
+                  <th>Date</th>
+                  <th>Actif</th>
+                  <th>212 Valeur globale (€)</th>
+                  <th>213 Prix de cession (€)</th>
+                  <th>214 Frais (€)</th>
+                  <th>218 Prix net (€)</th>
+                  <th>220 Prix total d&apos;acquisition (€)</th>
+                  <th>221 Fractions antérieures (€)</th>
+                  <th>223 Prix d&apos;acquisition net (€)</th>
+                  <th>224 Plus/moins-value (€)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {yearReport.cessions.map((c, idx) => (
+                  <tr key={idx} className="border-b last:border-b-0">
+                    <td>{idx + 1}</td>
+                    <td>{c.date}</td>
+                    <td>
+                      {c.quantity.toLocaleString('fr-FR', { maximumFractionDigits: 8 })} {c.asset}
+                    </td>
+                    <td>
+                      {formatEur(c.portfolioValue)}
+                      {c.estimated ? ' *' : ''}
+                    </td>
+                    <td>{formatEur(c.proceeds)}</td>
+                    <td>{formatEur(c.fees)}</td>
+                    <td>{formatEur(c.netProceeds)}</td>
+                    <td>{formatEur(c.acquisitionCost)}</td>
+                    <td>{formatEur(c.priorFractions)}</td>
+                    <td>{formatEur(c.netAcquisitionCost)}</td>
+                    <td className={c.gain >= 0 ? 'text-green-700' : 'text-red-700'}>{formatEur(c.gain)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {yearReport.cessions.some((c) => c.estimated) && (
+            <div className="text-sm text-gray-500">
+              * Historique de prix indisponible pour certains actifs : valeur globale estimée avec les prix actuels,
+              à vérifier avant déclaration.
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,285 @@
+/**
+ * Alert rules.
+ *
+ * A rule watches one asset, or the whole portfolio when `asset` is empty,
+ * and has the shape:
+ *   {
+ *     id: string,
+ *     asset?: string,
+ *     condition: one of ALERT_CONDITIONS,
+ *     value?: number,                                 // threshold, see ALERT_CONDITIONS
+ *     ladder?: Array<{ multiple: number, percent: number }>,  // TAKE_PROFIT only
+ *     enabled: boolean
+ *   }
+ *
+ * Rules are evaluated against the positions every time prices or
+ * transactions change. Each condition met is an alert identified by a key
+ * (the rule id, plus the asset or ladder step when a rule can fire several
+ * times); the alert state persisted next to the rules records when each
+ * alert started and lets the user snooze it for a while or dismiss it until
+ * its condition clears. A rule that can't be evaluated because a price is
+ * missing keeps the state of its alerts until the price is back.
+ */
+
+import { computeTotals } from './finance';
+import { computeAllocation } from './allocation';
+import { formatMoney } from './currency';
+
+/** Conditions and their labels. */
+export const ALERT_CONDITIONS = {
+  PRICE_ABOVE: 'Prix supérieur à',
+  PRICE_BELOW: 'Prix inférieur à',
+  PNL_ABOVE: 'PnL supérieur à (%)',
+  PNL_BELOW: 'PnL inférieur à (%)',
+  DRIFT_ABOVE: "Écart d'allocation supérieur à (pts)",
+  TAKE_PROFIT: 'Paliers de prise de bénéfices',
+};
+
+// Conditions that need an asset
+const ASSET_CONDITIONS = ['PRICE_ABOVE', 'PRICE_BELOW', 'TAKE_PROFIT'];
+
+/** Take-profit ladder proposed for new rules: sell 20 % at x2, x5 and x10. */
+export const DEFAULT_LADDER = [
+  { multiple: 2, percent: 20 },
+  { multiple: 5, percent: 20 },
+  { multiple: 10, percent: 20 },
+];
+
+/** Snooze durations, in hours, and their labels. */
+export const SNOOZE_DURATIONS = {
+  24: '24 h',
+  168: '7 jours',
+};
+
+// Alert starts kept in the history
+export const ALERT_HISTORY_LIMIT = 100;
+
+/** Alert state of a portfolio without alerts. */
+export const EMPTY_ALERT_STATE = { active: [], history: [], snoozed: {}, dismissed: [] };
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const formatNumber = (value) => value.toLocaleString('fr-FR', { maximumFractionDigits: 2 });
+
+/**
+ * Checks a rule.
+ *
+ * @param {object} rule Rule to check.
+ * @returns {string[]} Error messages in French, empty when valid.
+ */
+export function validateRule(rule) {
+  const errors = [];
+  if (!ALERT_CONDITIONS[rule.condition]) return ['Condition inconnue'];
+  if (ASSET_CONDITIONS.includes(rule.condition) && !rule.asset) errors.push('Actif manquant');
+  if (rule.condition === 'TAKE_PROFIT') {
+    const ladder = Array.isArray(rule.ladder) ? rule.ladder : [];
+    if (ladder.length === 0) errors.push('Aucun palier');
+    ladder.forEach((step, idx) => {
+      if (!isNumber(step.multiple) || step.multiple <= 1) errors.push(`Palier ${idx + 1} : multiple invalide`);
+      if (!isNumber(step.percent) || step.percent <= 0 || step.percent > 100) {
+        errors.push(`Palier ${idx + 1} : pourcentage invalide`);
+      }
+    });
+  } else if (!isNumber(rule.value) || (rule.condition.startsWith('PRICE') && rule.value <= 0)) {
+    errors.push('Seuil invalide');
+  } else if (rule.condition === 'DRIFT_ABOVE' && rule.value <= 0) {
+    errors.push('Seuil invalide');
+  }
+  return errors;
+}
+
+/**
+ * Short description of a rule, e.g. "BTC : Prix supérieur à 100 000".
+ *
+ * @param {object} rule Rule to describe.
+ * @returns {string} Description in French.
+ */
+export function describeRule(rule) {
+  const scope = rule.asset || 'Portefeuille';
+  if (rule.condition === 'TAKE_PROFIT') {
+    const steps = rule.ladder.map((s) => `${formatNumber(s.percent)} % à x${formatNumber(s.multiple)}`);
+    return `${scope} : vendre ${steps.join(', ')}`;
+  }
+  return `${scope} : ${ALERT_CONDITIONS[rule.condition]} ${formatNumber(rule.value)}`;
+}
+
+/**
+ * Evaluates the enabled rules.
+ *
+ * @param {Array} rules Alert rules.
+ * @param {{ summary: Record<string, object>, targets?: Record<string, number>, currency?: string }} context
+ *        Positions from `computePnL`, the target allocation and the currency
+ *        of the positions, in which price thresholds are expressed.
+ * @returns {Array<{key: string, ruleId: string, message: string}>} Alerts
+ *          whose condition is met.
+ */
+export function evaluateRules(rules = [], { summary = {}, targets = {}, currency = 'EUR' }) {
+  const money = (value) => formatMoney(value, currency, { maximumFractionDigits: 8 });
+  const alerts = [];
+  const push = (rule, suffix, message) =>
+    alerts.push({ key: suffix ? `${rule.id}:${suffix}` : rule.id, ruleId: rule.id, message });
+
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    const s = rule.asset ? summary[rule.asset] : undefined;
+    const held = s && s.quantity > 0 && s.priced;
+    switch (rule.condition) {
+      case 'PRICE_ABOVE':
+      case 'PRICE_BELOW': {
+        if (!s || !s.priced) break;
+        const above = rule.condition === 'PRICE_ABOVE';
+        if (above ? s.currentPrice >= rule.value : s.currentPrice <= rule.value) {
+          push(
+            rule,
+            null,
+            `${rule.asset} est ${above ? 'au-dessus' : 'en dessous'} de ${money(rule.value)} (${money(s.currentPrice)}).`
+          );
+        }
+        break;
+      }
+      case 'PNL_ABOVE':
+      case 'PNL_BELOW': {
+        let pnlPercent;
+        if (rule.asset) {
+          pnlPercent = held ? s.pnlPercent : null;
+        } else {
+          const totals = computeTotals(summary);
+          pnlPercent = totals.invested > 0 ? (totals.pnl / totals.invested) * 100 : null;
+        }
+        if (pnlPercent === null || pnlPercent === undefined) break;
+        const above = rule.condition === 'PNL_ABOVE';
+        if (above ? pnlPercent >= rule.value : pnlPercent <= rule.value) {
+          push(
+            rule,
+            null,
+            `PnL de ${rule.asset || 'votre portefeuille'} ${above ? 'au-dessus' : 'en dessous'} de ${formatNumber(rule.value)} % (${formatNumber(pnlPercent)} %).`
+          );
+        }
+        break;
+      }
+      case 'DRIFT_ABOVE': {
+        if (Object.keys(targets).length === 0) break;
+        for (const row of computeAllocation(summary, targets).rows) {
+          if (rule.asset && row.asset !== rule.asset) continue;
+          if (Math.abs(row.drift) >= rule.value) {
+            push(
+              rule,
+              row.asset,
+              `${row.asset} s'écarte de sa cible de ${formatNumber(row.drift)} pts (${formatNumber(row.weight)} % pour ${formatNumber(row.target)} %).`
+            );
+          }
+        }
+        break;
+      }
+      case 'TAKE_PROFIT': {
+        if (!held || !(s.costAvg > 0)) break;
+        rule.ladder.forEach((step, idx) => {
+          const threshold = s.costAvg * step.multiple;
+          if (s.currentPrice >= threshold) {
+            push(
+              rule,
+              `x${step.multiple}`,
+              `Le prix de ${rule.asset} a atteint x${formatNumber(step.multiple)} votre coût moyen (≥ ${money(threshold)}).\nPalier ${idx + 1} : vendre ${formatNumber(step.percent)} % de la position, soit ${((s.quantity * step.percent) / 100).toLocaleString('fr-FR', { maximumFractionDigits: 8 })} ${rule.asset}.`
+            );
+          }
+        });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  return alerts;
+}
+
+/**
+ * Lists the enabled rules that can't be evaluated for lack of prices: those
+ * on an asset missing from the positions or without a price, and those on
+ * the whole portfolio while no position held has a price (a failed
+ * refresh; assets that are never priced are valued at 0 as usual).
+ *
+ * @param {Array} rules Alert rules.
+ * @param {Record<string, object>} summary Positions from `computePnL`.
+ * @returns {string[]} Rule ids.
+ */
+export function unpricedRules(rules = [], summary = {}) {
+  const held = Object.values(summary).filter((s) => s.quantity > 0);
+  const portfolioUnpriced = held.length > 0 && !held.some((s) => s.priced);
+  return rules
+    .filter((rule) => rule.enabled)
+    .filter((rule) => (rule.asset ? !summary[rule.asset] || !summary[rule.asset].priced : portfolioUnpriced))
+    .map((rule) => rule.id);
+}
+
+// Rule id of an alert key
+const ruleOf = (key) => key.split(':')[0];
+
+/**
+ * Updates the alert state with the alerts currently met: alerts that just
+ * started are added to the history, and dismissals and snoozes of alerts
+ * whose condition has cleared are forgotten so they fire again next time.
+ * The alerts of `pending` rules, which couldn't be evaluated, stay as they
+ * are.
+ *
+ * @param {{ active: string[], history: Array, snoozed: Record<string, string>, dismissed: string[] }} state
+ * @param {Array<{key: string, ruleId: string, message: string}>} alerts Result of `evaluateRules`.
+ * @param {Date} [now] Current time.
+ * @param {string[]} [pending] Ids of the rules not evaluated, see `unpricedRules`.
+ * @returns {object} The new state, or `state` itself when nothing changed.
+ */
+export function updateAlertState(state, alerts, now = new Date(), pending = []) {
+  const kept = state.active.filter((k) => pending.includes(ruleOf(k)));
+  const keys = [...alerts.map((a) => a.key).filter((k) => !kept.includes(k)), ...kept];
+  const started = alerts.filter((a) => !state.active.includes(a.key));
+  const cleared = state.active.filter((k) => !keys.includes(k));
+  if (started.length === 0 && cleared.length === 0) return state;
+  const history = [
+    ...started.map((a) => ({ key: a.key, ruleId: a.ruleId, message: a.message, date: now.toISOString() })),
+    ...state.history,
+  ].slice(0, ALERT_HISTORY_LIMIT);
+  const snoozed = { ...state.snoozed };
+  cleared.forEach((k) => delete snoozed[k]);
+  return {
+    active: keys,
+    history,
+    snoozed,
+    dismissed: state.dismissed.filter((k) => keys.includes(k)),
+  };
+}
+
+/**
+ * Alerts to show: met, not dismissed and not snoozed.
+ *
+ * @param {Array} alerts Result of `evaluateRules`.
+ * @param {object} state Alert state.
+ * @param {Date} [now] Current time.
+ * @returns {Array} The visible alerts.
+ */
+export function visibleAlerts(alerts, state, now = new Date()) {
+  return alerts.filter(
+    (a) => !state.dismissed.includes(a.key) && !(state.snoozed[a.key] && new Date(state.snoozed[a.key]) > now)
+  );
+}
+
+/**
+ * Snoozes an alert.
+ *
+ * @param {object} state Alert state.
+ * @param {string} key Alert key.
+ * @param {number} hours Snooze duration.
+ * @param {Date} [now] Current time.
+ * @returns {object} The new state.
+ */
+export function snoozeAlert(state, key, hours, now = new Date()) {
+  return { ...state, snoozed: { ...state.snoozed, [key]: new Date(now.getTime() + hours * 3600000).toISOString() } };
+}
+
+/**
+ * Dismisses an alert until its condition clears.
+ *
+ * @param {object} state Alert state.
+ * @param {string} key Alert key.
+ * @returns {object} The new state.
+ */
+export function dismissAlert(state, key) {
+  return state.dismissed.includes(key) ? state : { ...state, dismissed: [...state.dismissed, key] };
+}
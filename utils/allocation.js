@@ -0,0 +1,111 @@
+/**
+ * Target allocation and rebalancing.
+ *
+ * Targets are a `{ SYMBOL: percent }` map summing to 100, e.g.
+ * `{ BTC: 60, ETH: 25, SOL: 15 }`, stored with the settings. Weights are
+ * computed on the current value of the priced positions only: an asset
+ * without a price can't be weighed and is left out of the total.
+ */
+
+// Drift, in percentage points, below which an asset is considered on target
+export const DRIFT_TOLERANCE = 5;
+
+/**
+ * Checks a target allocation.
+ *
+ * @param {Record<string, number>} targets Target percent per asset.
+ * @returns {string[]} Error messages in French, empty when valid.
+ */
+export function validateTargets(targets) {
+  const errors = [];
+  if (!targets || typeof targets !== 'object') return ['Allocation invalide'];
+  let sum = 0;
+  for (const [asset, percent] of Object.entries(targets)) {
+    if (typeof percent !== 'number' || !Number.isFinite(percent) || percent < 0 || percent > 100) {
+      errors.push(`Pourcentage invalide pour ${asset}`);
+    } else {
+      sum += percent;
+    }
+  }
+  if (errors.length === 0 && Object.keys(targets).length > 0 && Math.abs(sum - 100) > 0.01) {
+    errors.push(`La somme des cibles doit faire 100 % (actuellement ${sum.toLocaleString('fr-FR')} %)`);
+  }
+  return errors;
+}
+
+/**
+ * Compares current weights with the targets.
+ *
+ * @param {Record<string, object>} summary Positions from `computePnL`.
+ * @param {Record<string, number>} targets Target percent per asset.
+ * @returns {{ total: number, rows: Array<{asset: string, value: number, weight: number, target: number, drift: number, driftValue: number}>, unpriced: string[] }}
+ *   Weights, targets and drift (weight minus target) are in percent;
+ *   `driftValue` is the EUR amount above (positive) or below the target.
+ */
+export function computeAllocation(summary = {}, targets = {}) {
+  const unpriced = [];
+  const values = {};
+  for (const [asset, s] of Object.entries(summary)) {
+    if (s.quantity <= 0) continue;
+    if (!s.priced) {
+      unpriced.push(asset);
+      continue;
+    }
+    values[asset] = s.value;
+  }
+  const total = Object.values(values).reduce((sum, v) => sum + v, 0);
+  const assets = [...new Set([...Object.keys(values), ...Object.keys(targets)])].sort();
+  const rows = assets.map((asset) => {
+    const value = values[asset] ?? 0;
+    const weight = total > 0 ? (value / total) * 100 : 0;
+    const target = targets[asset] ?? 0;
+    return { asset, value, weight, target, drift: weight - target, driftValue: value - (total * target) / 100 };
+  });
+  return { total, rows, unpriced };
+}
+
+/**
+ * Sells and buys bringing every asset back to its target weight, the total
+ * value being unchanged. Trades under `minAmount` are left out.
+ *
+ * @param {{ rows: Array }} allocation Result of `computeAllocation`.
+ * @param {number} [minAmount] Smallest trade worth proposing, in EUR.
+ * @returns {Array<{asset: string, side: 'BUY' | 'SELL', amount: number}>}
+ *          Sells first, largest first.
+ */
+export function rebalanceTrades(allocation, minAmount = 1) {
+  return allocation.rows
+    .filter((r) => Math.abs(r.driftValue) >= minAmount)
+    .map((r) => ({ asset: r.asset, side: r.driftValue > 0 ? 'SELL' : 'BUY', amount: Math.abs(r.driftValue) }))
+    .sort((a, b) => (a.side === b.side ? b.amount - a.amount : a.side === 'SELL' ? -1 : 1));
+}
+
+/**
+ * Splits a new contribution so that the portfolio moves back toward its
+ * targets without selling anything. The contribution first goes to the
+ * assets below target, in proportion to what they lack to reach it after the
+ * contribution; once they are all on target the rest follows the targets.
+ *
+ * @param {{ rows: Array, total: number }} allocation Result of `computeAllocation`.
+ * @param {number} amount Contribution in EUR.
+ * @returns {Array<{asset: string, amount: number, weightAfter: number}>}
+ *          Amount per asset (assets receiving nothing included) and the
+ *          resulting weight in percent.
+ */
+export function splitContribution(allocation, amount) {
+  const { rows, total } = allocation;
+  const after = total + amount;
+  const shortfalls = rows.map((r) => Math.max(0, (after * r.target) / 100 - r.value));
+  const missing = shortfalls.reduce((sum, s) => sum + s, 0);
+  const targetSum = rows.reduce((sum, r) => sum + r.target, 0);
+  return rows.map((r, idx) => {
+    let share;
+    if (missing >= amount) {
+      share = missing > 0 ? (amount * shortfalls[idx]) / missing : 0;
+    } else {
+      // Everything under target is topped up; the rest follows the targets
+      share = shortfalls[idx] + (targetSum > 0 ? ((amount - missing) * r.target) / targetSum : 0);
+    }
+    return { asset: r.asset, amount: share, weightAfter: after > 0 ? ((r.value + share) / after) * 100 : 0 };
+  });
+}
@@ -0,0 +1,193 @@
+/**
+ * DCA backtester.
+ *
+ * Simulates a DCA schedule over historical prices and turns it into
+ * synthetic BUY transactions, so the simulated portfolio is valued with the
+ * same `computePnL` and `computeMonthlyHistory` as the real one. A
+ * configuration has the shape:
+ *   {
+ *     allocation: { SYMBOL: weight },  // split of each purchase, e.g. { BTC: 60, ETH: 40 }
+ *     amount: number,                  // base EUR amount per occurrence
+ *     frequency: see DCA_FREQUENCIES in dca.js,
+ *     startDate, endDate: 'YYYY-MM-DD',
+ *     strategy: one of BACKTEST_STRATEGIES,
+ *     dipThreshold?: number,           // BUY_THE_DIP: drop from the recent high, in %
+ *     dipMultiplier?: number,          // BUY_THE_DIP: amount multiplier below it
+ *     dipLookback?: number,            // BUY_THE_DIP: days used for the recent high
+ *     maxMultiple?: number             // VALUE_AVERAGING: cap, in multiples of `amount`
+ *   }
+ *
+ * Price series are `{ SYMBOL: { 'YYYY-MM-DD': close } }` maps, from the
+ * price history cache (see priceHistory.js) or from a local file read with
+ * `parsePriceFile`, which is the only way to go back further than the 365
+ * days served by the public CoinGecko API.
+ */
+
+import { computePnL, computeTotals, computeMonthlyHistory } from './finance';
+import { planOccurrences } from './dca';
+import { parseCsv, parseDate, parseNumber } from './csvImport';
+
+/** Simulation strategies and their labels. */
+export const BACKTEST_STRATEGIES = {
+  FIXED: 'Montant fixe',
+  VALUE_AVERAGING: 'Value averaging',
+  BUY_THE_DIP: 'Renforcement sur repli',
+};
+
+/** Default strategy parameters. */
+export const BACKTEST_DEFAULTS = {
+  dipThreshold: 20,
+  dipMultiplier: 2,
+  dipLookback: 30,
+  maxMultiple: 3,
+};
+
+const SIMULATION_PLATFORM = 'Simulation';
+
+/**
+ * Reads price series from a local file: either JSON in the
+ * `{ SYMBOL: { date: close } }` shape, or CSV with a date column followed by
+ * one column of EUR closes per asset (header `date;BTC;ETH`).
+ *
+ * @param {string} text File content.
+ * @returns {Record<string, Record<string, number>>} Closes per asset.
+ * @throws {Error} When the file can't be read.
+ */
+export function parsePriceFile(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (err) {
+      throw new Error('Fichier JSON illisible');
+    }
+    const series = {};
+    for (const [asset, closes] of Object.entries(data)) {
+      if (!closes || typeof closes !== 'object') continue;
+      series[asset.toUpperCase()] = {};
+      for (const [date, price] of Object.entries(closes)) {
+        const iso = parseDate(date);
+        const value = typeof price === 'number' ? price : parseNumber(price);
+        if (iso && value > 0) series[asset.toUpperCase()][iso] = value;
+      }
+    }
+    return series;
+  }
+  const { headers, rows } = parseCsv(trimmed);
+  if (headers.length < 2) throw new Error('Colonnes attendues : date puis un actif par colonne');
+  const assets = headers.slice(1).map((h) => h.toUpperCase());
+  const series = Object.fromEntries(assets.map((a) => [a, {}]));
+  for (const cells of rows) {
+    const iso = parseDate(cells[0]);
+    if (!iso) continue;
+    assets.forEach((asset, idx) => {
+      const value = parseNumber(cells[idx + 1]);
+      if (value > 0) series[asset][iso] = value;
+    });
+  }
+  return series;
+}
+
+// Highest close over the `days` days up to `date`, looked up day by day
+function recentHigh(priceAt, asset, date, days) {
+  let high;
+  const d = new Date(`${date}T00:00:00Z`);
+  for (let i = 0; i < days; i++) {
+    const price = priceAt(asset, d.toISOString().slice(0, 10));
+    if (price !== undefined && (high === undefined || price > high)) high = price;
+    d.setUTCDate(d.getUTCDate() - 1);
+  }
+  return high;
+}
+
+/**
+ * Simulates the purchases of a DCA configuration.
+ *
+ * FIXED invests `amount` every occurrence. VALUE_AVERAGING invests what
+ * brings the value of each asset to its target path (its share of `amount`
+ * times the number of occurrences so far), between zero and `maxMultiple`
+ * times its share, and never sells. BUY_THE_DIP invests `amount`, multiplied
+ * by `dipMultiplier` for an asset whose price is at least `dipThreshold` %
+ * below its high of the last `dipLookback` days. Occurrences without a
+ * price for an asset are skipped for that asset.
+ *
+ * @param {object} config Backtest configuration (see above).
+ * @param {(asset: string, date: string) => number | undefined} priceAt
+ *        Price lookup, see `createPriceLookup` in priceHistory.js.
+ * @returns {{ transactions: Array, missing: number }} Synthetic purchases
+ *          and the number of purchases skipped for lack of a price.
+ */
+export function simulateDca(config, priceAt) {
+  const options = { ...BACKTEST_DEFAULTS, ...config };
+  const { allocation, amount, strategy } = options;
+  const totalWeight = Object.values(allocation).reduce((sum, w) => sum + w, 0);
+  const dates = planOccurrences(
+    { startDate: options.startDate, endDate: options.endDate, frequency: options.frequency },
+    options.endDate
+  );
+  const held = {};
+  const transactions = [];
+  let missing = 0;
+  dates.forEach((date, idx) => {
+    for (const [asset, weight] of Object.entries(allocation)) {
+      if (!(weight > 0) || totalWeight <= 0) continue;
+      const share = (amount * weight) / totalWeight;
+      const price = priceAt(asset, date);
+      if (price === undefined || !(price > 0)) {
+        missing += 1;
+        continue;
+      }
+      let invest = share;
+      if (strategy === 'VALUE_AVERAGING') {
+        const target = share * (idx + 1);
+        const current = (held[asset] ?? 0) * price;
+        invest = Math.min(Math.max(target - current, 0), share * options.maxMultiple);
+      } else if (strategy === 'BUY_THE_DIP') {
+        const high = recentHigh(priceAt, asset, date, options.dipLookback);
+        if (high !== undefined && price <= high * (1 - options.dipThreshold / 100)) {
+          invest = share * options.dipMultiplier;
+        }
+      }
+      if (invest <= 0) continue;
+      const quantity = invest / price;
+      held[asset] = (held[asset] ?? 0) + quantity;
+      transactions.push({
+        id: `sim-${asset}-${date}`,
+        date,
+        platform: SIMULATION_PLATFORM,
+        asset,
+        type: 'BUY',
+        price,
+        quantity,
+      });
+    }
+  });
+  return { transactions, missing };
+}
+
+/**
+ * Runs a backtest: simulates the purchases and values the result, at the
+ * last available prices on the end date and month by month.
+ *
+ * @param {object} config Backtest configuration (see above).
+ * @param {(asset: string, date: string) => number | undefined} priceAt
+ *        Price lookup.
+ * @returns {{ transactions: Array, missing: number, totals: object, history: Array, purchases: number }}
+ *          `totals` and `history` have the shapes returned by `computeTotals`
+ *          and `computeMonthlyHistory`.
+ */
+export function runBacktest(config, priceAt) {
+  const { transactions, missing } = simulateDca(config, priceAt);
+  const finalPrices = {};
+  for (const asset of Object.keys(config.allocation)) {
+    const price = priceAt(asset, config.endDate);
+    if (price !== undefined) finalPrices[asset] = price;
+  }
+  // Past months are valued at their month-end closes, the last one at the
+  // end-date prices
+  const lookup = (asset, date) => priceAt(asset, date < config.endDate ? date : config.endDate);
+  const totals = computeTotals(computePnL(transactions, finalPrices));
+  const history = computeMonthlyHistory(transactions, finalPrices, lookup);
+  return { transactions, missing, totals, history, purchases: transactions.length };
+}
@@ -0,0 +1,214 @@
+/**
+ * JSON export and import of the whole portfolio.
+ *
+ * An export is a versioned document:
+ *
+ *   {
+ *     format: 'wav-dca-tracker',
+ *     version: BACKUP_VERSION,
+ *     exportedAt: ISO timestamp,
+ *     transactions: [...],            // see finance.js
+ *     manualPrices: { SYMBOL: [{ date, price, note? }] },  // see manualPrices.js
+ *     settings: { costBasis, currency, targets, priceRefresh },  // targets: see allocation.js
+ *     coins: { SYMBOL: { id, name } }, // coins picked for ambiguous symbols
+ *     plans: [...],                    // DCA plans, see dca.js
+ *     alertRules: [...]                // alert rules, see alerts.js
+ *   }
+ *
+ * Files written by older versions are upgraded step by step with
+ * MIGRATIONS before validation; version 1 is the bare transaction array
+ * exported before this format existed. Bump BACKUP_VERSION and add a
+ * migration whenever the stored shape changes.
+ */
+
+import { COST_BASIS_METHODS, validateTransaction, ensureTransactionIds } from './finance';
+import { markDuplicates } from './csvImport';
+import { validatePlan } from './dca';
+import { validateTargets } from './allocation';
+import { validateRule } from './alerts';
+import { CURRENCIES } from './currency';
+import { normalizeManualPrices, validatePricePoint } from './manualPrices';
+import { REFRESH_INTERVALS } from './priceRefresh';
+
+export const BACKUP_FORMAT = 'wav-dca-tracker';
+export const BACKUP_VERSION = 6;
+
+// Converts a numeric string (as found in hand-edited files) to a number
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' && !isNaN(value) ? Number(value) : value);
+
+/**
+ * Upgrades a document of version `n` to version `n + 1`.
+ */
+const MIGRATIONS = {
+  1: (transactions) => ({
+    format: BACKUP_FORMAT,
+    version: 2,
+    transactions: transactions.map((tx) =>
+      tx && typeof tx === 'object'
+        ? {
+            ...tx,
+            asset: typeof tx.asset === 'string' ? tx.asset.toUpperCase() : tx.asset,
+            price: toNumber(tx.price),
+            quantity: toNumber(tx.quantity),
+            ...(tx.fee !== undefined && { fee: toNumber(tx.fee) }),
+          }
+        : tx
+    ),
+    manualPrices: {},
+    settings: {},
+    coins: {},
+  }),
+  // Stable transaction ids
+  2: (doc) => ({
+    ...doc,
+    version: 3,
+    transactions: Array.isArray(doc.transactions) ? ensureTransactionIds(doc.transactions) : doc.transactions,
+  }),
+  // DCA plans
+  3: (doc) => ({ ...doc, version: 4, plans: [] }),
+  // Alert rules
+  4: (doc) => ({ ...doc, version: 5, alertRules: [] }),
+  // Dated manual price points, the single price dated of the export
+  5: (doc) => {
+    const date = (typeof doc.exportedAt === 'string' ? doc.exportedAt : new Date().toISOString()).slice(0, 10);
+    const manualPrices = {};
+    for (const [asset, price] of Object.entries(doc.manualPrices || {})) {
+      manualPrices[asset] = [{ date, price: toNumber(price) }];
+    }
+    return { ...doc, version: 6, manualPrices };
+  },
+};
+
+/**
+ * Builds the export document of the current state.
+ *
+ * @param {{ transactions: Array, manualPrices?: object, settings?: object, coins?: object, plans?: Array, alertRules?: Array }} state
+ * @returns {object}
+ */
+export function createBackup({
+  transactions,
+  manualPrices = {},
+  settings = {},
+  coins = {},
+  plans = [],
+  alertRules = [],
+}) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    transactions,
+    manualPrices,
+    settings,
+    coins,
+    plans,
+    alertRules,
+  };
+}
+
+/**
+ * Upgrades a parsed document to the current version.
+ *
+ * @param {*} data Parsed JSON.
+ * @returns {{ data: object, fromVersion: number }}
+ * @throws {Error} When the document isn't an export of this app or comes
+ *         from a newer version.
+ */
+export function migrateBackup(data) {
+  let doc = data;
+  let version;
+  if (Array.isArray(doc)) {
+    version = 1;
+  } else if (doc && typeof doc === 'object' && doc.format === BACKUP_FORMAT && Number.isInteger(doc.version)) {
+    version = doc.version;
+  } else {
+    throw new Error("Ce fichier n'est pas un export de WAV DCA Tracker");
+  }
+  if (version > BACKUP_VERSION) {
+    throw new Error(`Version ${version} non prise en charge : mettez l'application à jour`);
+  }
+  const fromVersion = version;
+  while (version < BACKUP_VERSION) {
+    doc = MIGRATIONS[version](doc);
+    version += 1;
+  }
+  return { data: doc, fromVersion };
+}
+
+/**
+ * Parses, migrates and validates an export file.
+ *
+ * Invalid transactions are reported individually rather than rejecting the
+ * whole file, so the valid ones can still be imported. Invalid manual
+ * price points and unknown settings are dropped with an error.
+ *
+ * @param {string} text File content.
+ * @param {Array} [existing] Current transactions, to flag duplicates.
+ * @returns {{ fromVersion: number, rows: Array<{index: number, tx: object, errors: string[], duplicate: boolean}>, manualPrices: object, settings: object, coins: object, plans: Array, alertRules: Array, errors: string[] }}
+ * @throws {Error} When the file can't be read at all.
+ */
+export function parseBackup(text, existing = []) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error('Fichier JSON illisible');
+  }
+  const { data, fromVersion } = migrateBackup(parsed);
+  const errors = [];
+  if (!Array.isArray(data.transactions)) {
+    throw new Error('Liste de transactions manquante');
+  }
+  const rows = markDuplicates(
+    data.transactions.map((tx, index) => ({ index, tx, errors: validateTransaction(tx) })),
+    existing
+  ).map((row) => (row.errors.length > 0 ? { ...row, duplicate: false } : row));
+
+  const points = {};
+  for (const [asset, entry] of Object.entries(data.manualPrices || {})) {
+    const valid = (Array.isArray(entry) ? entry : [entry]).filter((point) => validatePricePoint(point).length === 0);
+    if (valid.length > 0) points[asset] = valid;
+    if (!Array.isArray(entry) || valid.length < entry.length) errors.push(`Prix manuel invalide pour ${asset}`);
+  }
+  const manualPrices = normalizeManualPrices(points);
+  const settings = {};
+  const costBasis = data.settings && data.settings.costBasis;
+  if (costBasis !== undefined) {
+    if (COST_BASIS_METHODS[costBasis]) settings.costBasis = costBasis;
+    else errors.push(`Méthode de coût inconnue : ${costBasis}`);
+  }
+  const currency = data.settings && data.settings.currency;
+  if (currency !== undefined) {
+    if (CURRENCIES[currency]) settings.currency = currency;
+    else errors.push(`Devise de référence inconnue : ${currency}`);
+  }
+  const priceRefresh = data.settings && data.settings.priceRefresh;
+  if (priceRefresh !== undefined) {
+    if (REFRESH_INTERVALS[priceRefresh] !== undefined) settings.priceRefresh = priceRefresh;
+    else errors.push(`Intervalle de rafraîchissement inconnu : ${priceRefresh}`);
+  }
+  const targets = data.settings && data.settings.targets;
+  if (targets !== undefined) {
+    const problems = validateTargets(targets);
+    if (problems.length === 0) settings.targets = targets;
+    else errors.push(`Allocation cible ignorée : ${problems.join(', ')}`);
+  }
+  const coins = {};
+  for (const [symbol, coin] of Object.entries(data.coins || {})) {
+    if (coin && typeof coin.id === 'string') coins[symbol] = coin;
+    else errors.push(`Actif résolu invalide : ${symbol}`);
+  }
+  const plans = [];
+  for (const plan of Array.isArray(data.plans) ? data.plans : []) {
+    const problems = plan && typeof plan === 'object' && plan.id ? validatePlan(plan) : ['plan invalide'];
+    if (problems.length === 0) plans.push(plan);
+    else errors.push(`Plan DCA ${plan && plan.asset ? plan.asset : ''} ignoré : ${problems.join(', ')}`);
+  }
+  const alertRules = [];
+  for (const rule of Array.isArray(data.alertRules) ? data.alertRules : []) {
+    const problems = rule && typeof rule === 'object' && rule.id ? validateRule(rule) : ['règle invalide'];
+    if (problems.length === 0) alertRules.push({ ...rule, enabled: rule.enabled !== false });
+    else errors.push(`Règle d'alerte ${rule && rule.asset ? rule.asset : ''} ignorée : ${problems.join(', ')}`);
+  }
+  return { fromVersion, rows, manualPrices, settings, coins, plans, alertRules, errors };
+}
@@ -0,0 +1,149 @@
+/**
+ * Data for the breakdown charts of the main page.
+ *
+ * The charts read the monthly history of `computeMonthlyHistory` and the
+ * current positions: allocation by asset or platform, value of each asset
+ * over time, net contributions against value, and monthly returns by year.
+ * The history can be cut to a range of months and assets hidden; hidden
+ * assets are left out of the allocations and of the value per asset.
+ */
+
+/** Ranges offered for the history charts and their labels. */
+export const CHART_RANGES = {
+  ALL: 'Tout',
+  '1Y': '12 mois',
+  YTD: 'Année en cours',
+  '6M': '6 mois',
+  CUSTOM: 'Personnalisée',
+};
+
+/** Colours given to assets and platforms, in order. */
+export const CHART_COLORS = [
+  '#6366f1',
+  '#10b981',
+  '#f59e0b',
+  '#ef4444',
+  '#0e7490',
+  '#a855f7',
+  '#84cc16',
+  '#ec4899',
+  '#64748b',
+  '#f97316',
+];
+
+/**
+ * Colour of the key at `index` of a list, cycling through CHART_COLORS.
+ *
+ * @param {number} index Position of the asset or platform.
+ * @returns {string}
+ */
+export function chartColor(index) {
+  return CHART_COLORS[index % CHART_COLORS.length];
+}
+
+/**
+ * First and last months of a range.
+ *
+ * @param {string} range One of the CHART_RANGES keys.
+ * @param {{ from?: string, to?: string }} [custom] Months (YYYY-MM) of the
+ *        CUSTOM range, either one open.
+ * @param {string} [today] ISO date of today.
+ * @returns {{ from: string | null, to: string | null }} null when open.
+ */
+export function rangeMonths(range, custom = {}, today = new Date().toISOString().slice(0, 10)) {
+  const month = today.slice(0, 7);
+  const monthsAgo = (n) => {
+    const [year, m] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, m - 1 - n, 1)).toISOString().slice(0, 7);
+  };
+  if (range === '1Y') return { from: monthsAgo(11), to: null };
+  if (range === '6M') return { from: monthsAgo(5), to: null };
+  if (range === 'YTD') return { from: `${today.slice(0, 4)}-01`, to: null };
+  if (range === 'CUSTOM') return { from: custom.from || null, to: custom.to || null };
+  return { from: null, to: null };
+}
+
+/**
+ * Months of a history within a range, bounds included.
+ *
+ * @param {Array<{month: string}>} history Monthly history.
+ * @param {{ from: string | null, to: string | null }} range See `rangeMonths`.
+ * @returns {Array}
+ */
+export function filterHistory(history = [], { from, to }) {
+  return history.filter((h) => (!from || h.month >= from) && (!to || h.month <= to));
+}
+
+/**
+ * Slices of an allocation: the positive values, largest first, with their
+ * share of the total in percent.
+ *
+ * @param {Record<string, number>} values Value per asset or platform.
+ * @returns {Array<{name: string, value: number, percent: number}>}
+ */
+export function allocationSlices(values = {}) {
+  const entries = Object.entries(values).filter(([, value]) => value > 0);
+  const total = entries.reduce((sum, [, value]) => sum + value, 0);
+  return entries
+    .map(([name, value]) => ({ name, value, percent: (value / total) * 100 }))
+    .sort((a, b) => b.value - a.value);
+}
+
+/**
+ * Current value of each priced asset, hidden assets left out.
+ *
+ * @param {Record<string, object>} summary Positions from `computePnL`.
+ * @param {string[]} [hidden] Hidden assets.
+ * @returns {Record<string, number>}
+ */
+export function valueByAsset(summary = {}, hidden = []) {
+  const values = {};
+  for (const [asset, s] of Object.entries(summary)) {
+    if (s.priced && !hidden.includes(asset)) values[asset] = s.value;
+  }
+  return values;
+}
+
+/**
+ * Current value held on each platform, hidden assets left out.
+ *
+ * @param {Record<string, Record<string, number>>} holdings Quantities from
+ *        `computeHoldingsByPlatform`.
+ * @param {Record<string, number>} prices Current price per asset.
+ * @param {string[]} [hidden] Hidden assets.
+ * @returns {Record<string, number>}
+ */
+export function valueByPlatform(holdings = {}, prices = {}, hidden = []) {
+  const values = {};
+  for (const [platform, assets] of Object.entries(holdings)) {
+    values[platform] = 0;
+    for (const [asset, quantity] of Object.entries(assets)) {
+      if (!hidden.includes(asset)) values[platform] += quantity * (prices[asset] ?? 0);
+    }
+  }
+  return values;
+}
+
+/**
+ * Monthly returns of a history laid out by year, the oldest year first,
+ * with the compounded return of each year.
+ *
+ * @param {Array<{month: string, return: number}>} history Monthly history.
+ * @returns {Array<{year: string, months: Array<number | null>, total: number}>}
+ *          `months` has 12 entries, null for months without history.
+ */
+export function returnHeatmap(history = []) {
+  const years = {};
+  for (const h of history) {
+    const year = h.month.slice(0, 4);
+    if (!years[year]) years[year] = Array(12).fill(null);
+    years[year][Number(h.month.slice(5, 7)) - 1] = h.return;
+  }
+  return Object.keys(years)
+    .sort()
+    .map((year) => ({
+      year,
+      months: years[year],
+      total: (years[year].reduce((acc, r) => (r === null ? acc : acc * (1 + r / 100)), 1) - 1) * 100,
+    }));
+}
@@ -0,0 +1,545 @@
+/**
+ * CSV import of exchange exports.
+ *
+ * `parseCsv` turns the file into a header list and raw rows, `detectFormat`
+ * recognises the Crypto.com App and Bitget trade-history exports, and the
+ * matching parser converts each row into a transaction (see finance.js).
+ * Other files go through `parseWithMapping` with a column mapping chosen by
+ * the user. Every parser returns preview rows of the shape
+ *
+ *   { line, tx, errors: string[], warnings: string[], ignored?: string,
+ *     valuation?: { asset, quantity, toAsset, toQuantity } }
+ *
+ * where `line` is the line number in the file, `ignored` explains why a row
+ * that isn't a trade (e.g. an internal Earn movement) is left out, and
+ * `valuation` flags a swap whose EUR value has to be estimated from
+ * historical prices before it can be imported. `markDuplicates` then flags
+ * rows already present in the portfolio.
+ */
+
+import { TRANSACTION_TYPES, validateTransaction } from './finance';
+import { CURRENCIES } from './currency';
+
+/** Supported formats and their labels. */
+export const CSV_FORMATS = {
+  CRYPTO_COM: 'Crypto.com App',
+  BITGET: 'Bitget (historique des trades)',
+  GENERIC: 'Autre (correspondance des colonnes)',
+};
+
+/** Transaction fields that can be mapped to a column of a generic file. */
+export const MAPPING_FIELDS = {
+  date: { label: 'Date', required: true },
+  type: { label: 'Type (achat/vente)', required: false },
+  asset: { label: 'Actif', required: true },
+  quantity: { label: 'Quantité', required: true },
+  price: { label: 'Prix unitaire', required: false },
+  total: { label: 'Total', required: false },
+  currency: { label: 'Devise (EUR par défaut)', required: false },
+  fee: { label: 'Frais', required: false },
+  feeAsset: { label: 'Devise des frais', required: false },
+};
+
+/**
+ * Splits CSV text into a header row and data rows. The separator (`,`, `;`
+ * or tab) is detected from the header line; quoted fields may contain
+ * separators, doubled quotes and line breaks.
+ *
+ * @param {string} text File content.
+ * @returns {{ headers: string[], rows: string[][] }}
+ */
+export function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0] || '';
+  const separator = [',', ';', '\t'].reduce((best, sep) =>
+    firstLine.split(sep).length > firstLine.split(best).length ? sep : best
+  );
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < content.length; i++) {
+    const ch = content[i];
+    if (quoted) {
+      if (ch === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === separator) {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && content[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  const nonEmpty = records.filter((r) => r.some((f) => f.trim() !== ''));
+  const [headers = [], ...rows] = nonEmpty;
+  return { headers: headers.map((h) => h.trim()), rows };
+}
+
+/**
+ * Parses a number written with a decimal point or comma, with optional
+ * thousands separators and a currency or asset suffix (e.g. "1 234,5 €").
+ *
+ * @param {string} value Raw cell.
+ * @returns {number} The number, or NaN.
+ */
+export function parseNumber(value) {
+  if (value === undefined || value === null) return NaN;
+  const match = String(value)
+    .replace(/[\s\u00A0\u202F]/g, '')
+    .match(/[-+]?[\d.,]*\d(?:[eE][-+]?\d+)?/);
+  if (!match) return NaN;
+  let s = match[0];
+  const lastComma = s.lastIndexOf(',');
+  const lastDot = s.lastIndexOf('.');
+  if (lastComma !== -1 && lastDot !== -1) {
+    // The last separator is the decimal one, the other groups thousands
+    s = lastComma > lastDot ? s.replace(/\./g, '').replace(',', '.') : s.replace(/,/g, '');
+  } else if (lastComma !== -1) {
+    // A single comma is a decimal comma, several group thousands
+    s = s.indexOf(',') === lastComma ? s.replace(',', '.') : s.replace(/,/g, '');
+  }
+  const n = Number(s);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+/**
+ * Parses a date such as "2024-01-05 10:00:00", "2024-01-05T10:00:00Z" or
+ * the French "05/01/2024" into an ISO date.
+ *
+ * @param {string} value Raw cell.
+ * @returns {string | null} 'YYYY-MM-DD', or null when unreadable.
+ */
+export function parseDate(value) {
+  const s = String(value ?? '').trim();
+  let m = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (m) return toIsoDate(m[1], m[2], m[3]);
+  m = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/);
+  if (m) return toIsoDate(m[3], m[2], m[1]);
+  if (/^\d{12,13}$/.test(s)) return new Date(Number(s)).toISOString().slice(0, 10);
+  return null;
+}
+
+function toIsoDate(year, month, day) {
+  const iso = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  const date = new Date(`${iso}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === iso ? iso : null;
+}
+
+// Finds the index of the first header matching one of the names, ignoring
+// case, spaces and punctuation
+function findColumn(headers, names) {
+  const normalise = (h) => h.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const wanted = names.map(normalise);
+  return headers.findIndex((h) => wanted.includes(normalise(h)));
+}
+
+const BITGET_COLUMNS = {
+  date: ['Date', 'Time', 'Order Time', 'Trade Time', 'Create Time', 'Created Time'],
+  pair: ['Trading pair', 'Trading Pair', 'Pair', 'Symbol'],
+  side: ['Direction', 'Side', 'Order Direction'],
+  price: ['Price', 'Average Price', 'Avg Price', 'Filled Price', 'Deal Price'],
+  quantity: ['Amount', 'Quantity', 'Filled Amount', 'Executed', 'Filled Quantity'],
+  total: ['Total', 'Trading Volume', 'Filled Total', 'Turnover', 'Deal Total'],
+  fee: ['Fee', 'Fees', 'Trading Fee'],
+  feeAsset: ['Fee Coin', 'Fee Currency', 'Fee Asset'],
+};
+
+/**
+ * Recognises the export format from the header row.
+ *
+ * @param {string[]} headers Header row.
+ * @returns {'CRYPTO_COM' | 'BITGET' | 'GENERIC'}
+ */
+export function detectFormat(headers) {
+  if (findColumn(headers, ['Transaction Kind']) !== -1 && findColumn(headers, ['Native Amount']) !== -1) {
+    return 'CRYPTO_COM';
+  }
+  if (findColumn(headers, BITGET_COLUMNS.pair) !== -1 && findColumn(headers, BITGET_COLUMNS.side) !== -1) {
+    return 'BITGET';
+  }
+  return 'GENERIC';
+}
+
+// Builds a preview row, validating the transaction unless the row is ignored
+// or still waiting for its EUR value
+function previewRow(line, tx, { warnings = [], errors = [], ignored, valuation } = {}) {
+  const row = { line, tx, errors: [...errors], warnings };
+  if (ignored) {
+    row.ignored = ignored;
+  } else if (valuation) {
+    row.valuation = valuation;
+  } else if (row.errors.length === 0) {
+    row.errors = validateTransaction(tx);
+  }
+  return row;
+}
+
+// Crypto.com App transaction kinds and the transaction type they map to.
+// For purchases with the fiat wallet the crypto bought is in To Currency.
+const CRYPTO_COM_KINDS = {
+  crypto_purchase: 'BUY',
+  recurring_buy_order: 'BUY',
+  viban_purchase: 'BUY',
+  crypto_viban_exchange: 'SELL',
+  crypto_exchange: 'SWAP',
+  crypto_earn_interest_paid: 'STAKING',
+  mco_stake_reward: 'STAKING',
+  supercharger_reward_to_app_credited: 'STAKING',
+  referral_card_cashback: 'REWARD',
+  reimbursement: 'REWARD',
+  referral_bonus: 'REWARD',
+  referral_gift: 'REWARD',
+  rewards_platform_deposit_credited: 'REWARD',
+  admin_wallet_credited: 'AIRDROP',
+  crypto_withdrawal: 'TRANSFER',
+  crypto_deposit: 'TRANSFER',
+};
+
+/**
+ * Parses a Crypto.com App export ("crypto_transactions_record").
+ *
+ * Amounts are signed: the crypto leaving the account is negative. The EUR
+ * value comes from the Native Amount column, so files exported with another
+ * native currency are rejected. Crypto withdrawals and deposits are recorded
+ * as transfers to and from the "Wallet" platform.
+ *
+ * @param {string[]} headers Header row.
+ * @param {string[][]} rows Data rows.
+ * @returns {Array} Preview rows.
+ */
+export function parseCryptoCom(headers, rows) {
+  const col = {
+    date: findColumn(headers, ['Timestamp (UTC)', 'Timestamp']),
+    currency: findColumn(headers, ['Currency']),
+    amount: findColumn(headers, ['Amount']),
+    toCurrency: findColumn(headers, ['To Currency']),
+    toAmount: findColumn(headers, ['To Amount']),
+    nativeCurrency: findColumn(headers, ['Native Currency']),
+    nativeAmount: findColumn(headers, ['Native Amount']),
+    kind: findColumn(headers, ['Transaction Kind']),
+  };
+  const platform = 'Crypto.com';
+  return rows.map((cells, idx) => {
+    const line = idx + 2;
+    const kind = (cells[col.kind] || '').trim();
+    const type = CRYPTO_COM_KINDS[kind];
+    const date = parseDate(cells[col.date]);
+    if (!type) {
+      return previewRow(line, null, { ignored: `Opération non prise en charge : ${kind || '(vide)'}` });
+    }
+    const nativeCurrency = (cells[col.nativeCurrency] || '').trim().toUpperCase();
+    if (nativeCurrency && !CURRENCIES[nativeCurrency]) {
+      return previewRow(line, null, { errors: [`Devise native non prise en charge : ${nativeCurrency}`] });
+    }
+    const currency = (cells[col.currency] || '').trim().toUpperCase();
+    const amount = Math.abs(parseNumber(cells[col.amount]));
+    const toCurrency = (cells[col.toCurrency] || '').trim().toUpperCase();
+    const toAmount = Math.abs(parseNumber(cells[col.toAmount]));
+    const value = Math.abs(parseNumber(cells[col.nativeAmount]));
+    let tx;
+    if (type === 'TRANSFER') {
+      const outgoing = kind === 'crypto_withdrawal';
+      tx = {
+        date,
+        platform: outgoing ? platform : 'Wallet',
+        asset: currency,
+        type,
+        price: 0,
+        quantity: amount,
+        toPlatform: outgoing ? 'Wallet' : platform,
+      };
+    } else if (type === 'SWAP') {
+      tx = {
+        date,
+        platform,
+        asset: currency,
+        type,
+        price: value / amount,
+        quantity: amount,
+        toAsset: toCurrency,
+        toQuantity: toAmount,
+      };
+    } else {
+      // Fiat wallet purchases list the EUR spent first and the crypto bought
+      // in To Currency
+      const fiatFirst = kind === 'viban_purchase';
+      const asset = fiatFirst ? toCurrency : currency;
+      const quantity = fiatFirst ? toAmount : amount;
+      tx = { date, platform, asset, type, price: value / quantity, quantity };
+      if (type === 'REWARD' || type === 'STAKING' || type === 'AIRDROP') tx.costBasis = 'MARKET';
+    }
+    if (nativeCurrency && nativeCurrency !== 'EUR' && type !== 'TRANSFER') tx.currency = nativeCurrency;
+    return previewRow(line, tx);
+  });
+}
+
+// Quote currencies recognised at the end of a trading pair, longest first
+const QUOTES = ['USDT', 'USDC', 'EUR', 'USD', 'BTC', 'ETH'];
+
+function splitPair(pair) {
+  const s = String(pair || '').trim().toUpperCase();
+  const parts = s.split(/[/_\-:]/).filter(Boolean);
+  if (parts.length === 2) return { base: parts[0], quote: parts[1] };
+  const quote = QUOTES.find((q) => s.endsWith(q) && s.length > q.length);
+  return quote ? { base: s.slice(0, -quote.length), quote } : null;
+}
+
+// Splits a fee cell such as "0.0001BTC" into amount and asset
+function splitFeeCell(value, assetCell) {
+  const raw = String(value || '').trim();
+  const amount = Math.abs(parseNumber(raw));
+  const suffix = raw.replace(/[\d\s.,\-+]/g, '').toUpperCase();
+  const asset = String(assetCell || '').trim().toUpperCase() || suffix;
+  return { amount: isNaN(amount) ? 0 : amount, asset };
+}
+
+/**
+ * Parses a Bitget spot trade-history export.
+ *
+ * Trades against a fiat currency (EUR, USD, CHF) become purchases and sales
+ * in that currency. Trades against a crypto-asset, stablecoins included
+ * (e.g. BTC/USDT), become swaps whose EUR value is left to be estimated from
+ * historical prices (`valuation`). A fee in the quote currency of a fiat
+ * pair is kept in that currency, a fee in the base asset in units;
+ * on a swap a fee in the asset received is deducted from the units
+ * received. Fees paid in a third asset (e.g. BGB) are dropped with a
+ * warning.
+ *
+ * @param {string[]} headers Header row.
+ * @param {string[][]} rows Data rows.
+ * @returns {Array} Preview rows.
+ */
+export function parseBitget(headers, rows) {
+  const col = {};
+  for (const field of Object.keys(BITGET_COLUMNS)) {
+    col[field] = findColumn(headers, BITGET_COLUMNS[field]);
+  }
+  const platform = 'Bitget';
+  return rows.map((cells, idx) => {
+    const line = idx + 2;
+    const date = parseDate(cells[col.date]);
+    const pair = splitPair(cells[col.pair]);
+    const sideCell = (cells[col.side] || '').trim().toLowerCase();
+    const side = sideCell.startsWith('buy') || sideCell === 'achat' ? 'BUY' : sideCell.startsWith('sell') || sideCell === 'vente' ? 'SELL' : null;
+    if (!pair) return previewRow(line, null, { errors: [`Paire illisible : ${cells[col.pair] || '(vide)'}`] });
+    if (!side) return previewRow(line, null, { errors: [`Sens inconnu : ${cells[col.side] || '(vide)'}`] });
+    const price = parseNumber(cells[col.price]);
+    const quantity = Math.abs(parseNumber(cells[col.quantity]));
+    let total = col.total !== -1 ? Math.abs(parseNumber(cells[col.total])) : NaN;
+    if (isNaN(total)) total = price * quantity;
+    const fee = col.fee !== -1 ? splitFeeCell(cells[col.fee], cells[col.feeAsset]) : { amount: 0, asset: '' };
+    const warnings = [];
+
+    if (CURRENCIES[pair.quote]) {
+      const tx = { date, platform, asset: pair.base, type: side, price: total / quantity, quantity };
+      if (pair.quote !== 'EUR') tx.currency = pair.quote;
+      if (fee.amount > 0) {
+        if (fee.asset === pair.quote || fee.asset === '') {
+          tx.fee = fee.amount;
+          tx.feeAsset = pair.quote;
+        } else if (fee.asset === pair.base) {
+          tx.fee = fee.amount;
+          tx.feeAsset = pair.base;
+        } else {
+          warnings.push(`Frais en ${fee.asset} ignorés`);
+        }
+      }
+      return previewRow(line, tx, { warnings });
+    }
+
+    // Crypto/crypto pair: what is given and received depends on the side
+    const given = side === 'BUY' ? { asset: pair.quote, quantity: total } : { asset: pair.base, quantity };
+    const received = side === 'BUY' ? { asset: pair.base, quantity } : { asset: pair.quote, quantity: total };
+    const tx = {
+      date,
+      platform,
+      asset: given.asset,
+      type: 'SWAP',
+      price: undefined,
+      quantity: given.quantity,
+      toAsset: received.asset,
+      toQuantity: received.quantity,
+    };
+    if (fee.amount > 0) {
+      if (fee.asset === received.asset) {
+        tx.toQuantity -= fee.amount;
+      } else if (fee.asset === given.asset) {
+        tx.fee = fee.amount;
+        tx.feeAsset = given.asset;
+      } else {
+        warnings.push(`Frais en ${fee.asset || '?'} ignorés`);
+      }
+    }
+    return previewRow(line, tx, {
+      warnings,
+      valuation: { asset: tx.asset, quantity: tx.quantity, toAsset: tx.toAsset, toQuantity: tx.toQuantity },
+    });
+  });
+}
+
+// Maps a type cell (English or French, code or label) to a transaction type
+function normaliseType(value) {
+  const s = String(value || '').trim().toLowerCase();
+  if (['buy', 'achat', 'b', 'acheter'].includes(s)) return 'BUY';
+  if (['sell', 'vente', 's', 'vendre'].includes(s)) return 'SELL';
+  const code = Object.keys(TRANSACTION_TYPES).find(
+    (t) => t.toLowerCase() === s || TRANSACTION_TYPES[t].toLowerCase() === s
+  );
+  return code || null;
+}
+
+/**
+ * Guesses a column mapping for a generic file from its header names.
+ *
+ * @param {string[]} headers Header row.
+ * @returns {Record<string, number>} Column index per field of MAPPING_FIELDS,
+ *          -1 when no column matches.
+ */
+export function guessMapping(headers) {
+  const names = {
+    date: ['Date', 'Time', 'Timestamp', 'Jour'],
+    type: ['Type', 'Side', 'Direction', 'Sens', 'Opération'],
+    asset: ['Asset', 'Actif', 'Coin', 'Currency', 'Crypto', 'Symbol', 'Symbole'],
+    quantity: ['Quantity', 'Quantité', 'Amount', 'Montant', 'Qty'],
+    price: ['Price', 'Prix', 'Prix unitaire', 'Unit Price'],
+    total: ['Total', 'Value', 'Valeur', 'Total EUR'],
+    currency: ['Devise', 'Quote Currency', 'Fiat Currency', 'Native Currency'],
+    fee: ['Fee', 'Fees', 'Frais'],
+    feeAsset: ['Fee Currency', 'Fee Asset', 'Fee Coin', 'Devise des frais'],
+  };
+  const mapping = {};
+  for (const field of Object.keys(MAPPING_FIELDS)) {
+    mapping[field] = findColumn(headers, names[field]);
+  }
+  return mapping;
+}
+
+/**
+ * Parses a generic file with a user-defined column mapping. Rows without a
+ * type column (or with an unreadable one) use `defaultType`; the unit price
+ * is taken from the price column or derived from the total.
+ *
+ * @param {string[][]} rows Data rows.
+ * @param {Record<string, number>} mapping Column index per field, -1 for none.
+ * @param {{ platform: string, defaultType?: string }} options
+ * @returns {Array} Preview rows.
+ */
+export function parseWithMapping(rows, mapping, { platform, defaultType = 'BUY' }) {
+  const cell = (cells, field) => (mapping[field] >= 0 ? cells[mapping[field]] : undefined);
+  return rows.map((cells, idx) => {
+    const line = idx + 2;
+    const errors = [];
+    const typeCell = cell(cells, 'type');
+    let type = defaultType;
+    if (typeCell !== undefined) {
+      type = normaliseType(typeCell);
+      if (!type) errors.push(`Type inconnu : ${typeCell || '(vide)'}`);
+    }
+    if (type === 'SWAP' || type === 'TRANSFER') {
+      errors.push(`Les opérations « ${TRANSACTION_TYPES[type]} » ne peuvent pas être importées par correspondance`);
+    }
+    const quantity = Math.abs(parseNumber(cell(cells, 'quantity')));
+    let price = parseNumber(cell(cells, 'price'));
+    if (isNaN(price)) price = Math.abs(parseNumber(cell(cells, 'total'))) / quantity;
+    const isCash = type === 'DEPOSIT' || type === 'WITHDRAWAL';
+    const currency = String(cell(cells, 'currency') || 'EUR').trim().toUpperCase();
+    if (!CURRENCIES[currency]) errors.push(`Devise non prise en charge : ${currency}`);
+    const tx = {
+      date: parseDate(cell(cells, 'date')),
+      platform,
+      asset: isCash ? currency : String(cell(cells, 'asset') || '').trim().toUpperCase(),
+      type,
+      price: isCash ? 1 : price,
+      quantity,
+    };
+    if (currency !== 'EUR' && CURRENCIES[currency]) tx.currency = currency;
+    const fee = Math.abs(parseNumber(cell(cells, 'fee')));
+    if (fee > 0) {
+      const feeAsset = String(cell(cells, 'feeAsset') || currency).trim().toUpperCase();
+      tx.fee = fee;
+      tx.feeAsset = feeAsset === tx.asset ? tx.asset : currency;
+      if (feeAsset !== currency && feeAsset !== tx.asset) errors.push(`Frais en ${feeAsset} non pris en charge`);
+    }
+    if (type === 'REWARD' || type === 'STAKING' || type === 'AIRDROP') tx.costBasis = 'MARKET';
+    return previewRow(line, tx, { errors });
+  });
+}
+
+/**
+ * Completes a row waiting for its EUR value (see `parseBitget`) and
+ * validates it.
+ *
+ * @param {object} row Preview row with a `valuation`.
+ * @param {number | undefined} value EUR value of the swap, undefined when no
+ *        price was found.
+ * @returns {object} Preview row.
+ */
+export function applyValuation(row, value) {
+  if (value === undefined || !Number.isFinite(value)) {
+    return { ...row, valuation: undefined, errors: ['Valeur en euros introuvable pour cette date'] };
+  }
+  return previewRow(row.line, { ...row.tx, price: value / row.tx.quantity }, { warnings: row.warnings });
+}
+
+/**
+ * Key identifying a transaction for duplicate detection: same day, platform,
+ * type, asset, quantity and value in the same currency.
+ *
+ * @param {object} tx Transaction.
+ * @returns {string}
+ */
+export function transactionKey(tx) {
+  return [
+    tx.date,
+    tx.platform,
+    tx.type,
+    tx.asset,
+    Number(tx.quantity).toFixed(8),
+    (tx.price * tx.quantity).toFixed(2),
+    tx.currency || 'EUR',
+    tx.toAsset || '',
+  ].join('|');
+}
+
+/**
+ * Flags preview rows whose transaction already exists. Each existing
+ * transaction matches at most one imported row, so identical operations
+ * repeated within a file (e.g. two rewards on the same day) are only flagged
+ * as many times as they are already recorded.
+ *
+ * @param {Array} rows Preview rows.
+ * @param {Array} existing Transactions already in the portfolio.
+ * @returns {Array} Preview rows with a `duplicate` flag.
+ */
+export function markDuplicates(rows, existing = []) {
+  const counts = {};
+  for (const tx of existing) {
+    const key = transactionKey(tx);
+    counts[key] = (counts[key] ?? 0) + 1;
+  }
+  return rows.map((row) => {
+    if (!row.tx || row.ignored || row.valuation) return { ...row, duplicate: false };
+    const key = transactionKey(row.tx);
+    const duplicate = counts[key] > 0;
+    if (duplicate) counts[key] -= 1;
+    return { ...row, duplicate };
+  });
+}
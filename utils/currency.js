@@ -0,0 +1,173 @@
+/**
+ * Currencies and FX conversion.
+ *
+ * Transactions are recorded in the currency they were paid in (`currency`,
+ * EUR when absent), while market prices, manual prices and daily closes are
+ * all in EUR. Everything is converted to the reporting currency chosen in
+ * the settings before any computation: transaction amounts at the rate of
+ * their date, market prices at the rate of the day they are quoted, so the
+ * amounts invested stay what they were worth when they were paid.
+ *
+ * Rates are the ECB reference rates served by the Frankfurter API, as units
+ * of each currency per 1 EUR, fetched once a day and cached in localStorage
+ * under `wavDcaFxRates`. USDT and USDC purchases are recorded in USD.
+ */
+
+import { createPriceLookup } from './priceHistory';
+
+/** Supported currencies and their symbols. */
+export const CURRENCIES = {
+  EUR: '€',
+  USD: '$',
+  CHF: 'CHF',
+};
+
+export const BASE_CURRENCY = 'EUR';
+
+const CACHE_KEY = 'wavDcaFxRates';
+const CACHE_TTL = 24 * 60 * 60 * 1000; // 1 day
+
+/**
+ * Formats an amount with the symbol of its currency, e.g. "1 234,56 €".
+ *
+ * @param {number} value Amount.
+ * @param {string} [currency] Currency code, EUR by default.
+ * @param {object} [options] `toLocaleString` options, 2 decimals by default.
+ * @returns {string}
+ */
+export function formatMoney(value, currency = BASE_CURRENCY, options) {
+  const number = value.toLocaleString('fr-FR', options ?? { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return `${number} ${CURRENCIES[currency] ?? currency}`;
+}
+
+/**
+ * Returns the daily EUR reference rates of the other supported currencies
+ * since the given date, from the cache when it is fresh and covers the
+ * range. A failed fetch falls back to the cached rates, even stale ones.
+ *
+ * @param {string} since Earliest date needed ('YYYY-MM-DD').
+ * @returns {Promise<Record<string, Record<string, number>>>} Units of each
+ *          currency per EUR, per date.
+ */
+export async function fetchFxRates(since) {
+  let cache = null;
+  try {
+    const stored = localStorage.getItem(CACHE_KEY);
+    cache = stored ? JSON.parse(stored) : null;
+  } catch (err) {
+    cache = null;
+  }
+  if (cache && cache.from <= since && Date.now() - cache.fetchedAt < CACHE_TTL) return cache.rates;
+  const symbols = Object.keys(CURRENCIES).filter((c) => c !== BASE_CURRENCY);
+  try {
+    const res = await fetch(`https://api.frankfurter.app/${since}..?from=${BASE_CURRENCY}&to=${symbols.join(',')}`);
+    if (!res.ok) {
+      throw new Error(`Frankfurter a répondu ${res.status}`);
+    }
+    const data = await res.json();
+    const rates = Object.fromEntries(symbols.map((c) => [c, {}]));
+    for (const [date, day] of Object.entries(data.rates || {})) {
+      for (const c of symbols) {
+        if (day[c]) rates[c][date] = day[c];
+      }
+    }
+    try {
+      localStorage.setItem(CACHE_KEY, JSON.stringify({ from: since, fetchedAt: Date.now(), rates }));
+    } catch (err) {
+      console.error('Erreur lors de la sauvegarde des taux de change :', err);
+    }
+    return rates;
+  } catch (err) {
+    console.error('Impossible de récupérer les taux de change :', err);
+    return cache ? cache.rates : {};
+  }
+}
+
+/**
+ * Builds a conversion rate lookup from daily EUR rates. The rate on a date
+ * is the last one published on or before it; before the first one, the
+ * first one is used.
+ *
+ * @param {Record<string, Record<string, number>>} rates Result of `fetchFxRates`.
+ * @returns {(from: string, to: string, date: string) => number | undefined}
+ *          Multiplier converting an amount in `from` to `to`, or `undefined`
+ *          when a rate is missing.
+ */
+export function createFxLookup(rates = {}) {
+  const lookup = createPriceLookup(rates);
+  const firstRate = {};
+  for (const c of Object.keys(rates)) {
+    const dates = Object.keys(rates[c]).sort();
+    if (dates.length > 0) firstRate[c] = rates[c][dates[0]];
+  }
+  const perEur = (currency, date) =>
+    currency === BASE_CURRENCY ? 1 : lookup(currency, date) ?? firstRate[currency];
+  return (from = BASE_CURRENCY, to = BASE_CURRENCY, date) => {
+    if (from === to) return 1;
+    const a = perEur(from, date);
+    const b = perEur(to, date);
+    return a && b ? b / a : undefined;
+  };
+}
+
+/**
+ * Converts transactions to a currency at the rate of their date: the price,
+ * a fee paid in cash and, for cash movements in another currency, the unit
+ * value. Transactions whose rate is missing are kept unconverted and
+ * counted.
+ *
+ * @param {Array} transactions List of transactions.
+ * @param {string} currency Target currency.
+ * @param {Function} fxAt Rate lookup from `createFxLookup`.
+ * @returns {{ transactions: Array, missing: number }}
+ */
+export function convertTransactions(transactions, currency, fxAt) {
+  let missing = 0;
+  const converted = transactions.map((tx) => {
+    const from = tx.currency || BASE_CURRENCY;
+    if (from === currency) return tx;
+    const rate = fxAt(from, currency, tx.date);
+    if (rate === undefined) {
+      missing += 1;
+      return tx;
+    }
+    const next = { ...tx, price: tx.price * rate, currency };
+    if (tx.fee && !(tx.feeAsset && tx.feeAsset === tx.asset)) next.fee = tx.fee * rate;
+    return next;
+  });
+  return { transactions: converted, missing };
+}
+
+/**
+ * Converts EUR prices to a currency at the rate of a date.
+ *
+ * @param {Record<string, number>} prices Price per asset in EUR.
+ * @param {string} currency Target currency.
+ * @param {Function} fxAt Rate lookup from `createFxLookup`.
+ * @param {string} date ISO date of the prices.
+ * @returns {Record<string, number>} Prices in `currency`, or the EUR prices
+ *          when the rate is missing.
+ */
+export function convertPrices(prices, currency, fxAt, date) {
+  const rate = fxAt(BASE_CURRENCY, currency, date);
+  if (rate === undefined || rate === 1) return prices;
+  return Object.fromEntries(Object.entries(prices).map(([asset, price]) => [asset, price * rate]));
+}
+
+/**
+ * Wraps a EUR price lookup so it answers in another currency, each close
+ * converted at the rate of its date.
+ *
+ * @param {(asset: string, date: string) => number | undefined} priceAt EUR price lookup.
+ * @param {string} currency Target currency.
+ * @param {Function} fxAt Rate lookup from `createFxLookup`.
+ * @returns {(asset: string, date: string) => number | undefined}
+ */
+export function convertPriceLookup(priceAt, currency, fxAt) {
+  if (currency === BASE_CURRENCY) return priceAt;
+  return (asset, date) => {
+    const price = priceAt(asset, date);
+    const rate = fxAt(BASE_CURRENCY, currency, date);
+    return price === undefined || rate === undefined ? undefined : price * rate;
+  };
+}
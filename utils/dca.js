@@ -0,0 +1,166 @@
+/**
+ * Recurring DCA plans.
+ *
+ * A plan schedules purchases of a fixed amount, in the reporting currency
+ * of the portfolio:
+ *   {
+ *     id: string,
+ *     asset: 'BTC' | ...,
+ *     amount: number,        // amount spent per purchase
+ *     platform: string,
+ *     frequency: 'DAILY' | 'WEEKLY' | 'BIWEEKLY' | 'MONTHLY',
+ *     startDate: 'YYYY-MM-DD',
+ *     endDate?: 'YYYY-MM-DD',
+ *     skipped?: string[]     // occurrences deliberately not bought
+ *   }
+ *
+ * Occurrences are not stored: they are derived from the schedule. Confirming
+ * an occurrence records a regular BUY transaction carrying `planId` and
+ * `planDate` (the scheduled date), which is how occurrences are matched to
+ * what was actually bought. Dates are handled as UTC ISO dates.
+ */
+
+import { splitFee } from './finance';
+
+/** Plan frequencies and their labels. */
+export const DCA_FREQUENCIES = {
+  DAILY: 'Quotidienne',
+  WEEKLY: 'Hebdomadaire',
+  BIWEEKLY: 'Toutes les deux semaines',
+  MONTHLY: 'Mensuelle',
+};
+
+/** Occurrence statuses and their labels. */
+export const OCCURRENCE_STATUSES = {
+  DONE: 'Effectué',
+  SKIPPED: 'Ignoré',
+  MISSED: 'Manqué',
+  DUE: "Aujourd'hui",
+  UPCOMING: 'À venir',
+};
+
+const toIso = (date) => date.toISOString().slice(0, 10);
+const parseIso = (iso) => new Date(`${iso}T00:00:00Z`);
+
+// Date of the n-th occurrence after the start. Monthly plans keep the day
+// of the month of the start date, or the last day of shorter months.
+function nthOccurrence(start, frequency, n) {
+  const date = parseIso(start);
+  if (frequency === 'MONTHLY') {
+    const day = date.getUTCDate();
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + n;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return toIso(new Date(Date.UTC(year, month, Math.min(day, lastDay))));
+  }
+  const step = { DAILY: 1, WEEKLY: 7, BIWEEKLY: 14 }[frequency];
+  date.setUTCDate(date.getUTCDate() + step * n);
+  return toIso(date);
+}
+
+/**
+ * Lists the scheduled dates of a plan up to a date (included), bounded by
+ * the plan's end date.
+ *
+ * @param {object} plan DCA plan.
+ * @param {string} until Last date to include ('YYYY-MM-DD').
+ * @returns {string[]} ISO dates, oldest first.
+ */
+export function planOccurrences(plan, until) {
+  const last = plan.endDate && plan.endDate < until ? plan.endDate : until;
+  const dates = [];
+  for (let n = 0; ; n++) {
+    const date = nthOccurrence(plan.startDate, plan.frequency, n);
+    if (date > last) break;
+    dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Status of each occurrence of a plan: past ones are done (a transaction is
+ * linked to them), skipped or missed; today's is due; and the next
+ * `upcoming` ones are listed ahead.
+ *
+ * @param {object} plan DCA plan.
+ * @param {Array} transactions List of transactions.
+ * @param {string} today Current date ('YYYY-MM-DD').
+ * @param {number} [upcoming] Number of future occurrences to include.
+ * @returns {Array<{date: string, status: string, tx?: object}>} Oldest first.
+ */
+export function planSchedule(plan, transactions, today, upcoming = 3) {
+  const linked = {};
+  for (const tx of transactions) {
+    if (tx.planId === plan.id && tx.planDate) linked[tx.planDate] = tx;
+  }
+  const skipped = new Set(plan.skipped || []);
+  const past = planOccurrences(plan, today);
+  const schedule = past.map((date) => {
+    if (linked[date]) return { date, status: 'DONE', tx: linked[date] };
+    if (skipped.has(date)) return { date, status: 'SKIPPED' };
+    return { date, status: date === today ? 'DUE' : 'MISSED' };
+  });
+  for (let n = past.length; n < past.length + upcoming; n++) {
+    const date = nthOccurrence(plan.startDate, plan.frequency, n);
+    if (plan.endDate && date > plan.endDate) break;
+    if (date > today) schedule.push({ date, status: 'UPCOMING' });
+  }
+  return schedule;
+}
+
+/**
+ * Compares what a plan scheduled up to today with what was bought.
+ * Purchases are added up as they are: convert them to the currency of the
+ * plan amount first (`convertTransactions` in currency.js).
+ *
+ * @param {object} plan DCA plan.
+ * @param {Array} transactions List of transactions, in one currency.
+ * @param {string} today Current date ('YYYY-MM-DD').
+ * @returns {{ scheduled: number, done: number, skipped: number, missed: number, plannedInvested: number, actualInvested: number, quantity: number, rate: number }}
+ *          `rate` is the share of scheduled occurrences actually bought.
+ */
+export function planAdherence(plan, transactions, today) {
+  const schedule = planSchedule(plan, transactions, today, 0);
+  const result = {
+    scheduled: schedule.length,
+    done: 0,
+    skipped: 0,
+    missed: 0,
+    plannedInvested: schedule.length * plan.amount,
+    actualInvested: 0,
+    quantity: 0,
+    rate: 0,
+  };
+  for (const occurrence of schedule) {
+    if (occurrence.status === 'DONE') {
+      const { tx } = occurrence;
+      result.done += 1;
+      result.actualInvested += tx.price * tx.quantity + splitFee(tx).feeEur;
+      result.quantity += tx.quantity;
+    } else if (occurrence.status === 'SKIPPED') {
+      result.skipped += 1;
+    } else if (occurrence.status === 'MISSED') {
+      result.missed += 1;
+    }
+  }
+  result.rate = result.scheduled > 0 ? result.done / result.scheduled : 0;
+  return result;
+}
+
+/**
+ * Checks a plan before saving it.
+ *
+ * @param {object} plan DCA plan.
+ * @returns {string[]} Error messages, empty when the plan is valid.
+ */
+export function validatePlan(plan) {
+  const errors = [];
+  const isDate = (d) => typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d) && !isNaN(parseIso(d));
+  if (!plan.asset) errors.push('Actif manquant');
+  if (typeof plan.amount !== 'number' || !(plan.amount > 0)) errors.push('Montant invalide');
+  if (!plan.platform) errors.push('Plateforme manquante');
+  if (!DCA_FREQUENCIES[plan.frequency]) errors.push('Fréquence inconnue');
+  if (!isDate(plan.startDate)) errors.push('Date de début invalide');
+  if (plan.endDate && (!isDate(plan.endDate) || plan.endDate < plan.startDate)) errors.push('Date de fin invalide');
+  return errors;
+}
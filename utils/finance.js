@@ -4,60 +4,457 @@
  * These helpers operate on an array of transaction objects. A transaction has
  * the shape:
  *   {
+ *     id: string,           // stable unique id, see createTransactionId
  *     date: 'YYYY-MM-DD',
  *     platform: 'Crypto.com' | 'Bitget' | ...,
  *     asset: 'BTC' | 'ETH' | ...,
- *     type: 'BUY' | 'SELL',
- *     price: number,        // price per unit in EUR
- *     quantity: number      // number of units bought or sold
+ *     type: 'BUY' | 'SELL' | 'SWAP' | 'DEPOSIT' | 'WITHDRAWAL' | 'TRANSFER'
+ *           | 'REWARD' | 'STAKING' | 'AIRDROP',
+ *     price: number,        // price per unit in `currency`
+ *     quantity: number,     // number of units bought or sold
+ *     currency?: string,    // currency paid in, see CURRENCIES; EUR when absent
+ *     fee?: number,         // trading fee, 0 when absent
+ *     feeAsset?: string,    // the currency (default) or the traded asset
+ *     toPlatform?: string,  // TRANSFER only: destination platform
+ *     toAsset?: string,     // SWAP only: asset received
+ *     toQuantity?: number,  // SWAP only: units received
+ *     costBasis?: 'MARKET' | 'ZERO' // rewards/airdrops only, default MARKET
  *   }
  *
+ * Fiat deposits and withdrawals use the currency as `asset` (e.g. 'EUR'),
+ * `price: 1` and the amount as `quantity`; they move cash, not positions, so
+ * `computePnL` ignores them.
+ *
+ * The functions below expect every transaction in the same currency: convert
+ * them first with `convertTransactions` (see currency.js) when they aren't.
+ *
+ * A SWAP exchanges `quantity` units of `asset` for `toQuantity` units of
+ * `toAsset`; `price` is the EUR value of one unit given, so the EUR value of
+ * the swap is `price * quantity`. It closes lots of the source asset and
+ * opens a lot of the destination asset at that value. A fee in the source
+ * asset adds to the units given.
+ *
+ * A TRANSFER moves `quantity` units from `platform` to `toPlatform`; a fee in
+ * the asset is deducted from the units received. Rewards (REWARD, STAKING)
+ * and airdrops (AIRDROP) record the market price at receipt as `price` and
+ * open a lot at that price, or at zero cost with `costBasis: 'ZERO'`.
+ *
+ * Fees are part of the cost basis: a fee in EUR adds to the cost of a
+ * purchase and is deducted from the proceeds of a sale, while a fee in the
+ * asset reduces the units received on a purchase or adds to the units given
+ * up on a sale.
+ *
  * The functions below assume dates are ISO strings and rely on the order
- * of transactions to compute FIFO for realized gains/losses.
+ * of transactions to match sales against purchase lots for realized
+ * gains/losses, using one of the COST_BASIS_METHODS (FIFO by default).
+ */
+
+import { CURRENCIES } from './currency';
+
+/**
+ * Transaction types and their labels.
  */
+export const TRANSACTION_TYPES = {
+  BUY: 'Achat',
+  SELL: 'Vente',
+  SWAP: 'Échange',
+  DEPOSIT: 'Dépôt',
+  WITHDRAWAL: 'Retrait',
+  TRANSFER: 'Transfert',
+  REWARD: 'Récompense',
+  STAKING: 'Staking',
+  AIRDROP: 'Airdrop',
+};
+
+/**
+ * Cost-basis options for rewards and airdrops and their labels.
+ */
+export const INCOME_COST_BASIS = {
+  MARKET: 'Valeur de marché à la réception',
+  ZERO: 'Coût nul',
+};
+
+/**
+ * Platforms offered when entering or importing transactions.
+ */
+export const PLATFORMS = ['Crypto.com', 'Bitget', 'Wallet', 'Autre'];
+
+/**
+ * Whether a transaction moves fiat cash rather than a position.
+ *
+ * @param {object} tx Transaction.
+ * @returns {boolean}
+ */
+export function isCashTransaction(tx) {
+  return tx.type === 'DEPOSIT' || tx.type === 'WITHDRAWAL';
+}
+
+/**
+ * Whether a transaction credits units received for free (rewards, staking,
+ * airdrops).
+ *
+ * @param {object} tx Transaction.
+ * @returns {boolean}
+ */
+export function isIncomeTransaction(tx) {
+  return tx.type === 'REWARD' || tx.type === 'STAKING' || tx.type === 'AIRDROP';
+}
+
+/**
+ * Generates a unique transaction id.
+ *
+ * @returns {string}
+ */
+export function createTransactionId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Gives an id to the transactions missing one, or sharing one with an
+ * earlier transaction of the list. Entries that aren't objects are kept
+ * as they are.
+ *
+ * @param {Array} transactions List of transactions.
+ * @returns {Array} Transactions, unchanged when they all have a unique id.
+ */
+export function ensureTransactionIds(transactions = []) {
+  const seen = new Set();
+  let changed = false;
+  const result = transactions.map((tx) => {
+    if (!tx || typeof tx !== 'object') return tx;
+    if (tx.id && !seen.has(tx.id)) {
+      seen.add(tx.id);
+      return tx;
+    }
+    changed = true;
+    const id = createTransactionId();
+    seen.add(id);
+    return { ...tx, id };
+  });
+  return changed ? result : transactions;
+}
+
+/**
+ * Checks that a transaction has the fields its type requires, e.g. before
+ * merging imported transactions.
+ *
+ * @param {object} tx Transaction.
+ * @returns {string[]} Error messages, empty when the transaction is valid.
+ */
+export function validateTransaction(tx) {
+  const errors = [];
+  const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+  if (!tx || typeof tx !== 'object') return ['Transaction invalide'];
+  if (!TRANSACTION_TYPES[tx.type]) errors.push(`Type inconnu : ${tx.type ?? '(vide)'}`);
+  if (typeof tx.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(tx.date) || isNaN(new Date(tx.date))) {
+    errors.push(`Date invalide : ${tx.date ?? '(vide)'}`);
+  }
+  if (!tx.platform) errors.push('Plateforme manquante');
+  if (!tx.asset) errors.push('Actif manquant');
+  if (tx.currency !== undefined && !CURRENCIES[tx.currency]) errors.push(`Devise inconnue : ${tx.currency}`);
+  if (!isNumber(tx.quantity) || tx.quantity <= 0) errors.push('Quantité invalide');
+  if (!isNumber(tx.price) || tx.price < 0) errors.push('Prix invalide');
+  if (tx.fee !== undefined && (!isNumber(tx.fee) || tx.fee < 0)) errors.push('Frais invalides');
+  if (tx.type === 'TRANSFER' && (!tx.toPlatform || tx.toPlatform === tx.platform)) {
+    errors.push('Plateforme de destination invalide');
+  }
+  if (tx.type === 'SWAP') {
+    if (!tx.toAsset) errors.push('Actif reçu manquant');
+    if (!isNumber(tx.toQuantity) || tx.toQuantity <= 0) errors.push('Quantité reçue invalide');
+  }
+  return errors;
+}
+
+/**
+ * Lists the assets traded in a set of transactions, without fiat cash.
+ *
+ * @param {Array} transactions List of transaction objects.
+ * @returns {string[]} Asset symbols, sorted.
+ */
+export function listAssets(transactions = []) {
+  const assets = new Set();
+  for (const tx of transactions) {
+    if (isCashTransaction(tx)) continue;
+    assets.add(tx.asset);
+    if (tx.type === 'SWAP') assets.add(tx.toAsset);
+  }
+  return Array.from(assets).sort();
+}
+
+/**
+ * Splits the fee of a trade into its EUR and asset-denominated parts.
+ *
+ * @param {object} tx Transaction.
+ * @returns {{ feeEur: number, feeUnits: number }}
+ */
+export function splitFee(tx) {
+  const fee = tx.fee || 0;
+  if (tx.feeAsset && tx.feeAsset === tx.asset && !CURRENCIES[tx.feeAsset]) {
+    return { feeEur: 0, feeUnits: fee };
+  }
+  return { feeEur: fee, feeUnits: 0 };
+}
+
+/**
+ * Sums fiat deposits and withdrawals, overall and per platform.
+ *
+ * @param {Array} transactions List of transaction objects.
+ * @returns {{ deposited: number, withdrawn: number, net: number, byPlatform: Record<string, {deposited: number, withdrawn: number, net: number}> }}
+ */
+export function computeCashFlows(transactions = []) {
+  const flows = { deposited: 0, withdrawn: 0, net: 0, byPlatform: {} };
+  for (const tx of transactions) {
+    if (!isCashTransaction(tx)) continue;
+    const amount = tx.price * tx.quantity;
+    if (!flows.byPlatform[tx.platform]) {
+      flows.byPlatform[tx.platform] = { deposited: 0, withdrawn: 0, net: 0 };
+    }
+    const p = flows.byPlatform[tx.platform];
+    if (tx.type === 'DEPOSIT') {
+      flows.deposited += amount;
+      p.deposited += amount;
+    } else {
+      flows.withdrawn += amount;
+      p.withdrawn += amount;
+    }
+    p.net = p.deposited - p.withdrawn;
+  }
+  flows.net = flows.deposited - flows.withdrawn;
+  return flows;
+}
+
+/**
+ * Supported cost-basis methods and their labels.
+ */
+export const COST_BASIS_METHODS = {
+  FIFO: 'FIFO (premier entré, premier sorti)',
+  LIFO: 'LIFO (dernier entré, premier sorti)',
+  HIFO: 'HIFO (coût le plus élevé en premier)',
+  WAVG: 'Prix moyen pondéré',
+};
+
+/**
+ * Lists the units of each asset a transaction adds to or removes from each
+ * platform. Transfers move units from their source platform to
+ * `toPlatform`, minus any fee in the asset; cash movements move none.
+ *
+ * @param {object} tx Transaction.
+ * @returns {Array<{platform: string, asset: string, quantity: number}>}
+ *          Negative quantities leave the platform.
+ */
+export function transactionMovements(tx) {
+  if (isCashTransaction(tx)) return [];
+  const { feeUnits } = splitFee(tx);
+  const move = (platform, asset, quantity) => ({ platform, asset, quantity });
+  if (tx.type === 'BUY') return [move(tx.platform, tx.asset, tx.quantity - feeUnits)];
+  if (tx.type === 'SELL') return [move(tx.platform, tx.asset, -(tx.quantity + feeUnits))];
+  if (tx.type === 'SWAP') {
+    return [move(tx.platform, tx.asset, -(tx.quantity + feeUnits)), move(tx.platform, tx.toAsset, tx.toQuantity)];
+  }
+  if (tx.type === 'TRANSFER') {
+    return [move(tx.platform, tx.asset, -tx.quantity), move(tx.toPlatform, tx.asset, tx.quantity - feeUnits)];
+  }
+  if (isIncomeTransaction(tx)) return [move(tx.platform, tx.asset, tx.quantity)];
+  return [];
+}
+
+/**
+ * Computes the quantity of each asset held on each platform, see
+ * `transactionMovements`.
+ *
+ * @param {Array} transactions List of transaction objects.
+ * @returns {Record<string, Record<string, number>>} Quantities keyed by
+ *          platform, then by asset. Empty positions are omitted.
+ */
+export function computeHoldingsByPlatform(transactions = []) {
+  const holdings = {};
+  for (const tx of transactions) {
+    for (const { platform, asset, quantity } of transactionMovements(tx)) {
+      if (!holdings[platform]) holdings[platform] = {};
+      holdings[platform][asset] = (holdings[platform][asset] ?? 0) + quantity;
+    }
+  }
+  for (const platform of Object.keys(holdings)) {
+    for (const asset of Object.keys(holdings[platform])) {
+      if (Math.abs(holdings[platform][asset]) <= 1e-8) delete holdings[platform][asset];
+    }
+    if (Object.keys(holdings[platform]).length === 0) delete holdings[platform];
+  }
+  return holdings;
+}
+
+// Order of the transactions of a same day: units come in before they go
+// out, so a sale can use a purchase of the same day
+const SAME_DAY_RANK = {
+  DEPOSIT: 0,
+  BUY: 0,
+  REWARD: 0,
+  STAKING: 0,
+  AIRDROP: 0,
+  TRANSFER: 1,
+  SWAP: 2,
+  SELL: 2,
+  WITHDRAWAL: 2,
+};
+
+/**
+ * Sorts transactions chronologically. Transactions have no time of day:
+ * on a same date, acquisitions come before transfers, then disposals
+ * (sales, swaps, withdrawals), then the list order is kept.
+ *
+ * @param {Array} transactions List of transactions.
+ * @returns {Array} A sorted copy.
+ */
+export function sortTransactions(transactions = []) {
+  return [...transactions].sort(
+    (a, b) =>
+      (a.date < b.date ? -1 : a.date > b.date ? 1 : 0) || (SAME_DAY_RANK[a.type] ?? 1) - (SAME_DAY_RANK[b.type] ?? 1)
+  );
+}
+
+/**
+ * Returns the index of the lot a sale should consume next.
+ *
+ * @param {Array<{quantity: number, price: number}>} lots Open lots, oldest first.
+ * @param {string} method One of the COST_BASIS_METHODS keys (except WAVG).
+ * @returns {number}
+ */
+function nextLotIndex(lots, method) {
+  if (method === 'LIFO') return lots.length - 1;
+  if (method === 'HIFO') {
+    let best = 0;
+    for (let i = 1; i < lots.length; i++) {
+      if (lots[i].price > lots[best].price) best = i;
+    }
+    return best;
+  }
+  return 0;
+}
 
 /**
  * Computes per‑asset realised/unrealised PnL, invested capital, and
- * other metrics using FIFO cost basis.
+ * other metrics using the chosen cost-basis method. Fees are included in the
+ * cost basis and realised PnL; deposits and withdrawals are skipped, and
+ * transfers between platforms leave lots untouched.
+ *
+ * With FIFO, LIFO and HIFO a sale consumes whole lots in the corresponding
+ * order. With the weighted average (WAVG) a sale is matched against the
+ * average cost of all open lots, which are reduced pro rata so the average
+ * cost is unchanged.
  *
  * @param {Array} transactions List of transaction objects.
  * @param {Record<string, number>} prices Current price per asset (EUR).
+ * @param {{ method?: string }} [options] Cost-basis method, one of the
+ *        COST_BASIS_METHODS keys (defaults to FIFO).
  * @returns {Record<string, object>} A map keyed by asset symbol containing
  *          quantity, invested, currentPrice, value, realised, unrealised,
- *          total PnL, average cost, and PnL percentage.
+ *          total PnL, average cost, PnL percentage, fees paid in EUR, market
+ *          value of rewards and airdrops received (`income`), whether a
+ *          price was available (`priced`), the units disposed of beyond
+ *          the units held (`oversold`, see integrity.js), and the open lots
+ *          left by the method (`lots`, `{ date, quantity, price }` with the
+ *          unit cost, oldest first). Unpriced assets are valued at 0.
  */
-export function computePnL(transactions = [], prices = {}) {
+export function computePnL(transactions = [], prices = {}, { method = 'FIFO' } = {}) {
   const result = {};
   const lotsByAsset = {};
   const realisedByAsset = {};
+  const feesByAsset = {};
+  const incomeByAsset = {};
+  const oversoldByAsset = {};
 
-  // Sort transactions chronologically to correctly apply FIFO when selling
-  const sorted = [...transactions].sort((a, b) => new Date(a.date) - new Date(b.date));
+  // Sort transactions chronologically to match sales against earlier lots
+  const sorted = sortTransactions(transactions);
 
-  for (const tx of sorted) {
-    const { asset, type, price, quantity } = tx;
+  // Remove units from an asset's lots at the given price per unit (net of
+  // fees) and book the realised PnL
+  const dispose = (asset, quantity, price) => {
+    if (method === 'WAVG') {
+      // Match against the average cost and shrink every lot pro rata
+      const lots = lotsByAsset[asset];
+      const held = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+      if (quantity - held > 1e-8) oversoldByAsset[asset] += quantity - held;
+      if (held > 0) {
+        const cost = lots.reduce((sum, lot) => sum + lot.quantity * lot.price, 0);
+        const sellQty = Math.min(quantity, held);
+        realisedByAsset[asset] += sellQty * (price - cost / held);
+        const ratio = 1 - sellQty / held;
+        for (const lot of lots) lot.quantity *= ratio;
+        lotsByAsset[asset] = lots.filter((lot) => lot.quantity > 1e-8);
+      }
+      return;
+    }
+    // Remove from purchase lots in the method's order and compute realised PnL
+    let qtyToSell = quantity;
+    const lots = lotsByAsset[asset];
+    while (qtyToSell > 0 && lots.length > 0) {
+      const index = nextLotIndex(lots, method);
+      const lot = lots[index];
+      const sellQty = Math.min(lot.quantity, qtyToSell);
+      realisedByAsset[asset] += sellQty * (price - lot.price);
+      lot.quantity -= sellQty;
+      qtyToSell -= sellQty;
+      if (lot.quantity <= 1e-8) {
+        lots.splice(index, 1);
+      }
+    }
+    // Units sold beyond the lots held have no cost basis: they are left out
+    // of the realised PnL and reported as oversold
+    if (qtyToSell > 1e-8) oversoldByAsset[asset] += qtyToSell;
+  };
+
+  const initAsset = (asset) => {
     if (!lotsByAsset[asset]) lotsByAsset[asset] = [];
     if (!realisedByAsset[asset]) realisedByAsset[asset] = 0;
+    if (!feesByAsset[asset]) feesByAsset[asset] = 0;
+    if (!incomeByAsset[asset]) incomeByAsset[asset] = 0;
+    if (!oversoldByAsset[asset]) oversoldByAsset[asset] = 0;
+  };
+
+  for (const tx of sorted) {
+    if (isCashTransaction(tx)) continue;
+    const { asset, type } = tx;
+    initAsset(asset);
+
+    // Fold fees into the units exchanged and the price per unit
+    const { feeEur, feeUnits } = splitFee(tx);
+    feesByAsset[asset] += feeEur + feeUnits * tx.price;
 
     if (type === 'BUY') {
       // Add a new purchase lot
-      lotsByAsset[asset].push({ quantity, price });
+      const quantity = tx.quantity - feeUnits;
+      const price = quantity > 0 ? (tx.price * tx.quantity + feeEur) / quantity : 0;
+      if (quantity > 0) lotsByAsset[asset].push({ quantity, price, date: tx.date });
+    } else if (isIncomeTransaction(tx)) {
+      // Rewards and airdrops open a lot at zero cost or at their market value
+      incomeByAsset[asset] += tx.price * tx.quantity;
+      const price = tx.costBasis === 'ZERO' ? 0 : tx.price;
+      if (tx.quantity > 0) lotsByAsset[asset].push({ quantity: tx.quantity, price, date: tx.date });
     } else if (type === 'SELL') {
-      // Remove from purchase lots using FIFO and compute realised PnL
-      let qtyToSell = quantity;
-      const lots = lotsByAsset[asset];
-      while (qtyToSell > 0 && lots.length > 0) {
-        const lot = lots[0];
-        const sellQty = Math.min(lot.quantity, qtyToSell);
-        realisedByAsset[asset] += sellQty * (price - lot.price);
-        lot.quantity -= sellQty;
-        qtyToSell -= sellQty;
-        if (lot.quantity <= 1e-8) {
-          lots.shift();
-        }
+      const quantity = tx.quantity + feeUnits;
+      dispose(asset, quantity, (tx.price * tx.quantity - feeEur) / quantity);
+    } else if (type === 'SWAP') {
+      // Close lots of the source asset at the swap value, then open a lot of
+      // the destination asset at that same value
+      const value = tx.price * tx.quantity;
+      const quantity = tx.quantity + feeUnits;
+      dispose(asset, quantity, (value - feeEur) / quantity);
+      initAsset(tx.toAsset);
+      if (tx.toQuantity > 0) {
+        lotsByAsset[tx.toAsset].push({ quantity: tx.toQuantity, price: value / tx.toQuantity, date: tx.date });
+      }
+    } else if (type === 'TRANSFER') {
+      // Moving units between platforms keeps every lot and its date; only a
+      // network fee paid in the asset leaves the portfolio, with no proceeds.
+      // Its cost, booked as a realised loss, is also reported as a fee.
+      if (feeUnits > 0) {
+        const before = realisedByAsset[asset];
+        dispose(asset, feeUnits, 0);
+        feesByAsset[asset] += before - realisedByAsset[asset];
       }
-      // If there are not enough lots (e.g. user sells more than they own), the
-      // remainder is ignored. In a real app you'd want to handle this better.
     }
   }
 
@@ -66,6 +463,7 @@ export function computePnL(transactions = [], prices = {}) {
     const lots = lotsByAsset[asset];
     const totalQty = lots.reduce((sum, lot) => sum + lot.quantity, 0);
     const invested = lots.reduce((sum, lot) => sum + lot.quantity * lot.price, 0);
+    const priced = prices[asset] !== undefined;
     const currentPrice = prices[asset] ?? 0;
     const value = currentPrice * totalQty;
     const realised = realisedByAsset[asset] ?? 0;
@@ -73,6 +471,8 @@ export function computePnL(transactions = [], prices = {}) {
     const pnl = realised + unrealised;
     const costAvg = totalQty > 0 ? invested / totalQty : 0;
     const pnlPercent = invested > 0 ? (pnl / invested) * 100 : null;
+    const fees = feesByAsset[asset] ?? 0;
+    const income = incomeByAsset[asset] ?? 0;
     result[asset] = {
       quantity: totalQty,
       invested,
@@ -83,6 +483,11 @@ export function computePnL(transactions = [], prices = {}) {
       pnl,
       costAvg,
       pnlPercent,
+      fees,
+      income,
+      priced,
+      oversold: oversoldByAsset[asset] ?? 0,
+      lots: lots.map((lot) => ({ ...lot })),
     };
   }
   return result;
@@ -93,7 +498,7 @@ export function computePnL(transactions = [], prices = {}) {
  *
  * @param {Record<string, object>} summary Map returned from computePnL.
  * @returns {Object} Totals for invested capital, current value, realised,
- *          unrealised, and total PnL across the whole portfolio.
+ *          unrealised, total PnL and fees across the whole portfolio.
  */
 export function computeTotals(summary = {}) {
   let invested = 0;
@@ -101,6 +506,7 @@ export function computeTotals(summary = {}) {
   let realised = 0;
   let unrealised = 0;
   let pnl = 0;
+  let fees = 0;
   for (const asset of Object.keys(summary)) {
     const s = summary[asset];
     invested += s.invested;
@@ -108,47 +514,126 @@ export function computeTotals(summary = {}) {
     realised += s.realised;
     unrealised += s.unrealised;
     pnl += s.pnl;
+    fees += s.fees ?? 0;
+  }
+  return { invested, value, realised, unrealised, pnl, fees };
+}
+
+/**
+ * Merges the summaries of several portfolios, produced by `computePnL` with
+ * the same currency, into one: amounts and quantities are added per asset,
+ * and the average cost and PnL percentage recomputed from the sums. An asset
+ * is priced only when it is priced in every portfolio holding it. Open lots
+ * are put together, oldest first.
+ *
+ * @param {Array<Record<string, object>>} summaries Maps returned from computePnL.
+ * @returns {Record<string, object>} Consolidated summary, same shape.
+ */
+export function mergeSummaries(summaries = []) {
+  const result = {};
+  const fields = ['quantity', 'invested', 'value', 'realised', 'unrealised', 'pnl', 'fees', 'income', 'oversold'];
+  for (const summary of summaries) {
+    for (const [asset, s] of Object.entries(summary)) {
+      const merged = result[asset];
+      if (!merged) {
+        result[asset] = { ...s };
+        continue;
+      }
+      for (const field of fields) merged[field] += s[field] ?? 0;
+      merged.lots = [...(merged.lots || []), ...(s.lots || [])].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+      merged.priced = merged.priced && s.priced;
+      if (!merged.currentPrice) merged.currentPrice = s.currentPrice;
+    }
   }
-  return { invested, value, realised, unrealised, pnl };
+  for (const s of Object.values(result)) {
+    s.costAvg = s.quantity > 0 ? s.invested / s.quantity : 0;
+    s.pnlPercent = s.invested > 0 ? (s.pnl / s.invested) * 100 : null;
+  }
+  return result;
 }
 
 /**
- * Computes an approximate month‑by‑month history of the portfolio. This
- * implementation uses current prices for every month, so it's a rough
- * approximation intended primarily for visualisation. For real historical
- * analysis you'd fetch historical prices per date.
+ * Returns the date at which a month is valued: its last day, or today for
+ * the current month.
+ *
+ * @param {string} month Month in 'YYYY-MM' format.
+ * @returns {string} ISO date ('YYYY-MM-DD').
+ */
+function valuationDate(month) {
+  const [year, m] = month.split('-').map(Number);
+  const monthEnd = new Date(Date.UTC(year, m, 0)).toISOString().slice(0, 10);
+  const today = new Date().toISOString().slice(0, 10);
+  return monthEnd < today ? monthEnd : today;
+}
+
+/**
+ * Computes a month‑by‑month history of the portfolio. Each past month is
+ * valued with the closing prices of its last day, as returned by `priceAt`;
+ * the current month uses current prices. When no historical price is known
+ * for an asset the current price is used instead and the month is flagged as
+ * `estimated`.
  *
  * The monthly return is estimated as the change in total portfolio value
  * (including realised profits) minus new capital contributions, divided by
- * the previous portfolio value. Returns are expressed as a fraction (e.g. 0.05
+ * the previous portfolio value. Returns are expressed as a percentage (e.g. 5
  * for +5%).
  *
+ * Each month also carries the value of each asset held (`assets`) and the
+ * net capital contributed so far (`contributed`): the cost of purchases,
+ * fees included, minus the net proceeds of sales, as the external cash
+ * flows of performance.js.
+ *
  * @param {Array} transactions List of transactions.
  * @param {Record<string, number>} prices Current price per asset.
- * @returns {Array<{month: string, invested: number, value: number, realised: number, unrealised: number, pnl: number, return: number}>}
+ * @param {(asset: string, date: string) => number | undefined} [priceAt]
+ *        Historical price lookup, see `createPriceLookup` in priceHistory.js.
+ * @param {{ method?: string }} [options] Options passed to `computePnL`.
+ * @returns {Array<{month: string, invested: number, value: number, realised: number, unrealised: number, pnl: number, return: number, estimated: boolean, assets: Record<string, number>, contributed: number}>}
  */
-export function computeMonthlyHistory(transactions = [], prices = {}) {
+export function computeMonthlyHistory(transactions = [], prices = {}, priceAt = () => undefined, options = {}) {
   // Determine the set of months present in the transactions (YYYY‑MM)
   const months = Array.from(
     new Set(transactions.map((tx) => tx.date.slice(0, 7)))
   ).sort();
+  const currentMonth = new Date().toISOString().slice(0, 7);
   const history = [];
   let prevPortfolioValue = 0;
   let prevInvested = 0;
+  let contributed = 0;
   for (const month of months) {
     // All transactions up to and including this month
     const uptoMonth = transactions.filter(
       (tx) => tx.date.slice(0, 7) <= month
     );
-    const summary = computePnL(uptoMonth, prices);
+    // Prices as of the end of the month, falling back to current prices
+    const date = valuationDate(month);
+    const monthPrices = {};
+    let estimated = false;
+    for (const asset of listAssets(uptoMonth)) {
+      const historical = month < currentMonth ? priceAt(asset, date) : undefined;
+      if (historical !== undefined) {
+        monthPrices[asset] = historical;
+      } else {
+        monthPrices[asset] = prices[asset] ?? 0;
+        if (month < currentMonth) estimated = true;
+      }
+    }
+    const summary = computePnL(uptoMonth, monthPrices, options);
     const totals = computeTotals(summary);
+    for (const tx of transactions) {
+      if (tx.date.slice(0, 7) !== month) continue;
+      const { feeEur } = splitFee(tx);
+      if (tx.type === 'BUY') contributed += tx.price * tx.quantity + feeEur;
+      else if (tx.type === 'SELL') contributed -= tx.price * tx.quantity - feeEur;
+    }
     // Portfolio value includes current holdings value plus realised PnL
     const portfolioValue = totals.value + totals.realised;
     // New capital contributions this period: invested increase since last month
     const newContrib = totals.invested - prevInvested;
     let periodReturn = 0;
     if (prevPortfolioValue > 0) {
-      // TWR approximation: (value change - net contributions) / prev value
+      // TWR approximation: (value change - net contributions) / prev value.
+      // See computePerformance in performance.js for the daily-chained TWR.
       periodReturn = (portfolioValue - prevPortfolioValue - newContrib) / prevPortfolioValue;
     }
     history.push({
@@ -159,9 +644,12 @@ export function computeMonthlyHistory(transactions = [], prices = {}) {
       unrealised: totals.unrealised,
       pnl: totals.pnl,
       return: periodReturn * 100,
+      estimated,
+      assets: Object.fromEntries(Object.entries(summary).map(([asset, s]) => [asset, s.value])),
+      contributed,
     });
     prevPortfolioValue = portfolioValue;
     prevInvested = totals.invested;
   }
   return history;
-}
\ No newline at end of file
+}
@@ -0,0 +1,142 @@
+/**
+ * Integrity checks on the transactions of a portfolio, listed in the
+ * integrity panel and run by the transaction form before saving.
+ *
+ * An issue is `{ code, severity, txId, message }`. Errors make the figures
+ * wrong: invalid transactions, and units disposed of that were never held,
+ * which `computePnL` can't give a cost basis (see `oversold`). Warnings
+ * are likely mistakes that can be right: a platform balance going below
+ * zero (e.g. a forgotten transfer), a future date, a zero price, or a
+ * sale that only works thanks to a purchase of the same day, as
+ * transactions have no time of day. Balances follow the order of
+ * `sortTransactions`.
+ */
+
+import {
+  TRANSACTION_TYPES,
+  validateTransaction,
+  transactionMovements,
+  sortTransactions,
+} from './finance';
+
+/** Kinds of issues and their labels. */
+export const INTEGRITY_CHECKS = {
+  INVALID: 'Transaction invalide',
+  OVERSELL: 'Cession sans unités détenues',
+  NEGATIVE_BALANCE: 'Solde négatif sur une plateforme',
+  FUTURE_DATE: 'Date future',
+  ZERO_PRICE: 'Prix nul',
+  SAME_DAY_ORDER: 'Ordre ambigu dans la journée',
+};
+
+// Quantities below this are rounding noise
+const EPSILON = 1e-8;
+
+// Id given to a new transaction while it is checked
+const NEW_ID = 'new';
+
+const formatQty = (qty) => qty.toLocaleString('fr-FR', { maximumFractionDigits: 8 });
+
+/**
+ * Checks a list of transactions.
+ *
+ * @param {Array} transactions List of transactions.
+ * @param {{ today?: string }} [options] Date of the day (YYYY-MM-DD),
+ *        defaults to the current date.
+ * @returns {Array<{code: string, severity: 'error'|'warning', txId: string, message: string}>}
+ *          Issues in chronological order of their transactions.
+ */
+export function checkIntegrity(transactions = [], { today = new Date().toISOString().slice(0, 10) } = {}) {
+  const issues = [];
+  const report = (tx, code, severity, message) => issues.push({ code, severity, txId: tx.id, message });
+  const valid = [];
+  for (const tx of transactions) {
+    const errors = validateTransaction(tx);
+    if (errors.length > 0) report(tx, 'INVALID', 'error', errors.join(', '));
+    else valid.push(tx);
+  }
+
+  // Units held overall, which can't go below zero, and per platform
+  const held = {};
+  const byPlatform = {};
+  // Units held at the start of the day being checked
+  let day = null;
+  let heldAtDayStart = {};
+
+  for (const tx of sortTransactions(valid)) {
+    const label = `${TRANSACTION_TYPES[tx.type]} du ${tx.date}`;
+    if (tx.date > today) {
+      report(tx, 'FUTURE_DATE', 'warning', `${label} : date dans le futur`);
+    }
+    if (['BUY', 'SELL', 'SWAP'].includes(tx.type) && tx.price === 0) {
+      report(tx, 'ZERO_PRICE', 'warning', `${label} : prix nul pour ${tx.asset}`);
+    }
+    if (tx.date !== day) {
+      day = tx.date;
+      heldAtDayStart = {};
+    }
+
+    const movements = transactionMovements(tx);
+    const oversold = new Set();
+    const change = {};
+    for (const { asset, quantity } of movements) change[asset] = (change[asset] ?? 0) + quantity;
+    for (const [asset, quantity] of Object.entries(change)) {
+      const before = held[asset] ?? 0;
+      if (!(asset in heldAtDayStart)) heldAtDayStart[asset] = before;
+      held[asset] = Math.max(0, before + quantity);
+      if (quantity >= 0) continue;
+      if (before + quantity < -EPSILON) {
+        oversold.add(asset);
+        report(
+          tx,
+          'OVERSELL',
+          'error',
+          `${label} : ${formatQty(-quantity)} ${asset} cédés pour ${formatQty(before)} détenus`
+        );
+      } else if (heldAtDayStart[asset] + quantity < -EPSILON) {
+        report(
+          tx,
+          'SAME_DAY_ORDER',
+          'warning',
+          `${label} : ${asset} acquis et cédés le même jour, l'acquisition est comptée en premier`
+        );
+      }
+    }
+
+    for (const { platform, asset, quantity } of movements) {
+      if (!byPlatform[platform]) byPlatform[platform] = {};
+      const before = byPlatform[platform][asset] ?? 0;
+      const after = before + quantity;
+      byPlatform[platform][asset] = after;
+      if (quantity < 0 && after < -EPSILON && before >= -EPSILON && !oversold.has(asset)) {
+        report(
+          tx,
+          'NEGATIVE_BALANCE',
+          'warning',
+          `${label} : solde de ${asset} négatif sur ${platform} (${formatQty(after)})`
+        );
+      }
+    }
+  }
+  return issues;
+}
+
+/**
+ * Lists the issues a new or edited transaction would bring to a list,
+ * leaving out those already there.
+ *
+ * @param {Array} transactions Current transactions.
+ * @param {object} tx Transaction to save; it replaces the transaction with
+ *        the same id, if any.
+ * @param {{ today?: string }} [options] See `checkIntegrity`.
+ * @returns {Array} Issues, see `checkIntegrity`.
+ */
+export function checkTransaction(transactions = [], tx, options) {
+  const candidate = tx.id ? tx : { ...tx, id: NEW_ID };
+  const next = transactions.some((t) => t.id === candidate.id)
+    ? transactions.map((t) => (t.id === candidate.id ? candidate : t))
+    : [...transactions, candidate];
+  const key = (issue) => `${issue.code}:${issue.txId}`;
+  const existing = new Set(checkIntegrity(transactions, options).map(key));
+  return checkIntegrity(next, options).filter((issue) => !existing.has(key(issue)));
+}
@@ -0,0 +1,129 @@
+/**
+ * Registry of manual prices, for presale and unlisted tokens.
+ *
+ * Stored per portfolio under `wavDcaManualPrices` as dated EUR price
+ * points, sorted by date (presale rounds, listing price...):
+ *
+ *   { SYMBOL: [{ date: 'YYYY-MM-DD', price: number, note?: string }] }
+ *
+ * The price of an asset on a date is its latest point on or before that
+ * date, and its current price its latest point. Once the asset is listed
+ * (see `isListed` in prices.js) the API takes over: its prices win, and
+ * the points only cover the dates before its history starts. Older
+ * versions stored a single `{ SYMBOL: number }` price per asset, read as
+ * one point dated of the day it is read.
+ */
+
+/**
+ * Reads a stored registry, upgrading single prices to a dated point and
+ * dropping invalid points.
+ *
+ * @param {*} value Stored value.
+ * @param {string} [today] Date given to single prices (YYYY-MM-DD).
+ * @returns {Record<string, Array<{date: string, price: number, note?: string}>>}
+ */
+export function normalizeManualPrices(value, today = new Date().toISOString().slice(0, 10)) {
+  const registry = {};
+  if (!value || typeof value !== 'object') return registry;
+  for (const [asset, entry] of Object.entries(value)) {
+    const points = typeof entry === 'number' ? [{ date: today, price: entry }] : entry;
+    if (!Array.isArray(points)) continue;
+    registry[asset.toUpperCase()] = points
+      .filter((point) => validatePricePoint(point).length === 0)
+      .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  }
+  return registry;
+}
+
+/**
+ * Checks a price point.
+ *
+ * @param {object} point Price point.
+ * @returns {string[]} Error messages in French, empty when valid.
+ */
+export function validatePricePoint(point) {
+  if (!point || typeof point !== 'object') return ['Point de prix invalide'];
+  const errors = [];
+  if (typeof point.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(point.date) || isNaN(new Date(point.date))) {
+    errors.push(`Date invalide : ${point.date ?? '(vide)'}`);
+  }
+  if (typeof point.price !== 'number' || !Number.isFinite(point.price) || point.price < 0) {
+    errors.push('Prix invalide');
+  }
+  if (point.note !== undefined && typeof point.note !== 'string') errors.push('Note invalide');
+  return errors;
+}
+
+/**
+ * Adds a price point to an asset, creating the asset if needed. A point
+ * already recorded on the same date is replaced.
+ *
+ * @param {object} registry Manual prices.
+ * @param {string} asset Asset symbol.
+ * @param {{date: string, price: number, note?: string}} point Price point.
+ * @returns {object} The new registry.
+ */
+export function addPricePoint(registry, asset, point) {
+  const symbol = asset.toUpperCase();
+  const points = (registry[symbol] || []).filter((p) => p.date !== point.date);
+  return normalizeManualPrices({ ...registry, [symbol]: [...points, point] });
+}
+
+/**
+ * Removes the price point of an asset on a date.
+ *
+ * @param {object} registry Manual prices.
+ * @param {string} asset Asset symbol.
+ * @param {string} date Date of the point.
+ * @returns {object} The new registry; the asset stays, possibly without
+ *          points.
+ */
+export function removePricePoint(registry, asset, date) {
+  return { ...registry, [asset]: (registry[asset] || []).filter((p) => p.date !== date) };
+}
+
+/**
+ * Removes an asset and all its points.
+ *
+ * @param {object} registry Manual prices.
+ * @param {string} asset Asset symbol.
+ * @returns {object} The new registry.
+ */
+export function removeManualAsset(registry, asset) {
+  const next = { ...registry };
+  delete next[asset];
+  return next;
+}
+
+/**
+ * Current price of each asset: its latest point. Assets without points are
+ * left out.
+ *
+ * @param {object} registry Manual prices.
+ * @returns {Record<string, number>}
+ */
+export function latestManualPrices(registry = {}) {
+  const prices = {};
+  for (const [asset, points] of Object.entries(registry)) {
+    if (points.length > 0) prices[asset] = points[points.length - 1].price;
+  }
+  return prices;
+}
+
+/**
+ * Adds the manual points to price series, as read by `createPriceLookup`
+ * in priceHistory.js. The series win on the dates they cover.
+ *
+ * @param {Record<string, Record<string, number>>} history Daily closes per
+ *        asset.
+ * @param {object} registry Manual prices.
+ * @returns {Record<string, Record<string, number>>}
+ */
+export function withManualHistory(history = {}, registry = {}) {
+  const merged = { ...history };
+  for (const [asset, points] of Object.entries(registry)) {
+    if (points.length === 0) continue;
+    merged[asset] = { ...Object.fromEntries(points.map((p) => [p.date, p.price])), ...history[asset] };
+  }
+  return merged;
+}
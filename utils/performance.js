@@ -0,0 +1,215 @@
+/**
+ * Performance analytics: time-weighted and money-weighted returns.
+ *
+ * External cash flows are what the investor puts into or takes out of the
+ * crypto portfolio: the EUR cost of purchases (fees included) flows in and
+ * the net proceeds of sales flow out. Rewards, airdrops, swaps and
+ * transfers move no outside money, so they only show up in the portfolio's
+ * value. Fiat deposits and withdrawals stay on the platform as cash and are
+ * not part of the portfolio.
+ *
+ * The time-weighted return (TWR) chains daily returns, each computed on the
+ * day's value net of that day's flows, so it measures the assets' performance
+ * regardless of when money was added. The money-weighted return (XIRR) is
+ * the annual rate that makes the dated flows and the current value net to
+ * zero, so it reflects the timing of the investor's own contributions.
+ */
+
+import { isIncomeTransaction, splitFee } from './finance';
+
+const DAY = 86400000;
+const toIso = (date) => date.toISOString().slice(0, 10);
+
+// Updates holdings with a transaction and returns its external cash flow
+// (positive when money comes into the portfolio)
+function applyTransaction(holdings, tx) {
+  const { asset, type, price, quantity } = tx;
+  const { feeEur, feeUnits } = splitFee(tx);
+  if (type === 'BUY') {
+    holdings[asset] = (holdings[asset] ?? 0) + quantity - feeUnits;
+    return price * quantity + feeEur;
+  }
+  if (type === 'SELL') {
+    holdings[asset] = (holdings[asset] ?? 0) - quantity - feeUnits;
+    return -(price * quantity - feeEur);
+  }
+  if (type === 'SWAP') {
+    holdings[asset] = (holdings[asset] ?? 0) - quantity - feeUnits;
+    holdings[tx.toAsset] = (holdings[tx.toAsset] ?? 0) + tx.toQuantity;
+  } else if (type === 'TRANSFER') {
+    holdings[asset] = (holdings[asset] ?? 0) - feeUnits;
+  } else if (isIncomeTransaction(tx)) {
+    holdings[asset] = (holdings[asset] ?? 0) + quantity;
+  }
+  return 0;
+}
+
+/**
+ * Annual rate of return of dated cash flows (XIRR), with flows from the
+ * investor's point of view: negative when invested, positive when received.
+ * Solved with Newton's method, falling back to bisection.
+ *
+ * @param {Array<{date: string, amount: number}>} flows Dated cash flows.
+ * @returns {number | null} Annual rate (0.1 for 10 %), or null when the flows
+ *          don't both invest and return money.
+ */
+export function xirr(flows) {
+  const relevant = flows.filter((f) => f.amount !== 0);
+  if (!relevant.some((f) => f.amount < 0) || !relevant.some((f) => f.amount > 0)) return null;
+  const t0 = Math.min(...relevant.map((f) => new Date(f.date).getTime()));
+  const terms = relevant.map((f) => ({ amount: f.amount, years: (new Date(f.date).getTime() - t0) / (365 * DAY) }));
+  const npv = (rate) => terms.reduce((sum, t) => sum + t.amount / Math.pow(1 + rate, t.years), 0);
+  const derivative = (rate) =>
+    terms.reduce((sum, t) => sum - (t.years * t.amount) / Math.pow(1 + rate, t.years + 1), 0);
+
+  let rate = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const value = npv(rate);
+    const slope = derivative(rate);
+    if (!Number.isFinite(value) || !Number.isFinite(slope) || slope === 0) break;
+    const next = rate - value / slope;
+    if (!(next > -1)) break;
+    if (Math.abs(next - rate) < 1e-10) return next;
+    rate = next;
+  }
+  // Bisection between a near-total loss and a very large gain
+  let lo = -0.999999;
+  let hi = 1;
+  while (npv(hi) > 0 && hi < 1e6) hi *= 2;
+  if (Math.sign(npv(lo)) === Math.sign(npv(hi))) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    if (Math.sign(npv(mid)) === Math.sign(npv(lo))) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Computes the portfolio's performance from its first transaction to today.
+ *
+ * The portfolio is valued every day at that day's close from `priceAt` and
+ * today at `prices`; days without a historical price for a held asset use
+ * the current price and flag the result as `estimated`.
+ *
+ * @param {Array} transactions List of transactions.
+ * @param {Record<string, number>} prices Current price per asset.
+ * @param {(asset: string, date: string) => number | undefined} [priceAt]
+ *        Historical price lookup, see `createPriceLookup` in priceHistory.js.
+ * @returns {{
+ *   twr: number, twrAnnualised: number | null, xirr: number | null,
+ *   maxDrawdown: number, volatility: number | null, days: number,
+ *   estimated: boolean, series: Array<{date: string, value: number, index: number}>,
+ *   byAsset: Record<string, {xirr: number | null, invested: number, received: number, value: number}>
+ * } | null}
+ *   Rates are fractions (0.1 for 10 %); `twrAnnualised` is null for periods
+ *   shorter than a year, `index` is the growth of 1 € at the TWR and
+ *   `volatility` the annualised standard deviation of daily returns. Null
+ *   when there is nothing to measure, e.g. only future-dated transactions.
+ */
+export function computePerformance(transactions = [], prices = {}, priceAt = () => undefined) {
+  // Transactions dated after today are left out until their day comes
+  const today = toIso(new Date());
+  const sorted = transactions
+    .filter((tx) => tx.type !== 'DEPOSIT' && tx.type !== 'WITHDRAWAL' && tx.date <= today)
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  if (sorted.length === 0) return null;
+
+  const holdings = {};
+  const portfolioFlows = [];
+  const assetFlows = {};
+  const addAssetFlow = (asset, date, amount) => {
+    if (!assetFlows[asset]) assetFlows[asset] = [];
+    assetFlows[asset].push({ date, amount });
+  };
+
+  const series = [];
+  const dailyReturns = [];
+  let index = 1;
+  let peak = 1;
+  let maxDrawdown = 0;
+  let previousValue = 0;
+  let estimated = false;
+  let next = 0;
+
+  const start = sorted[0].date < today ? sorted[0].date : today;
+  for (let d = new Date(`${start}T00:00:00Z`); toIso(d) <= today; d = new Date(d.getTime() + DAY)) {
+    const date = toIso(d);
+    let flow = 0;
+    while (next < sorted.length && sorted[next].date <= date) {
+      const tx = sorted[next];
+      const amount = applyTransaction(holdings, tx);
+      flow += amount;
+      if (amount !== 0) {
+        portfolioFlows.push({ date, amount: -amount });
+        addAssetFlow(tx.asset, date, -amount);
+      } else if (tx.type === 'SWAP') {
+        // Per asset, a swap sells the source and buys the destination
+        const value = tx.price * tx.quantity;
+        addAssetFlow(tx.asset, date, value);
+        addAssetFlow(tx.toAsset, date, -value);
+      }
+      next += 1;
+    }
+
+    let value = 0;
+    for (const asset of Object.keys(holdings)) {
+      if (Math.abs(holdings[asset]) < 1e-12) continue;
+      let price = date < today ? priceAt(asset, date) : prices[asset];
+      if (price === undefined) {
+        price = prices[asset] ?? 0;
+        estimated = true;
+      }
+      value += holdings[asset] * price;
+    }
+
+    // Return of the day on the value held at the start of it, flows counted
+    // at the end of the day
+    if (previousValue > 0) {
+      const r = (value - flow) / previousValue - 1;
+      dailyReturns.push(r);
+      index *= 1 + r;
+      peak = Math.max(peak, index);
+      maxDrawdown = Math.max(maxDrawdown, 1 - index / peak);
+    }
+    series.push({ date, value, index });
+    previousValue = value;
+  }
+
+  if (series.length === 0) return null;
+
+  const days = series.length - 1;
+  const twr = index - 1;
+  const years = days / 365;
+  const mean = dailyReturns.reduce((s, r) => s + r, 0) / (dailyReturns.length || 1);
+  const variance =
+    dailyReturns.length > 1
+      ? dailyReturns.reduce((s, r) => s + (r - mean) ** 2, 0) / (dailyReturns.length - 1)
+      : null;
+
+  // Terminal values: what the holdings are worth today
+  const byAsset = {};
+  for (const asset of Object.keys(assetFlows)) {
+    const assetValue = Math.max(0, holdings[asset] ?? 0) * (prices[asset] ?? 0);
+    const flows = [...assetFlows[asset], { date: today, amount: assetValue }];
+    byAsset[asset] = {
+      xirr: xirr(flows),
+      invested: -assetFlows[asset].filter((f) => f.amount < 0).reduce((s, f) => s + f.amount, 0),
+      received: assetFlows[asset].filter((f) => f.amount > 0).reduce((s, f) => s + f.amount, 0),
+      value: assetValue,
+    };
+  }
+  const currentValue = series[series.length - 1].value;
+
+  return {
+    twr,
+    twrAnnualised: years >= 1 ? Math.pow(index, 1 / years) - 1 : null,
+    xirr: xirr([...portfolioFlows, { date: today, amount: currentValue }]),
+    maxDrawdown,
+    volatility: variance === null ? null : Math.sqrt(variance) * Math.sqrt(365),
+    days,
+    estimated,
+    series,
+    byAsset,
+  };
+}
@@ -0,0 +1,199 @@
+/**
+ * Portfolios.
+ *
+ * The user can keep several portfolios (personal, company treasury, a
+ * child's savings...), each with its own transactions, manual prices,
+ * settings, DCA plans and alert rules. The list of portfolios and the one
+ * currently open are stored under `wavDcaPortfolios`:
+ *
+ *   {
+ *     activeId: string,
+ *     portfolios: [{ id: string, name: string, createdAt: ISO timestamp }]
+ *   }
+ *
+ * Each portfolio stores its data under the keys of PORTFOLIO_KEYS suffixed
+ * with its id, e.g. `wavDcaTransactions:abc123`. The default portfolio keeps
+ * the bare keys, so data saved before portfolios existed becomes that
+ * portfolio without any migration. Resolved coins, price history and FX
+ * rates are shared by all portfolios. Everything goes through storage.js.
+ *
+ * Each portfolio also keeps its last SNAPSHOT_LIMIT states under
+ * `wavDcaSnapshots`, so any of them can be restored:
+ *
+ *   [{ id: string, date: ISO timestamp, label: string, data: { transactions, manualPrices, settings, plans, alertRules } }]
+ *
+ * newest first.
+ */
+
+import { createTransactionId } from './finance';
+import { readValue, writeValue, removeValue } from './storage';
+
+const REGISTRY_KEY = 'wavDcaPortfolios';
+const SNAPSHOTS_KEY = 'wavDcaSnapshots';
+
+// Keys stored per portfolio that describe this device's history of it
+// (snapshots, sync state) and aren't copied with it
+const DEVICE_KEYS = [SNAPSHOTS_KEY, 'wavDcaSync'];
+
+/** Number of states kept per portfolio. */
+export const SNAPSHOT_LIMIT = 20;
+
+/** Id of the portfolio holding the data saved before portfolios existed. */
+export const DEFAULT_PORTFOLIO_ID = 'default';
+
+/** Keys of the data stored per portfolio. */
+export const PORTFOLIO_KEYS = [
+  'wavDcaTransactions',
+  'wavDcaManualPrices',
+  'wavDcaSettings',
+  'wavDcaPlans',
+  'wavDcaAlertRules',
+  'wavDcaAlerts',
+];
+
+/**
+ * Storage key of a portfolio's data.
+ *
+ * @param {string} key One of PORTFOLIO_KEYS.
+ * @param {string} portfolioId Portfolio id.
+ * @returns {string}
+ */
+export function storageKey(key, portfolioId) {
+  return portfolioId === DEFAULT_PORTFOLIO_ID ? key : `${key}:${portfolioId}`;
+}
+
+/**
+ * Reads the list of portfolios. Before any portfolio is created, the list
+ * holds the default portfolio only.
+ *
+ * @returns {Promise<{ activeId: string, portfolios: Array<{id: string, name: string, createdAt?: string}> }>}
+ */
+export async function loadPortfolios() {
+  try {
+    const stored = await readValue(REGISTRY_KEY);
+    if (stored && Array.isArray(stored.portfolios) && stored.portfolios.length > 0) {
+      const activeId = stored.portfolios.some((p) => p.id === stored.activeId)
+        ? stored.activeId
+        : stored.portfolios[0].id;
+      return { activeId, portfolios: stored.portfolios };
+    }
+  } catch (err) {
+    console.error('Erreur lors du chargement des portefeuilles :', err);
+  }
+  return { activeId: DEFAULT_PORTFOLIO_ID, portfolios: [{ id: DEFAULT_PORTFOLIO_ID, name: 'Personnel' }] };
+}
+
+/**
+ * Saves the list of portfolios.
+ *
+ * @param {{ activeId: string, portfolios: Array }} registry
+ * @returns {Promise<void>}
+ */
+export function savePortfolios(registry) {
+  return writeValue(REGISTRY_KEY, registry);
+}
+
+/**
+ * Checks a portfolio name.
+ *
+ * @param {string} name Name to check.
+ * @param {Array} portfolios Existing portfolios.
+ * @param {string} [ignoreId] Portfolio being renamed.
+ * @returns {string[]} Error messages in French, empty when valid.
+ */
+export function validatePortfolioName(name, portfolios, ignoreId) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return ['Nom manquant'];
+  if (portfolios.some((p) => p.id !== ignoreId && p.name.toLowerCase() === trimmed.toLowerCase())) {
+    return [`Le portefeuille « ${trimmed} » existe déjà`];
+  }
+  return [];
+}
+
+/**
+ * Adds a portfolio to the list.
+ *
+ * @param {{ activeId: string, portfolios: Array }} registry
+ * @param {string} name Portfolio name.
+ * @returns {{ registry: object, id: string }} The new list and the id of the
+ *          new portfolio.
+ */
+export function addPortfolio(registry, name) {
+  const id = createTransactionId();
+  const portfolio = { id, name: name.trim(), createdAt: new Date().toISOString() };
+  return { registry: { ...registry, portfolios: [...registry.portfolios, portfolio] }, id };
+}
+
+/**
+ * Reads the stored data of a portfolio. Missing or unreadable entries are
+ * left out so the caller can apply its defaults.
+ *
+ * @param {string} portfolioId Portfolio id.
+ * @returns {Promise<Record<string, *>>} Value per key of PORTFOLIO_KEYS.
+ */
+export async function loadPortfolioData(portfolioId) {
+  const data = {};
+  for (const key of PORTFOLIO_KEYS) {
+    try {
+      const stored = await readValue(storageKey(key, portfolioId));
+      if (stored !== undefined && stored !== null) data[key] = stored;
+    } catch (err) {
+      console.error(`Erreur lors du chargement de ${key} :`, err);
+    }
+  }
+  return data;
+}
+
+/**
+ * Copies the stored data of a portfolio to another one.
+ *
+ * @param {string} fromId Source portfolio id.
+ * @param {string} toId Destination portfolio id.
+ * @returns {Promise<void>}
+ */
+export async function copyPortfolioData(fromId, toId) {
+  for (const key of PORTFOLIO_KEYS) {
+    const stored = await readValue(storageKey(key, fromId));
+    if (stored !== undefined) await writeValue(storageKey(key, toId), stored);
+  }
+}
+
+/**
+ * Deletes the stored data of a portfolio.
+ *
+ * @param {string} portfolioId Portfolio id.
+ * @returns {Promise<void>}
+ */
+export async function removePortfolioData(portfolioId) {
+  for (const key of [...PORTFOLIO_KEYS, ...DEVICE_KEYS]) {
+    await removeValue(storageKey(key, portfolioId));
+  }
+}
+
+/**
+ * Lists the saved states of a portfolio.
+ *
+ * @param {string} portfolioId Portfolio id.
+ * @returns {Promise<Array>} Snapshots, newest first.
+ */
+export async function listSnapshots(portfolioId) {
+  return (await readValue(storageKey(SNAPSHOTS_KEY, portfolioId))) || [];
+}
+
+/**
+ * Saves a state of a portfolio, unless it is the same as the latest one,
+ * and forgets the oldest states beyond SNAPSHOT_LIMIT.
+ *
+ * @param {string} portfolioId Portfolio id.
+ * @param {{ transactions: Array, manualPrices: object, settings: object, plans: Array, alertRules: Array }} data
+ * @param {string} label Change that led to this state, e.g. "Import CSV".
+ * @returns {Promise<Array>} The snapshots, newest first.
+ */
+export async function saveSnapshot(portfolioId, data, label) {
+  const snapshots = await listSnapshots(portfolioId);
+  if (snapshots.length > 0 && JSON.stringify(snapshots[0].data) === JSON.stringify(data)) return snapshots;
+  const snapshot = { id: createTransactionId(), date: new Date().toISOString(), label, data };
+  const next = [snapshot, ...snapshots].slice(0, SNAPSHOT_LIMIT);
+  await writeValue(storageKey(SNAPSHOTS_KEY, portfolioId), next);
+  return next;
+}
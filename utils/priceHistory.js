@@ -0,0 +1,160 @@
+/**
+ * Historical price engine.
+ *
+ * Fetches daily EUR closes from CoinGecko for the assets listed in
+ * `priceIds` or resolved by `resolveCoinIds`, and caches them in
+ * localStorage, so the monthly history can value the portfolio with the
+ * prices of each month rather than today's. A series is stored as a
+ * `{ 'YYYY-MM-DD': price }` map and refreshed at most once every few hours.
+ */
+
+import { priceIds } from './prices';
+
+const CACHE_KEY = 'wavDcaPriceHistory';
+const CACHE_TTL = 6 * 60 * 60 * 1000; // 6 hours
+// The public CoinGecko API only serves the last 365 days of history.
+const PUBLIC_MAX_DAYS = 365;
+
+function readCache() {
+  try {
+    const stored = localStorage.getItem(CACHE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function writeCache(cache) {
+  try {
+    localStorage.setItem(CACHE_KEY, JSON.stringify(cache));
+  } catch (err) {
+    console.error("Erreur lors de la sauvegarde de l'historique des prix :", err);
+  }
+}
+
+/**
+ * Fetches the daily EUR closes of a single CoinGecko coin.
+ *
+ * CoinGecko returns one point per day at 00:00 UTC, which is the close of
+ * the previous day, plus a last point for the current time. Shifting each
+ * timestamp back by one millisecond keys every point by the day it closes.
+ * When more than the public API serves is asked for and refused, the last
+ * PUBLIC_MAX_DAYS days are fetched instead.
+ *
+ * @param {string} id CoinGecko coin id (e.g. 'bitcoin').
+ * @param {number} days Number of days of history to request.
+ * @returns {Promise<{closes: Record<string, number>, from: string, capped: boolean}>}
+ *          Map of ISO date to close price, the first date of the window
+ *          actually fetched, and whether it was cut to PUBLIC_MAX_DAYS.
+ */
+export async function fetchDailyCloses(id, days) {
+  const request = async (d) => {
+    const url = `https://api.coingecko.com/api/v3/coins/${encodeURIComponent(id)}/market_chart?vs_currency=eur&days=${d}&interval=daily`;
+    const res = await fetch(url);
+    if (!res.ok) {
+      throw new Error(`CoinGecko a répondu ${res.status} pour ${id}`);
+    }
+    return res.json();
+  };
+  let data;
+  let fetched = days;
+  try {
+    data = await request(days);
+  } catch (err) {
+    if (days <= PUBLIC_MAX_DAYS) throw err;
+    fetched = PUBLIC_MAX_DAYS;
+    data = await request(PUBLIC_MAX_DAYS);
+  }
+  const closes = {};
+  for (const [ts, price] of data.prices || []) {
+    closes[new Date(ts - 1).toISOString().slice(0, 10)] = price;
+  }
+  const from = new Date(Date.now() - (fetched - 1) * 86400000).toISOString().slice(0, 10);
+  return { closes, from, capped: fetched < days };
+}
+
+/**
+ * Returns the daily close series of each asset since the given date, using
+ * the localStorage cache when it is fresh and covers the requested range,
+ * or as much of it as the public API serves. Assets without a CoinGecko id
+ * are skipped; failed fetches fall back to any cached series, even a stale
+ * one.
+ *
+ * @param {string[]} assets Asset symbols.
+ * @param {string} since Earliest date needed ('YYYY-MM-DD').
+ * @param {Record<string, {id: string}>} [coins] Resolved coins for symbols
+ *        missing from `priceIds`.
+ * @returns {Promise<Record<string, Record<string, number>>>} Closes per asset.
+ */
+export async function fetchPriceHistory(assets, since, coins = {}) {
+  const cache = readCache();
+  const result = {};
+  const now = Date.now();
+  const days = Math.max(1, Math.ceil((now - new Date(since).getTime()) / 86400000) + 1);
+  let dirty = false;
+  // Fetch sequentially to stay well below the public rate limit.
+  for (const asset of assets) {
+    const id = (coins[asset] && coins[asset].id) || priceIds[asset];
+    if (!id) continue;
+    const entry = cache[asset];
+    if (entry && entry.id === id && (entry.from <= since || entry.capped) && now - entry.fetchedAt < CACHE_TTL) {
+      result[asset] = entry.closes;
+      continue;
+    }
+    try {
+      // Record the window really fetched, which can start after `since`
+      const { closes, from, capped } = await fetchDailyCloses(id, days);
+      cache[asset] = { id, from: capped ? from : since, capped, fetchedAt: now, closes };
+      result[asset] = closes;
+      dirty = true;
+    } catch (err) {
+      console.error(`Impossible de récupérer l'historique de ${asset} :`, err);
+      if (entry && entry.id === id) result[asset] = entry.closes;
+    }
+  }
+  if (dirty) writeCache(cache);
+  return result;
+}
+
+/**
+ * Builds a per-date price lookup from close series. The lookup returns the
+ * most recent close on or before the given date, or `undefined` when the
+ * series doesn't reach back that far.
+ *
+ * @param {Record<string, Record<string, number>>} history Closes per asset.
+ * @returns {(asset: string, date: string) => number | undefined}
+ */
+export function createPriceLookup(history = {}) {
+  const dates = {};
+  for (const asset of Object.keys(history)) {
+    dates[asset] = Object.keys(history[asset]).sort();
+  }
+  return (asset, date) => {
+    const keys = dates[asset];
+    if (!keys || keys.length === 0 || date < keys[0]) return undefined;
+    // Binary search for the last key <= date
+    let lo = 0;
+    let hi = keys.length - 1;
+    while (lo < hi) {
+      const mid = Math.ceil((lo + hi) / 2);
+      if (keys[mid] <= date) lo = mid;
+      else hi = mid - 1;
+    }
+    return history[asset][keys[lo]];
+  };
+}
+
+/**
+ * Returns the EUR close of a single asset on a given date (the latest price
+ * for today), or `undefined` when no price is available.
+ *
+ * @param {string} asset Asset symbol.
+ * @param {string} date ISO date ('YYYY-MM-DD').
+ * @param {Record<string, {id: string}>} [coins] Resolved coins for symbols
+ *        missing from `priceIds`.
+ * @returns {Promise<number | undefined>}
+ */
+export async function fetchPriceOn(asset, date, coins = {}) {
+  const history = await fetchPriceHistory([asset], date, coins);
+  return createPriceLookup(history)(asset, date);
+}
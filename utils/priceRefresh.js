@@ -0,0 +1,136 @@
+/**
+ * Automatic refresh of the current prices.
+ *
+ * The scheduler calls `refresh()` every `interval` milliseconds while the
+ * page is visible: a hidden tab skips its refreshes, and catches up with
+ * one as soon as it is shown again if one was due. When the price API is
+ * rate-limited (`refresh` resolves to `{ rateLimited: true }`) the delay
+ * doubles on each attempt, up to MAX_BACKOFF, and is reset by the first
+ * refresh that isn't. Refreshes never overlap: one asked for while another
+ * runs starts when it ends.
+ *
+ * A price is stale once older than `staleAfter(interval)`, so a slow
+ * interval doesn't flag every price between two refreshes.
+ */
+
+/** Refresh intervals offered, in seconds, and their labels; 0 disables it. */
+export const REFRESH_INTERVALS = {
+  0: 'Désactivé',
+  60: '1 min',
+  300: '5 min',
+  900: '15 min',
+  3600: '1 h',
+};
+
+/** Default refresh interval, in seconds. */
+export const DEFAULT_REFRESH_INTERVAL = 300;
+
+// Longest delay between two attempts while rate-limited
+const MAX_BACKOFF = 60 * 60 * 1000;
+
+// Age below which a price is never stale
+const MIN_STALE_AFTER = 15 * 60 * 1000;
+
+/**
+ * Age, in milliseconds, after which a price is stale.
+ *
+ * @param {number} interval Refresh interval in milliseconds, 0 when disabled.
+ * @returns {number}
+ */
+export function staleAfter(interval) {
+  return Math.max(MIN_STALE_AFTER, 2 * interval);
+}
+
+/**
+ * Delay before the next attempt after `failures` rate-limited refreshes in
+ * a row.
+ *
+ * @param {number} interval Refresh interval in milliseconds.
+ * @param {number} failures Rate-limited refreshes in a row.
+ * @returns {number} Milliseconds.
+ */
+export function backoffDelay(interval, failures) {
+  if (failures === 0) return interval;
+  return Math.min(MAX_BACKOFF, Math.max(interval, 60 * 1000) * 2 ** failures);
+}
+
+/**
+ * Creates a refresh scheduler, stopped until `start()`.
+ *
+ * @param {{ interval: number, refresh: () => Promise<{rateLimited?: boolean}>, onSchedule?: Function }} options
+ *        `interval` in milliseconds, 0 for manual refreshes only;
+ *        `onSchedule({ nextAt, failures })` is called whenever the next
+ *        automatic refresh is planned, `nextAt` being null when none is.
+ * @returns {{ start: Function, stop: Function, trigger: Function }}
+ *          `trigger()` refreshes now, then plans the next refresh.
+ */
+export function createRefreshScheduler({ interval, refresh, onSchedule = () => {} }) {
+  let timer = null;
+  let nextAt = null;
+  let failures = 0;
+  let running = false;
+  let again = false;
+  let stopped = true;
+
+  const hidden = () => typeof document !== 'undefined' && document.visibilityState === 'hidden';
+
+  const plan = (delay) => {
+    clearTimeout(timer);
+    timer = null;
+    nextAt = interval > 0 || failures > 0 ? Date.now() + delay : null;
+    onSchedule({ nextAt, failures });
+    // A hidden tab waits for visibilitychange instead
+    if (nextAt !== null && !hidden()) timer = setTimeout(run, delay);
+  };
+
+  async function run() {
+    if (stopped) return;
+    if (running) {
+      again = true;
+      return;
+    }
+    running = true;
+    try {
+      const result = (await refresh()) || {};
+      failures = result.rateLimited ? failures + 1 : 0;
+    } catch (err) {
+      console.error('Erreur lors du rafraîchissement des prix :', err);
+    }
+    running = false;
+    if (stopped) return;
+    if (again) {
+      again = false;
+      run();
+      return;
+    }
+    plan(backoffDelay(interval, failures));
+  }
+
+  const onVisibilityChange = () => {
+    if (hidden()) {
+      clearTimeout(timer);
+      timer = null;
+    } else if (nextAt !== null && !running) {
+      plan(Math.max(0, nextAt - Date.now()));
+    }
+  };
+
+  return {
+    start() {
+      stopped = false;
+      if (typeof document !== 'undefined') document.addEventListener('visibilitychange', onVisibilityChange);
+      plan(interval);
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      timer = null;
+      if (typeof document !== 'undefined') document.removeEventListener('visibilitychange', onVisibilityChange);
+    },
+    trigger() {
+      clearTimeout(timer);
+      timer = null;
+      run();
+    },
+  };
+}
@@ -1,11 +1,13 @@
 /**
  * Utility functions for fetching and managing price data.
  *
- * The Wav DCA Tracker uses CoinGecko's public API to retrieve
- * current prices for supported assets. You can extend the
- * `priceIds` object below to add new assets and their corresponding
- * CoinGecko IDs. For tokens that don't have a public price (e.g. presales),
- * you can pass a `manual` object to `fetchPrices` with overrides.
+ * Current prices are served by the `/api/prices` route, which queries
+ * CoinGecko first and CoinPaprika as a fallback. The `priceIds` object
+ * below maps the most common assets to their CoinGecko IDs; any other symbol
+ * is resolved against the provider's coin list with `resolveCoinIds`, and the
+ * resulting coins are passed to `fetchPrices`. Tokens that don't have a
+ * public price (e.g. presales) are priced by hand, see manualPrices.js, until
+ * they are listed.
  */
 
 export const priceIds = {
@@ -18,37 +20,129 @@ export const priceIds = {
 };
 
 /**
- * Fetches current EUR prices for a list of assets using CoinGecko.
+ * Whether the price API can price an asset: it is mapped in `priceIds` or
+ * resolved to a coin.
+ *
+ * @param {string} asset Asset symbol.
+ * @param {Record<string, {id: string}>} [coins] Resolved coins, keyed by symbol.
+ * @returns {boolean}
+ */
+export function isListed(asset, coins = {}) {
+  return Boolean(priceIds[asset] || coins[asset]);
+}
+
+/**
+ * Completes API prices with manual ones: a manual price applies to an
+ * asset that isn't listed, or that the API couldn't price.
+ *
+ * @param {Record<string, number>} prices Prices from the API.
+ * @param {Record<string, number>} manual Manual prices.
+ * @param {Record<string, {id: string}>} [coins] Resolved coins.
+ * @returns {Record<string, number>}
+ */
+export function applyManualPrices(prices, manual = {}, coins = {}) {
+  const result = { ...prices };
+  for (const [asset, price] of Object.entries(manual)) {
+    if (!isListed(asset, coins) || result[asset] === undefined) result[asset] = price;
+  }
+  return result;
+}
+
+/**
+ * Fetches current EUR prices for a list of assets through the `/api/prices`
+ * route, which queries CoinGecko and falls back to CoinPaprika server-side,
+ * and tells whether the providers were rate-limited.
  *
  * @param {string[]} assets A list of asset symbols (e.g. ['BTC', 'ETH']).
- * @param {Record<string, number>} manual A map of asset symbols to prices
- *        that should override any API response (useful for presale tokens).
- * @returns {Promise<Record<string, number>>} A map of asset symbol to current EUR price.
+ * @param {Record<string, number>} manual Manual prices of presale and
+ *        unlisted tokens, see `applyManualPrices`; unlisted ones aren't
+ *        asked to the API.
+ * @param {Record<string, {id: string, name: string}>} coins Coins resolved
+ *        for symbols missing from `priceIds`, keyed by symbol.
+ * @returns {Promise<{prices: Record<string, number>, requested: string[], fetched: string[], rateLimited: boolean, error: string | null}>}
+ *          Prices per asset symbol, absent when unknown; the assets asked
+ *          to the API and those it priced; whether a provider answered 429;
+ *          the error that prevented any API price, if any.
  */
-export async function fetchPrices(assets, manual = {}) {
-  const ids = assets
-    .map((asset) => priceIds[asset])
-    .filter(Boolean);
+export async function fetchPriceQuotes(assets, manual = {}, coins = {}) {
+  const symbols = assets.filter((asset) => manual[asset] === undefined || isListed(asset, coins));
   const prices = {};
-  if (ids.length > 0) {
+  let rateLimited = false;
+  let error = null;
+  if (symbols.length > 0) {
     try {
-      const query = ids.join(',');
-      const url = `https://api.coingecko.com/api/v3/simple/price?ids=${query}&vs_currencies=eur`;
-      const res = await fetch(url);
+      const res = await fetch('/api/prices', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ symbols, quote: 'EUR', coins }),
+      });
       const data = await res.json();
-      assets.forEach((asset) => {
-        const id = priceIds[asset];
-        if (id && data[id] && data[id].eur !== undefined) {
-          prices[asset] = data[id].eur;
+      rateLimited = res.status === 429 || Boolean(data.rateLimited);
+      if (!res.ok) {
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      for (const row of data.rows) {
+        if (row.price !== null) {
+          prices[row.symbol] = row.price;
         }
-      });
+      }
     } catch (err) {
-      console.error('Failed to fetch prices from CoinGecko:', err);
+      console.error('Failed to fetch prices:', err);
+      error = err.message;
     }
   }
-  // Apply manual overrides (e.g. presale tokens)
-  for (const asset of Object.keys(manual)) {
-    prices[asset] = manual[asset];
+  return {
+    prices: applyManualPrices(prices, manual, coins),
+    requested: symbols,
+    fetched: Object.keys(prices),
+    rateLimited,
+    error,
+  };
+}
+
+/**
+ * Fetches current EUR prices for a list of assets, see `fetchPriceQuotes`.
+ *
+ * @param {string[]} assets A list of asset symbols (e.g. ['BTC', 'ETH']).
+ * @param {Record<string, number>} manual Manual prices of presale and
+ *        unlisted tokens.
+ * @param {Record<string, {id: string, name: string}>} coins Resolved coins.
+ * @returns {Promise<Record<string, number>>} A map of asset symbol to current
+ *          EUR price. Assets that couldn't be priced are absent from the map.
+ */
+export async function fetchPrices(assets, manual = {}, coins = {}) {
+  return (await fetchPriceQuotes(assets, manual, coins)).prices;
+}
+
+/**
+ * Resolves asset symbols to CoinGecko coins through the `/api/coins` route.
+ *
+ * @param {string[]} symbols Asset symbols missing from `priceIds`.
+ * @returns {Promise<{resolved: Record<string, {id: string, name: string}>, ambiguous: Record<string, Array<{id: string, name: string, rank: number | null}>>, unknown: string[]}>}
+ *          Symbols matching exactly one coin, symbols shared by several coins
+ *          (with the candidates to pick from) and symbols matching none.
+ */
+export async function resolveCoinIds(symbols) {
+  const result = { resolved: {}, ambiguous: {}, unknown: [] };
+  if (symbols.length === 0) return result;
+  const res = await fetch('/api/coins', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ symbols }),
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    throw new Error(data.error || `HTTP ${res.status}`);
+  }
+  for (const symbol of symbols) {
+    const candidates = data.matches[symbol] || [];
+    if (candidates.length === 1) {
+      result.resolved[symbol] = { id: candidates[0].id, name: candidates[0].name };
+    } else if (candidates.length > 1) {
+      result.ambiguous[symbol] = candidates;
+    } else {
+      result.unknown.push(symbol);
+    }
   }
-  return prices;
-}
\ No newline at end of file
+  return result;
+}
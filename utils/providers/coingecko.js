@@ -0,0 +1,108 @@
+/**
+ * CoinGecko price provider.
+ *
+ * Symbols are mapped to CoinGecko ids through the ids chosen on the client
+ * (see `resolveCoinIds` in prices.js), then the `priceIds` table; symbols
+ * without an id are simply not returned so the next provider can try them.
+ * Ids chosen on the client that don't look like a CoinGecko id are ignored.
+ * `findCoins` searches the full coin list, cached for 24 hours, to resolve
+ * symbols the app doesn't know yet.
+ */
+
+import { priceIds } from '../prices';
+import { fetchJson } from './http';
+
+const LIST_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_CANDIDATES = 10;
+// Shape of a CoinGecko coin id, e.g. "bitcoin" or "usd-coin"
+const COIN_ID = /^[a-z0-9-]+$/;
+let listCache = { fetchedAt: 0, bySymbol: null };
+
+async function getCoinsBySymbol() {
+  if (listCache.bySymbol && Date.now() - listCache.fetchedAt < LIST_TTL) {
+    return listCache.bySymbol;
+  }
+  const coins = await fetchJson('https://api.coingecko.com/api/v3/coins/list');
+  const bySymbol = {};
+  for (const coin of coins) {
+    const symbol = coin.symbol.toUpperCase();
+    if (!bySymbol[symbol]) bySymbol[symbol] = [];
+    bySymbol[symbol].push({ id: coin.id, name: coin.name });
+  }
+  listCache = { fetchedAt: Date.now(), bySymbol };
+  return bySymbol;
+}
+
+/**
+ * Looks up the CoinGecko coins matching each symbol. When a symbol is shared
+ * by several coins, candidates are ranked by market cap so the most likely
+ * one comes first.
+ *
+ * @param {string[]} symbols Asset symbols.
+ * @returns {Promise<Record<string, Array<{id: string, name: string, rank: number | null}>>>}
+ *          Candidates per symbol (an empty array when nothing matches).
+ */
+export async function findCoins(symbols) {
+  const bySymbol = await getCoinsBySymbol();
+  const matches = {};
+  const ambiguousIds = [];
+  for (const symbol of symbols) {
+    matches[symbol] = (bySymbol[symbol] || []).map((coin) => ({ ...coin, rank: null }));
+    if (matches[symbol].length > 1) {
+      ambiguousIds.push(...matches[symbol].map((coin) => coin.id));
+    }
+  }
+  if (ambiguousIds.length > 0) {
+    try {
+      const markets = await fetchJson(
+        `https://api.coingecko.com/api/v3/coins/markets?vs_currency=eur&per_page=250&ids=${ambiguousIds.slice(0, 250).map(encodeURIComponent).join(',')}`
+      );
+      const ranks = {};
+      for (const m of markets) ranks[m.id] = m.market_cap_rank;
+      for (const symbol of symbols) {
+        for (const coin of matches[symbol]) coin.rank = ranks[coin.id] ?? null;
+      }
+    } catch (err) {
+      // Ranks are only a hint for the user; keep the unranked candidates
+      console.error('Impossible de classer les candidats CoinGecko :', err.message);
+    }
+  }
+  for (const symbol of symbols) {
+    matches[symbol] = matches[symbol]
+      .sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity))
+      .slice(0, MAX_CANDIDATES);
+  }
+  return matches;
+}
+
+const coingecko = {
+  name: 'coingecko',
+
+  /**
+   * @param {string[]} symbols Asset symbols.
+   * @param {string} quote Quote currency ('EUR', 'USD', 'CHF').
+   * @param {Record<string, {id: string, name?: string}>} [coins] Coins chosen
+   *        on the client, keyed by symbol.
+   * @returns {Promise<Record<string, {coinId: string, price: number}>>}
+   */
+  async getPrices(symbols, quote, coins = {}) {
+    const vs = quote.toLowerCase();
+    const chosen = (symbol) => coins[symbol] && typeof coins[symbol].id === 'string' && COIN_ID.test(coins[symbol].id);
+    const idFor = (symbol) => (chosen(symbol) ? coins[symbol].id : priceIds[symbol]);
+    const ids = Array.from(new Set(symbols.map(idFor).filter(Boolean)));
+    if (ids.length === 0) return {};
+    const data = await fetchJson(
+      `https://api.coingecko.com/api/v3/simple/price?ids=${ids.map(encodeURIComponent).join(',')}&vs_currencies=${vs}`
+    );
+    const prices = {};
+    for (const symbol of symbols) {
+      const id = idFor(symbol);
+      if (id && data[id] && data[id][vs] !== undefined) {
+        prices[symbol] = { coinId: id, price: data[id][vs] };
+      }
+    }
+    return prices;
+  },
+};
+
+export default coingecko;
@@ -0,0 +1,79 @@
+/**
+ * CoinPaprika price provider (free, no API key).
+ *
+ * The symbol → coin_id mapping comes from `/v1/coins`, a large response that
+ * is cached for 24 hours. When several active coins share a symbol, the one
+ * whose name matches the coin chosen on the client wins, otherwise the best
+ * ranked one.
+ *
+ * Tickers are fetched one per symbol: a symbol whose ticker fails is left
+ * unpriced, and the batch only fails when every ticker did.
+ */
+
+import { fetchJson } from './http';
+
+const COINS_TTL = 24 * 60 * 60 * 1000; // 24 hours
+let coinsCache = { fetchedAt: 0, bySymbol: null };
+
+async function getCoinsBySymbol() {
+  if (coinsCache.bySymbol && Date.now() - coinsCache.fetchedAt < COINS_TTL) {
+    return coinsCache.bySymbol;
+  }
+  const coins = await fetchJson('https://api.coinpaprika.com/v1/coins');
+  const bySymbol = {};
+  for (const coin of coins) {
+    if (!coin.is_active) continue;
+    const symbol = coin.symbol.toUpperCase();
+    if (!bySymbol[symbol]) bySymbol[symbol] = [];
+    bySymbol[symbol].push({ id: coin.id, name: coin.name, rank: coin.rank });
+  }
+  // Rank 0 means unranked: sort those after every ranked coin
+  const order = (rank) => (rank > 0 ? rank : Infinity);
+  for (const symbol of Object.keys(bySymbol)) {
+    bySymbol[symbol].sort((a, b) => order(a.rank) - order(b.rank));
+  }
+  coinsCache = { fetchedAt: Date.now(), bySymbol };
+  return bySymbol;
+}
+
+const coinpaprika = {
+  name: 'coinpaprika',
+
+  /**
+   * @param {string[]} symbols Asset symbols.
+   * @param {string} quote Quote currency ('EUR', 'USD', 'CHF').
+   * @param {Record<string, {id: string, name?: string}>} [coins] Coins chosen
+   *        on the client, keyed by symbol; only the name is used here.
+   * @returns {Promise<Record<string, {coinId: string, price: number}>>}
+   */
+  async getPrices(symbols, quote, coins = {}) {
+    const bySymbol = await getCoinsBySymbol();
+    const prices = {};
+    const known = symbols.filter((symbol) => bySymbol[symbol]);
+    const results = await Promise.allSettled(
+      known.map(async (symbol) => {
+        const candidates = bySymbol[symbol];
+        const name = coins[symbol] && coins[symbol].name;
+        const coin =
+          (name && candidates.find((c) => c.name.toLowerCase() === name.toLowerCase())) ||
+          candidates[0];
+        const ticker = await fetchJson(
+          `https://api.coinpaprika.com/v1/tickers/${encodeURIComponent(coin.id)}?quotes=${quote}`
+        );
+        const price = ticker.quotes && ticker.quotes[quote] && ticker.quotes[quote].price;
+        if (price !== undefined) {
+          prices[symbol] = { coinId: coin.id, price };
+        }
+      })
+    );
+    const failed = results.filter((r) => r.status === 'rejected');
+    if (failed.length > 0 && failed.length === results.length) throw failed[0].reason;
+    if (failed.length > 0) {
+      const symbolsFailed = known.filter((symbol, i) => results[i].status === 'rejected');
+      console.error(`Tickers CoinPaprika indisponibles (${symbolsFailed.join(', ')}) :`, failed[0].reason.message);
+    }
+    return prices;
+  },
+};
+
+export default coinpaprika;
@@ -0,0 +1,17 @@
+/**
+ * Minimal JSON fetch helper shared by the price providers. Non-2xx responses
+ * are turned into errors carrying the HTTP `status`, so the failover logic
+ * can tell a rate limit (429) from other failures.
+ *
+ * @param {string} url URL to fetch.
+ * @returns {Promise<any>} Parsed JSON body.
+ */
+export async function fetchJson(url) {
+  const res = await fetch(url, { headers: { Accept: 'application/json' } });
+  if (!res.ok) {
+    const err = new Error(`${url} a répondu ${res.status}`);
+    err.status = res.status;
+    throw err;
+  }
+  return res.json();
+}
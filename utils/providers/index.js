@@ -0,0 +1,84 @@
+/**
+ * Server-side price lookup with provider failover.
+ *
+ * A provider is an object `{ name, getPrices(symbols, quote, coins) }` whose
+ * `getPrices` resolves to a map of symbol → `{ coinId, price }` and omits the
+ * symbols it cannot price. `coins` holds the coins chosen on the client for
+ * ambiguous symbols, as `{ [symbol]: { id, name } }` with CoinGecko ids.
+ *
+ * Providers are tried in order: symbols left unpriced by one are passed to
+ * the next, and a provider that errors is put on cooldown (longer when
+ * rate-limited) so following requests skip it. A skipped provider is
+ * reported as an error, with the status of the failure that paused it.
+ *
+ * Prices are cached in memory for 60 seconds per quote, symbol and chosen
+ * coin.
+ */
+
+import coingecko from './coingecko';
+import coinpaprika from './coinpaprika';
+
+export const providers = [coingecko, coinpaprika];
+
+export const SUPPORTED_QUOTES = ['EUR', 'USD', 'CHF'];
+
+const PRICE_TTL = 60 * 1000; // 60 seconds
+const RATE_LIMIT_COOLDOWN = 60 * 1000;
+const ERROR_COOLDOWN = 15 * 1000;
+
+const priceCache = new Map();
+const cooldowns = {};
+
+/**
+ * Fetches prices for a batch of symbols, from the cache when possible and
+ * otherwise from the first available providers.
+ *
+ * @param {string[]} symbols Asset symbols.
+ * @param {string} quote Quote currency, one of SUPPORTED_QUOTES.
+ * @param {Record<string, {id: string, name?: string}>} [coins] Coins chosen on
+ *        the client, keyed by symbol.
+ * @returns {Promise<{prices: Record<string, {coinId: string, price: number, provider: string}>, cached: boolean, errors: Array<{provider: string, status?: number, message: string}>}>}
+ */
+export async function getPricesForSymbols(symbols, quote, coins = {}) {
+  const now = Date.now();
+  const prices = {};
+  const cacheKey = (symbol) => `${quote}:${symbol}:${(coins[symbol] && coins[symbol].id) || ''}`;
+  let missing = [];
+  for (const symbol of symbols) {
+    const hit = priceCache.get(cacheKey(symbol));
+    if (hit && now - hit.fetchedAt < PRICE_TTL) {
+      prices[symbol] = hit.entry;
+    } else {
+      missing.push(symbol);
+    }
+  }
+  const cached = missing.length === 0;
+  const errors = [];
+
+  for (const provider of providers) {
+    if (missing.length === 0) break;
+    const cooldown = cooldowns[provider.name];
+    if (cooldown && cooldown.until > now) {
+      errors.push({ provider: provider.name, status: cooldown.status, message: 'En pause après un échec récent' });
+      continue;
+    }
+    try {
+      const found = await provider.getPrices(missing, quote, coins);
+      for (const symbol of Object.keys(found)) {
+        const entry = { ...found[symbol], provider: provider.name };
+        prices[symbol] = entry;
+        priceCache.set(cacheKey(symbol), { entry, fetchedAt: now });
+      }
+      missing = missing.filter((symbol) => !found[symbol]);
+    } catch (err) {
+      const rateLimited = err.status === 429;
+      cooldowns[provider.name] = {
+        until: now + (rateLimited ? RATE_LIMIT_COOLDOWN : ERROR_COOLDOWN),
+        status: err.status,
+      };
+      errors.push({ provider: provider.name, status: err.status, message: err.message });
+      console.error(`Échec du fournisseur de prix ${provider.name} :`, err.message);
+    }
+  }
+  return { prices, cached, errors };
+}
@@ -0,0 +1,156 @@
+/**
+ * Persistent storage of the user's data.
+ *
+ * Values are kept in an IndexedDB key-value store, under the same keys the
+ * app used in localStorage until now (`wavDcaTransactions`,
+ * `wavDcaPortfolios`...). The database schema is versioned: DB_VERSION is
+ * the current version and UPGRADES holds the step from each version to the
+ * next, run in order when an older database is opened. Version 1 moves the
+ * data saved in localStorage into the database, then removes it from
+ * localStorage.
+ *
+ * When IndexedDB is unavailable (private browsing in some browsers, blocked
+ * storage), values fall back to localStorage as JSON. Caches that can be
+ * fetched again (price history, FX rates) stay in localStorage.
+ *
+ * Every function is asynchronous and rejects when the browser refuses the
+ * operation, e.g. when the storage quota is exceeded.
+ */
+
+const DB_NAME = 'wavDca';
+const STORE = 'data';
+
+/** Current version of the database schema. */
+export const DB_VERSION = 1;
+
+// Keys saved in localStorage before the database existed, per portfolio
+// ones possibly suffixed with ':<portfolio id>'
+const LEGACY_KEYS = [
+  'wavDcaPortfolios',
+  'wavDcaCoins',
+  'wavDcaTransactions',
+  'wavDcaManualPrices',
+  'wavDcaSettings',
+  'wavDcaPlans',
+  'wavDcaAlertRules',
+  'wavDcaAlerts',
+];
+
+const legacyKeys = () => Object.keys(localStorage).filter((key) => LEGACY_KEYS.includes(key.split(':')[0]));
+
+/**
+ * Upgrades the database from version `n - 1` to version `n`, inside the
+ * upgrade transaction. Returns the localStorage keys to remove once the
+ * upgrade succeeded.
+ */
+const UPGRADES = {
+  // Key-value store, filled with the data saved in localStorage
+  1: (db, tx) => {
+    db.createObjectStore(STORE);
+    const store = tx.objectStore(STORE);
+    const moved = [];
+    for (const key of legacyKeys()) {
+      try {
+        store.put(JSON.parse(localStorage.getItem(key)), key);
+        moved.push(key);
+      } catch (err) {
+        console.error(`Donnée illisible ignorée lors de la migration : ${key}`, err);
+      }
+    }
+    return moved;
+  },
+};
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB non pris en charge'));
+      return;
+    }
+    let moved = [];
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      for (let version = e.oldVersion + 1; version <= DB_VERSION; version += 1) {
+        moved = moved.concat(UPGRADES[version](req.result, req.transaction) || []);
+      }
+    };
+    req.onsuccess = () => {
+      moved.forEach((key) => localStorage.removeItem(key));
+      resolve(req.result);
+    };
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error('Base de données bloquée par un autre onglet'));
+  });
+}
+
+// Runs one request on the store and resolves with its result once the
+// transaction is committed
+const run = (db, mode, operation) =>
+  new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = operation(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction annulée'));
+  });
+
+const indexedDbBackend = (db) => ({
+  get: (key) => run(db, 'readonly', (store) => store.get(key)),
+  set: (key, value) => run(db, 'readwrite', (store) => store.put(value, key)),
+  remove: (key) => run(db, 'readwrite', (store) => store.delete(key)),
+});
+
+const localStorageBackend = {
+  get: async (key) => {
+    const stored = localStorage.getItem(key);
+    return stored === null ? undefined : JSON.parse(stored);
+  },
+  set: async (key, value) => localStorage.setItem(key, JSON.stringify(value)),
+  remove: async (key) => localStorage.removeItem(key),
+};
+
+let backend = null;
+
+// Opens the database once per page, falling back to localStorage
+function getBackend() {
+  if (!backend) {
+    backend = openDatabase()
+      .then(indexedDbBackend)
+      .catch((err) => {
+        console.error('IndexedDB indisponible, repli sur localStorage :', err);
+        return localStorageBackend;
+      });
+  }
+  return backend;
+}
+
+/**
+ * Reads a value.
+ *
+ * @param {string} key Key.
+ * @returns {Promise<*>} The value, or `undefined` when none is saved.
+ */
+export async function readValue(key) {
+  return (await getBackend()).get(key);
+}
+
+/**
+ * Saves a value.
+ *
+ * @param {string} key Key.
+ * @param {*} value Value, made of plain objects, arrays and primitives.
+ * @returns {Promise<void>}
+ */
+export async function writeValue(key, value) {
+  await (await getBackend()).set(key, value);
+}
+
+/**
+ * Deletes a value.
+ *
+ * @param {string} key Key.
+ * @returns {Promise<void>}
+ */
+export async function removeValue(key) {
+  await (await getBackend()).remove(key);
+}
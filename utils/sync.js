@@ -0,0 +1,226 @@
+/**
+ * Client side of the synchronisation with a self-hosted server (see
+ * syncStore.js and the /api/portfolios and /api/transactions routes).
+ *
+ * Transactions and portfolio names are shared; manual prices, settings,
+ * DCA plans and alert rules stay on each device. Each portfolio keeps its
+ * sync state under `wavDcaSync`:
+ *
+ *   {
+ *     lastSyncAt: string | null,        // server time of the last sync
+ *     known: { [txId]: updatedAt },     // versions received from the server
+ *     pending: { [txId]: updatedAt }    // changed here since, not sent yet
+ *   }
+ *
+ * Every change to the transactions is recorded in `pending` with its time,
+ * online or not; a sync sends the pending changes, and receives the
+ * changes of the other devices. Both sides keep the latest change of each
+ * transaction (last write wins) and the server reports the concurrent
+ * changes as conflicts.
+ *
+ * The settings shared by all portfolios are stored under
+ * `wavDcaSyncConfig`: `{ token, deleted }`, `deleted` listing the
+ * portfolios deleted here that the server doesn't know about yet.
+ */
+
+import { readValue, writeValue } from './storage';
+import { storageKey } from './portfolios';
+
+/** Delay between two automatic syncs, in milliseconds. */
+export const SYNC_INTERVAL = 60 * 1000;
+
+/** Sync settings before the sync is set up. */
+export const DEFAULT_SYNC_CONFIG = { token: null, deleted: [] };
+
+/** Sync state of a portfolio never synced. */
+export const EMPTY_SYNC_STATE = { lastSyncAt: null, known: {}, pending: {} };
+
+// Version given to transactions recorded before the sync was set up, so
+// that any version received from the server wins over them
+const NEVER_CHANGED = new Date(0).toISOString();
+
+/**
+ * Reads the sync state of a portfolio.
+ *
+ * @param {string} portfolioId Portfolio id.
+ * @returns {Promise<object>}
+ */
+export async function loadSyncState(portfolioId) {
+  return { ...EMPTY_SYNC_STATE, ...(await readValue(storageKey('wavDcaSync', portfolioId))) };
+}
+
+/**
+ * Saves the sync state of a portfolio.
+ *
+ * @param {string} portfolioId Portfolio id.
+ * @param {object} state Sync state.
+ * @returns {Promise<void>}
+ */
+export function saveSyncState(portfolioId, state) {
+  return writeValue(storageKey('wavDcaSync', portfolioId), state);
+}
+
+/**
+ * Records the transactions added, changed or deleted between two versions
+ * of the list as pending changes.
+ *
+ * @param {object} state Sync state.
+ * @param {Array} prev Previous transactions.
+ * @param {Array} next New transactions.
+ * @param {Date} [now] Time of the change.
+ * @returns {object} The new state, or `state` itself when nothing changed.
+ */
+export function trackChanges(state, prev, next, now = new Date()) {
+  if (prev === next) return state;
+  const before = new Map(prev.map((tx) => [tx.id, JSON.stringify(tx)]));
+  const changed = [];
+  for (const tx of next) {
+    if (before.get(tx.id) !== JSON.stringify(tx)) changed.push(tx.id);
+    before.delete(tx.id);
+  }
+  changed.push(...before.keys());
+  if (changed.length === 0) return state;
+  const at = now.toISOString();
+  return { ...state, pending: { ...state.pending, ...Object.fromEntries(changed.map((id) => [id, at])) } };
+}
+
+// Calls a sync route, throwing the French message of the server on failure
+async function request(url, token, method, body) {
+  const res = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw Object.assign(new Error(data.error || `HTTP ${res.status}`), { status: res.status });
+  }
+  return data;
+}
+
+/**
+ * Lists the portfolios of the server, deleted ones included.
+ *
+ * @param {string} token Sync token.
+ * @returns {Promise<Array>}
+ */
+export async function fetchRemotePortfolios(token) {
+  return (await request('/api/portfolios', token, 'GET')).portfolios;
+}
+
+/**
+ * Deletes portfolios on the server. Portfolios it doesn't know count as
+ * deleted; the others are left for the next attempt.
+ *
+ * @param {string} token Sync token.
+ * @param {Array<string>} ids Portfolio ids.
+ * @returns {Promise<Array<string>>} The ids deleted.
+ */
+export async function deleteRemotePortfolios(token, ids) {
+  const done = [];
+  for (const id of ids) {
+    try {
+      await request(`/api/portfolios/${encodeURIComponent(id)}`, token, 'DELETE', {});
+      done.push(id);
+    } catch (err) {
+      if (err.status === 404) done.push(id);
+      else console.error(`Erreur lors de la suppression du portefeuille ${id} sur le serveur :`, err);
+    }
+  }
+  return done;
+}
+
+/**
+ * Sends the pending changes of a portfolio and receives those of the other
+ * devices. Transactions the server has never received, such as those
+ * recorded before the sync was set up, are sent as well.
+ *
+ * @param {{ token: string, portfolio: {id: string, name: string, updatedAt?: string}, transactions: Array, state: object }} params
+ * @returns {Promise<{ sent: Array, serverTime: string, records: Array, conflicts: Array }>}
+ * @throws {Error} When the server can't be reached or refuses the request,
+ *         or when the portfolio was deleted on another device.
+ */
+export async function syncPortfolio({ token, portfolio, transactions, state }) {
+  const { portfolio: remote } = await request(`/api/portfolios/${encodeURIComponent(portfolio.id)}`, token, 'PUT', {
+    name: portfolio.name,
+    updatedAt: portfolio.updatedAt || portfolio.createdAt || NEVER_CHANGED,
+  });
+  if (remote.deleted) {
+    throw new Error('Ce portefeuille a été supprimé sur un autre appareil');
+  }
+  const byId = new Map(transactions.map((tx) => [tx.id, tx]));
+  const ids = new Set([...Object.keys(state.pending), ...transactions.filter((tx) => !state.known[tx.id]).map((tx) => tx.id)]);
+  const sent = [...ids].map((id) => {
+    const tx = byId.get(id);
+    return {
+      id,
+      updatedAt: state.pending[id] || NEVER_CHANGED,
+      baseUpdatedAt: state.known[id] || null,
+      ...(tx ? { tx } : { deleted: true }),
+    };
+  });
+  const result = await request('/api/transactions/sync', token, 'POST', {
+    portfolioId: portfolio.id,
+    since: state.lastSyncAt,
+    changes: sent,
+  });
+  return { sent, ...result };
+}
+
+/**
+ * Applies the outcome of `syncPortfolio` to the current transactions. A
+ * transaction changed again while the request was running keeps its local
+ * version, still pending.
+ *
+ * @param {Array} transactions Current transactions.
+ * @param {object} state Current sync state.
+ * @param {{ sent: Array, serverTime: string, records: Array }} result
+ * @returns {{ transactions: Array, state: object }} `transactions` is the
+ *          same array when nothing changed.
+ */
+export function applySync(transactions, state, { sent, serverTime, records }) {
+  const sentAt = Object.fromEntries(sent.map((c) => [c.id, c.updatedAt]));
+  const known = { ...state.known };
+  const pending = { ...state.pending };
+  let next = transactions;
+  for (const record of records) {
+    if (pending[record.id] && pending[record.id] !== sentAt[record.id]) continue;
+    delete pending[record.id];
+    known[record.id] = record.updatedAt;
+    const index = next.findIndex((tx) => tx.id === record.id);
+    if (record.deleted) {
+      if (index !== -1) next = next.filter((tx) => tx.id !== record.id);
+    } else if (index === -1) {
+      next = [...next, record.tx];
+    } else if (JSON.stringify(next[index]) !== JSON.stringify(record.tx)) {
+      next = next.map((tx, i) => (i === index ? record.tx : tx));
+    }
+  }
+  return { transactions: next, state: { lastSyncAt: serverTime, known, pending } };
+}
+
+/**
+ * Adds the portfolios created on other devices to the local list and
+ * takes their latest names. Portfolios deleted elsewhere are kept here:
+ * their sync fails and tells the user, who can delete them.
+ *
+ * @param {{ activeId: string, portfolios: Array }} registry Local list.
+ * @param {Array} remote Result of `fetchRemotePortfolios`.
+ * @returns {{ activeId: string, portfolios: Array }} The list, or `registry`
+ *          itself when nothing changed.
+ */
+export function mergePortfolios(registry, remote) {
+  let changed = false;
+  const portfolios = registry.portfolios.map((p) => {
+    const r = remote.find((x) => x.id === p.id);
+    if (!r || r.deleted || r.name === p.name || r.updatedAt <= (p.updatedAt || p.createdAt || NEVER_CHANGED)) return p;
+    changed = true;
+    return { ...p, name: r.name, updatedAt: r.updatedAt };
+  });
+  for (const r of remote) {
+    if (r.deleted || portfolios.some((p) => p.id === r.id)) continue;
+    changed = true;
+    portfolios.push({ id: r.id, name: r.name, createdAt: r.updatedAt, updatedAt: r.updatedAt });
+  }
+  return changed ? { ...registry, portfolios } : registry;
+}
@@ -0,0 +1,206 @@
+/**
+ * Server side of the synchronisation: a JSON file holding the portfolios
+ * and their transactions shared between devices, and the token check of
+ * the sync routes.
+ *
+ * The file, `.data/sync.json` by default or WAV_DCA_SYNC_FILE, holds:
+ *
+ *   {
+ *     portfolios: { [id]: { id, name, updatedAt, syncedAt, deleted } },
+ *     transactions: { [portfolioId]: { [txId]: { id, tx, updatedAt, syncedAt, deleted } } }
+ *   }
+ *
+ * `updatedAt` is when the record was changed on the device that made the
+ * change, and decides which change wins (last write wins); `syncedAt` is
+ * when the server stored it, and lets devices fetch what changed since
+ * their last sync. Deleted records are kept as tombstones (`tx: null`) so
+ * the deletion reaches the other devices.
+ *
+ * Writes are queued so concurrent requests can't overwrite each other, and
+ * the file is replaced atomically. This suits a single self-hosted server
+ * process, not a cluster.
+ *
+ * Ids come from the devices, so the maps keyed by them have no prototype:
+ * an id like `constructor` or `__proto__` is stored like any other.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { validateTransaction } from './finance';
+
+const DATA_FILE = process.env.WAV_DCA_SYNC_FILE || path.join(process.cwd(), '.data', 'sync.json');
+
+let queue = Promise.resolve();
+
+// Map keyed by ids, without prototype
+const idMap = (entries = {}) => Object.assign(Object.create(null), entries);
+
+async function readStore() {
+  let data = {};
+  try {
+    data = JSON.parse(await fs.readFile(DATA_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  const transactions = idMap();
+  for (const [portfolioId, records] of Object.entries(data.transactions || {})) {
+    transactions[portfolioId] = idMap(records);
+  }
+  return { ...data, portfolios: idMap(data.portfolios), transactions };
+}
+
+async function writeStore(data) {
+  await fs.mkdir(path.dirname(DATA_FILE), { recursive: true });
+  const tmp = `${DATA_FILE}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data));
+  await fs.rename(tmp, DATA_FILE);
+}
+
+/**
+ * Reads the store, after the writes already queued.
+ *
+ * @returns {Promise<object>}
+ */
+export function readSyncStore() {
+  const read = queue.then(readStore);
+  queue = read.catch(() => {});
+  return read;
+}
+
+/**
+ * Changes the store. `update` receives the data, changes it in place and
+ * returns the result to send back; the data is saved unless it throws.
+ *
+ * @param {(data: object) => *} update
+ * @returns {Promise<*>} What `update` returned.
+ */
+export function updateSyncStore(update) {
+  const run = queue.then(async () => {
+    const data = await readStore();
+    const result = update(data);
+    await writeStore(data);
+    return result;
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Checks the `Authorization: Bearer <token>` header against
+ * WAV_DCA_SYNC_TOKEN, and answers the request when it doesn't match.
+ *
+ * @returns {boolean} Whether the request may go on.
+ */
+export function checkSyncToken(req, res) {
+  const expected = process.env.WAV_DCA_SYNC_TOKEN;
+  if (!expected) {
+    res.status(503).json({ error: 'Synchronisation non configurée sur ce serveur (WAV_DCA_SYNC_TOKEN)' });
+    return false;
+  }
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+  const a = Buffer.from(token);
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    res.status(401).json({ error: 'Jeton de synchronisation invalide' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Transaction records of a portfolio, created empty when it has none yet.
+ *
+ * @param {object} data Store content.
+ * @param {string} portfolioId Portfolio id.
+ * @returns {Record<string, object> | null} Records by id, or null when the
+ *          portfolio is unknown or deleted.
+ */
+export function portfolioRecords(data, portfolioId) {
+  const portfolio = Object.hasOwn(data.portfolios, portfolioId) ? data.portfolios[portfolioId] : null;
+  if (!portfolio || portfolio.deleted) return null;
+  if (!Object.hasOwn(data.transactions, portfolioId)) data.transactions[portfolioId] = idMap();
+  return data.transactions[portfolioId];
+}
+
+/**
+ * Whether a value sent by a device is a date `Date.parse` reads, as the
+ * `updatedAt` of records and portfolios must be.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isTimestamp = (value) => typeof value === 'string' && !isNaN(Date.parse(value));
+
+/**
+ * Checks a change to a transaction sent by a device.
+ *
+ * @param {*} change `{ id, updatedAt, baseUpdatedAt?, deleted?, tx? }`.
+ * @returns {string[]} Error messages in French, empty when valid.
+ */
+export function validateChange(change) {
+  if (!change || typeof change !== 'object' || typeof change.id !== 'string' || !change.id) {
+    return ['Identifiant manquant'];
+  }
+  const errors = [];
+  if (!isTimestamp(change.updatedAt)) errors.push('Date de modification invalide');
+  if (change.baseUpdatedAt != null && !isTimestamp(change.baseUpdatedAt)) {
+    errors.push('Date de version invalide');
+  }
+  if (!change.deleted) {
+    errors.push(...validateTransaction(change.tx));
+    if (change.tx && change.tx.id !== change.id) errors.push("L'identifiant de la transaction ne correspond pas");
+  }
+  return errors.map((e) => `${change.id} : ${e}`);
+}
+
+/**
+ * Applies a change to a set of records, the latest `updatedAt` winning.
+ * Ties go to the incoming change, so retrying a request is harmless.
+ *
+ * A conflict is reported when the record was changed by another device
+ * after the version the change was based on (`baseUpdatedAt`, null for a
+ * record the device never received) and the two versions differ.
+ *
+ * @param {Record<string, object>} records Records by id, changed in place.
+ * @param {{ id: string, updatedAt: string, baseUpdatedAt?: string | null, deleted?: boolean, tx?: object }} change
+ * @param {string} now Server time.
+ * @returns {{ applied: boolean, conflict: object | null }} `conflict` is
+ *          `{ id, kept: 'local' | 'remote', local, remote }`, seen from the
+ *          device that sent the change.
+ */
+export function applyChange(records, change, now) {
+  const current = Object.hasOwn(records, change.id) ? records[change.id] : null;
+  const incoming = {
+    id: change.id,
+    tx: change.deleted ? null : change.tx,
+    updatedAt: change.updatedAt,
+    syncedAt: now,
+    deleted: Boolean(change.deleted),
+  };
+  const applied = !current || change.updatedAt >= current.updatedAt;
+  let conflict = null;
+  if (
+    current &&
+    current.updatedAt > (change.baseUpdatedAt || '') &&
+    JSON.stringify(current.tx) !== JSON.stringify(incoming.tx)
+  ) {
+    conflict = { id: change.id, kept: applied ? 'local' : 'remote', local: incoming.tx, remote: current.tx };
+  }
+  if (applied) records[change.id] = incoming;
+  return { applied, conflict };
+}
+
+/**
+ * Records stored since a given server time. Records stored at that very
+ * time are included, as they may have been stored after the previous sync
+ * within the same millisecond; receiving a record twice is harmless.
+ *
+ * @param {Record<string, object>} records Records by id.
+ * @param {string | null} since Server time of the previous sync, null for all.
+ * @returns {Array<object>}
+ */
+export function recordsSince(records = {}, since) {
+  return Object.values(records).filter((r) => !since || r.syncedAt >= since);
+}
@@ -0,0 +1,211 @@
+/**
+ * French tax computations for crypto-asset disposals (formulaire 2086).
+ *
+ * Gains are computed with the global-portfolio formula of article 150 VH bis
+ * of the CGI: for each taxable cession,
+ *
+ *   plus-value = prix de cession − prix total d'acquisition net × prix de
+ *                cession / valeur globale du portefeuille
+ *
+ * where the net total acquisition price is everything ever paid in fiat for
+ * crypto-assets, minus the fractions of that capital already attributed to
+ * earlier cessions. Only disposals for fiat currency are taxable: exchanges
+ * between crypto-assets are exempt (sursis d'imposition) and change neither
+ * the acquisition price nor the fractions used.
+ *
+ * Field names follow the lines of the 2086 form: 212 valeur globale, 213 prix
+ * de cession, 214 frais, 218 prix net, 220 prix total d'acquisition, 221
+ * fractions antérieures, 223 prix d'acquisition net, 224 plus-value.
+ * Purchase fees are part of the acquisition price and sale fees are deducted
+ * from the cession price. Rewards and airdrops are acquired for free unless
+ * recorded with a market-value cost basis (i.e. already taxed as income), and
+ * transfers between platforms only matter for the network fee they burn.
+ */
+
+import { isIncomeTransaction, splitFee, sortTransactions } from './finance';
+
+/** Annual disposals at or below this total (in EUR) are exempt. */
+export const SMALL_DISPOSALS_THRESHOLD = 305;
+
+/**
+ * Whether a transaction is a taxable disposal, i.e. a sale for fiat.
+ *
+ * @param {object} tx Transaction.
+ * @returns {boolean}
+ */
+export function isTaxableDisposal(tx) {
+  return tx.type === 'SELL';
+}
+
+/**
+ * Computes each taxable cession with the figures of the 2086 form.
+ *
+ * The global portfolio value (line 212) is the value of every crypto-asset
+ * held just before the cession, priced with `priceAt` on the cession date.
+ * The asset being sold is valued at its sale price; other assets without a
+ * historical price fall back to `prices` and the cession is flagged as
+ * `estimated`.
+ *
+ * @param {Array} transactions List of transactions.
+ * @param {(asset: string, date: string) => number | undefined} [priceAt]
+ *        Historical price lookup, see `createPriceLookup` in priceHistory.js.
+ * @param {Record<string, number>} [prices] Current prices used as fallback.
+ * @returns {Array<{date: string, year: string, asset: string, quantity: number, portfolioValue: number, proceeds: number, fees: number, netProceeds: number, acquisitionCost: number, priorFractions: number, netAcquisitionCost: number, gain: number, estimated: boolean}>}
+ */
+export function computeCessions(transactions = [], priceAt = () => undefined, prices = {}) {
+  const sorted = sortTransactions(transactions);
+  const holdings = {};
+  let acquisitionCost = 0;
+  let priorFractions = 0;
+  const cessions = [];
+
+  for (const tx of sorted) {
+    const { asset, type, price, quantity } = tx;
+    const { feeEur, feeUnits } = splitFee(tx);
+    if (type === 'BUY') {
+      acquisitionCost += price * quantity + feeEur;
+      holdings[asset] = (holdings[asset] ?? 0) + quantity - feeUnits;
+    } else if (isIncomeTransaction(tx)) {
+      if (tx.costBasis !== 'ZERO') acquisitionCost += price * quantity;
+      holdings[asset] = (holdings[asset] ?? 0) + quantity;
+    } else if (type === 'TRANSFER') {
+      holdings[asset] = (holdings[asset] ?? 0) - feeUnits;
+    } else if (type === 'SWAP') {
+      // Crypto-to-crypto exchange: not a taxable event
+      holdings[asset] = (holdings[asset] ?? 0) - quantity - feeUnits;
+      holdings[tx.toAsset] = (holdings[tx.toAsset] ?? 0) + tx.toQuantity;
+    } else if (isTaxableDisposal(tx)) {
+      let portfolioValue = 0;
+      let estimated = false;
+      for (const held of Object.keys(holdings)) {
+        if (holdings[held] <= 1e-8) continue;
+        let unitPrice;
+        if (held === asset) {
+          unitPrice = price;
+        } else {
+          unitPrice = priceAt(held, tx.date);
+          if (unitPrice === undefined) {
+            unitPrice = prices[held] ?? 0;
+            estimated = true;
+          }
+        }
+        portfolioValue += holdings[held] * unitPrice;
+      }
+      const proceeds = price * quantity;
+      const fees = feeEur + feeUnits * price;
+      const netProceeds = proceeds - fees;
+      const netAcquisitionCost = acquisitionCost - priorFractions;
+      const fraction = portfolioValue > 0 ? (netAcquisitionCost * proceeds) / portfolioValue : 0;
+      cessions.push({
+        date: tx.date,
+        year: tx.date.slice(0, 4),
+        asset,
+        quantity,
+        portfolioValue,
+        proceeds,
+        fees,
+        netProceeds,
+        acquisitionCost,
+        priorFractions,
+        netAcquisitionCost,
+        gain: netProceeds - fraction,
+        estimated,
+      });
+      priorFractions += fraction;
+      holdings[asset] = (holdings[asset] ?? 0) - quantity - feeUnits;
+    }
+  }
+  return cessions;
+}
+
+/**
+ * Groups cessions by fiscal (calendar) year with the yearly totals to
+ * declare.
+ *
+ * @param {Array} cessions Cessions returned by `computeCessions`.
+ * @returns {Record<string, {cessions: Array, totalProceeds: number, totalGain: number, exempt: boolean}>}
+ *          Report per year. `exempt` is true when the year's total proceeds
+ *          don't exceed SMALL_DISPOSALS_THRESHOLD.
+ */
+export function computeTaxReport(cessions = []) {
+  const years = {};
+  for (const c of cessions) {
+    if (!years[c.year]) {
+      years[c.year] = { cessions: [], totalProceeds: 0, totalGain: 0, exempt: false };
+    }
+    years[c.year].cessions.push(c);
+    years[c.year].totalProceeds += c.proceeds;
+    years[c.year].totalGain += c.gain;
+  }
+  for (const year of Object.keys(years)) {
+    years[year].exempt = years[year].totalProceeds <= SMALL_DISPOSALS_THRESHOLD;
+  }
+  return years;
+}
+
+/**
+ * Net gain of a year to declare as taxable: zero for exempt years and for net
+ * losses, which can't be carried forward.
+ *
+ * @param {{totalGain: number, exempt: boolean}} report Entry of `computeTaxReport`.
+ * @returns {number}
+ */
+export function taxableGain(report) {
+  return report.exempt ? 0 : Math.max(0, report.totalGain);
+}
+
+const formatCsvNumber = (value) => value.toFixed(2).replace('.', ',');
+
+/**
+ * Serialises one year of the report as CSV, with `;` separators and decimal
+ * commas so it opens directly in a French spreadsheet.
+ *
+ * @param {string} year Fiscal year.
+ * @param {{cessions: Array, totalProceeds: number, totalGain: number, exempt: boolean}} report
+ *        Entry of `computeTaxReport` for that year.
+ * @returns {string}
+ */
+export function taxReportToCsv(year, report) {
+  const header = [
+    'N°',
+    'Date',
+    'Actif',
+    'Quantité',
+    '212 Valeur globale du portefeuille',
+    '213 Prix de cession',
+    '214 Frais de cession',
+    '218 Prix de cession net',
+    "220 Prix total d'acquisition",
+    '221 Fractions de capital antérieures',
+    "223 Prix total d'acquisition net",
+    '224 Plus-value ou moins-value',
+  ];
+  const lines = [header.join(';')];
+  report.cessions.forEach((c, idx) => {
+    lines.push(
+      [
+        idx + 1,
+        c.date,
+        c.asset,
+        String(c.quantity).replace('.', ','),
+        formatCsvNumber(c.portfolioValue),
+        formatCsvNumber(c.proceeds),
+        formatCsvNumber(c.fees),
+        formatCsvNumber(c.netProceeds),
+        formatCsvNumber(c.acquisitionCost),
+        formatCsvNumber(c.priorFractions),
+        formatCsvNumber(c.netAcquisitionCost),
+        formatCsvNumber(c.gain),
+      ].join(';')
+    );
+  });
+  lines.push('');
+  lines.push(`Année;${year}`);
+  lines.push(`Total des cessions;${formatCsvNumber(report.totalProceeds)}`);
+  lines.push(`Résultat net;${formatCsvNumber(report.totalGain)}`);
+  lines.push(`Plus-value imposable;${formatCsvNumber(taxableGain(report))}`);
+  if (report.exempt) {
+    lines.push(`Exonération;Total des cessions ≤ ${SMALL_DISPOSALS_THRESHOLD} €`);
+  }
+  return lines.join('\n');
+}
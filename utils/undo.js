@@ -0,0 +1,64 @@
+/**
+ * Undo/redo history of a value, kept as an immutable
+ * `{ past, present, future }` record where each past and future entry holds
+ * a previous value and the label of the change that replaced it.
+ */
+
+/** Maximum number of changes that can be undone. */
+export const UNDO_LIMIT = 50;
+
+/**
+ * Starts a history with no change to undo.
+ *
+ * @param {*} present Current value.
+ * @returns {{ past: Array, present: *, future: Array }}
+ */
+export function createHistory(present) {
+  return { past: [], present, future: [] };
+}
+
+/**
+ * Records a change. Redoing is no longer possible after a new change.
+ *
+ * @param {{ past: Array, present: *, future: Array }} history
+ * @param {*} next New value.
+ * @param {string} label Description of the change, e.g. "Suppression".
+ * @returns {{ past: Array, present: *, future: Array }}
+ */
+export function pushHistory(history, next, label) {
+  if (next === history.present) return history;
+  const past = [...history.past, { value: history.present, label }].slice(-UNDO_LIMIT);
+  return { past, present: next, future: [] };
+}
+
+/**
+ * Reverts the last change.
+ *
+ * @param {{ past: Array, present: *, future: Array }} history
+ * @returns {{ past: Array, present: *, future: Array }}
+ */
+export function undoHistory(history) {
+  if (history.past.length === 0) return history;
+  const last = history.past[history.past.length - 1];
+  return {
+    past: history.past.slice(0, -1),
+    present: last.value,
+    future: [{ value: history.present, label: last.label }, ...history.future],
+  };
+}
+
+/**
+ * Re-applies the last undone change.
+ *
+ * @param {{ past: Array, present: *, future: Array }} history
+ * @returns {{ past: Array, present: *, future: Array }}
+ */
+export function redoHistory(history) {
+  if (history.future.length === 0) return history;
+  const [next, ...future] = history.future;
+  return {
+    past: [...history.past, { value: history.present, label: next.label }],
+    present: next.value,
+    future,
+  };
+}